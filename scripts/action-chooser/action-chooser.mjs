@@ -8,24 +8,12 @@ import {
   runMiddleware,
 } from "../dice-pool-override/execute-task-roll.mjs";
 import {
-  COMMON_SPENDS,
-  PERSONAL_CONFLICT_SPENDS,
-  STARSHIP_COMBAT_SPENDS,
-} from "../momentum-spend/momentum-spend-data.mjs";
+  getSpendCostLabel,
+  getSpendLookup,
+  getSpendName,
+} from "../momentum-spend/momentum-spend-catalog.mjs";
 import { openAttackCalculator } from "../attack-calculator/attack-calculator.mjs";
 
-/**
- * Flat lookup of all momentum-spend definitions keyed by spend ID.
- * @type {Map<string, import('../momentum-spend/momentum-spend-data.mjs').MomentumSpendOption>}
- */
-const MOMENTUM_SPEND_LOOKUP = new Map(
-  [
-    ...COMMON_SPENDS,
-    ...PERSONAL_CONFLICT_SPENDS,
-    ...STARSHIP_COMBAT_SPENDS,
-  ].map((s) => [s.id, s]),
-);
-
 const BaseApp = foundry.applications.api.HandlebarsApplicationMixin(
   foundry.applications.api.ApplicationV2,
 );
@@ -1349,6 +1337,9 @@ class ActionChooserApp extends BaseApp {
       setSelect.addEventListener("change", async (event) => {
         event.preventDefault();
         const setId = setSelect.value;
+        if (setId.endsWith("-station")) {
+          game.user.setFlag(MODULE_ID, STATION_FLAG, setId).catch(() => {});
+        }
         const newSet = await loadActionSet(setId);
         if (newSet) {
           this.actionSet = newSet;
@@ -1705,9 +1696,11 @@ class ActionChooserApp extends BaseApp {
     const spendDef = actionDef?.momentumSpends;
     if (!spendDef || typeof spendDef !== "object") return "";
 
+    // The world's spend catalog; spends the GM disabled are left out.
+    const spendLookup = getSpendLookup();
     const enabledSpends = Object.entries(spendDef)
       .filter(([, v]) => v)
-      .map(([id]) => MOMENTUM_SPEND_LOOKUP.get(id))
+      .map(([id]) => spendLookup.get(id))
       .filter(Boolean);
 
     if (!enabledSpends.length) return "";
@@ -1733,12 +1726,8 @@ class ActionChooserApp extends BaseApp {
 
     const spendItems = enabledSpends
       .map((spend) => {
-        const spendName = t(
-          `sta-utils.momentumSpend.spends.${spend.i18nKey}.name`,
-        );
-        let costText = t(
-          `sta-utils.momentumSpend.spends.${spend.i18nKey}.cost`,
-        );
+        const spendName = foundry.utils.escapeHTML(getSpendName(spend));
+        let costText = getSpendCostLabel(spend);
 
         // Adjust cost for Intense quality (addedDamage / addedSeverity)
         const isAddedDamage = spend.id === "addedDamage";
@@ -2055,6 +2044,11 @@ async function buildTaskData(actor, rollTemplate, { defaultStarshipId } = {}) {
     hasShipAssistUI: true,
     injectReservePower: false, // dice-pool-selectors.hbs already has it
     defaultStarshipId: resolvedStarshipId,
+    // Actions with a fixed Difficulty record it with the roll.
+    difficulty:
+      typeof rollTemplate?.difficulty === "number"
+        ? rollTemplate.difficulty
+        : null,
   });
 
   if (!dialogResult) return null;
@@ -2132,6 +2126,7 @@ async function buildTaskData(actor, rollTemplate, { defaultStarshipId } = {}) {
     usingDetermination,
     usingReservePower,
     complicationRange,
+    difficulty: dialogResult.difficulty,
   };
 
   /* ---- Run talent automation middleware ---- */
@@ -2148,6 +2143,17 @@ async function buildTaskData(actor, rollTemplate, { defaultStarshipId } = {}) {
   return { taskData, isShipAssist, starship, determinationValueId };
 }
 
+/** User flag remembering the station action set a player last chose. */
+const STATION_FLAG = "actionChooserStation";
+
+/**
+ * The station action set the current user last chose in the action chooser.
+ * @returns {string|null}
+ */
+function getUserStation() {
+  return game.user.getFlag(MODULE_ID, STATION_FLAG) ?? null;
+}
+
 async function openActionChooser(
   actionSetId = "personal-conflict",
   { actor } = {},
@@ -2286,6 +2292,7 @@ async function renderActionChooserEmbed(container, actor) {
 
 export const actionChooser = {
   open: openActionChooser,
+  getUserStation,
   renderEmbed: renderActionChooserEmbed,
   registerActionSet,
   sendActionChat,
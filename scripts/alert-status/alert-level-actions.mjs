@@ -0,0 +1,145 @@
+/**
+ * Alert Level Actions
+ *
+ * What happens when the ship changes alert level.  Every client calls the
+ * `staUtils.alertLevelChanged` hook (and the level's own hook, if it names
+ * one) so other modules can react; the active GM's client also applies the
+ * level's world-changing actions:
+ *
+ *   - scene darkness on the active scene
+ *   - tinting the active scene's ambient lights (restored by a level
+ *     without a tint)
+ *   - playing or stopping a playlist or playlist track
+ *   - running a macro, with `{ level, previous }` as its scope
+ *
+ * and the level's starship combat automation (alert-level-automation.mjs).
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { tf } from "../core/i18n.mjs";
+import { runAlertLevelAutomation } from "./alert-level-automation.mjs";
+import { getAlertLevelLabel } from "./alert-levels.mjs";
+
+/** Hook called on every client when the alert level changes. */
+export const ALERT_LEVEL_CHANGED_HOOK = "staUtils.alertLevelChanged";
+
+/** Flag holding an ambient light's colour from before it was tinted. */
+const ORIGINAL_COLOR_FLAG = "alertOriginalColor";
+
+/**
+ * React to a change of alert level.
+ *
+ * @param {object} level - The new alert level.
+ * @param {object|null} previous - The level before it, if known.
+ */
+export async function onAlertLevelChanged(level, previous) {
+  Hooks.callAll(ALERT_LEVEL_CHANGED_HOOK, level, previous);
+  if (level.actions.hook) Hooks.callAll(level.actions.hook, level, previous);
+
+  await _runStep(level, "automation", () => runAlertLevelAutomation(level));
+
+  // World changes are made once, by the active GM.
+  if (!game.user.isActiveGM) return;
+  const scene = game.scenes.active ?? game.scenes.viewed;
+  await _runStep(level, "darkness", () =>
+    _applyDarkness(scene, level.actions.darkness),
+  );
+  await _runStep(level, "lightTint", () =>
+    _applyLightTint(scene, level.actions.lightTint),
+  );
+  await _runStep(level, "playlist", () => _applyPlaylist(level.actions));
+  await _runStep(level, "macro", () => _runMacro(level, previous));
+}
+
+/**
+ * Run one action, reporting rather than throwing if it fails.
+ *
+ * @param {object} level
+ * @param {string} name
+ * @param {() => Promise<void>} step
+ */
+async function _runStep(level, name, step) {
+  try {
+    await step();
+  } catch (err) {
+    console.error(`${MODULE_ID} | Alert level action "${name}":`, err);
+    ui.notifications.error(
+      tf("sta-utils.alertStatus.levels.actionFailed", {
+        name: getAlertLevelLabel(level),
+      }),
+    );
+  }
+}
+
+/**
+ * @param {Scene|undefined} scene
+ * @param {number|null} darkness
+ */
+async function _applyDarkness(scene, darkness) {
+  if (!scene || darkness === null) return;
+  await scene.update(
+    { "environment.darknessLevel": darkness },
+    { animateDarkness: 2000 },
+  );
+}
+
+/**
+ * Tint every ambient light on the scene, remembering each light's own
+ * colour; with no tint, give the lights their own colour back.
+ *
+ * @param {Scene|undefined} scene
+ * @param {string} tint
+ */
+async function _applyLightTint(scene, tint) {
+  if (!scene) return;
+  const updates = [];
+  for (const light of scene.lights) {
+    const original = light.getFlag(MODULE_ID, ORIGINAL_COLOR_FLAG);
+    if (tint) {
+      const update = { _id: light.id, "config.color": tint };
+      if (original === undefined) {
+        update[`flags.${MODULE_ID}.${ORIGINAL_COLOR_FLAG}`] =
+          light.config.color?.css ?? light.config.color ?? "";
+      }
+      updates.push(update);
+    } else if (original !== undefined) {
+      updates.push({
+        _id: light.id,
+        "config.color": original || null,
+        [`flags.${MODULE_ID}.-=${ORIGINAL_COLOR_FLAG}`]: null,
+      });
+    }
+  }
+  if (updates.length) {
+    await scene.updateEmbeddedDocuments("AmbientLight", updates);
+  }
+}
+
+/**
+ * @param {{ playlistId: string, soundId: string, playlistAction: string }} actions
+ */
+async function _applyPlaylist({ playlistId, soundId, playlistAction }) {
+  const playlist = playlistId ? game.playlists.get(playlistId) : null;
+  if (!playlist) return;
+  const sound = soundId ? playlist.sounds.get(soundId) : null;
+  if (playlistAction === "stop") {
+    if (sound) await playlist.stopSound(sound);
+    else await playlist.stopAll();
+  } else if (sound) {
+    await playlist.playSound(sound);
+  } else {
+    await playlist.playAll();
+  }
+}
+
+/**
+ * @param {object} level
+ * @param {object|null} previous
+ */
+async function _runMacro(level, previous) {
+  const macro = level.actions.macroId
+    ? game.macros.get(level.actions.macroId)
+    : null;
+  if (!macro) return;
+  await macro.execute({ level, previous });
+}
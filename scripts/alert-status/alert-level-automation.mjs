@@ -0,0 +1,148 @@
+/**
+ * Alert Level Automation
+ *
+ * Optional starship combat automation for alert levels, set per level in
+ * the alert level editor:
+ *
+ *   - raiseShields:      the group ship's shields go to maximum.
+ *   - startCombat:       a combat encounter starts on the active scene with
+ *                        the group ship's and the player characters' tokens
+ *                        (added to the scene's combat if one is running).
+ *   - openActionChooser: each player's Action Chooser opens at the station
+ *                        they last chose in it.
+ *   - standDown:         ends the encounter an alert started and closes the
+ *                        Action Choosers it opened.  Shields are left as
+ *                        they are.
+ *   - resetTalentUses:   resets the limited-use talents of the group ship
+ *                        and the player characters.
+ *
+ * Player clients only handle the Action Chooser; everything else is done
+ * by the active GM.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import {
+  getGroupShipActorId,
+  isActionChooserEnabled,
+} from "../core/settings.mjs";
+import { actionChooser } from "../action-chooser/index.mjs";
+import { resetActorTalentUses } from "../talent-uses/index.mjs";
+
+/** Flag marking a combat started by an alert level. */
+const ALERT_COMBAT_FLAG = "alertCombat";
+
+/** Station for players who haven't chosen one in the Action Chooser yet. */
+const DEFAULT_STATION = "command-station";
+
+/** The Action Chooser opened on this client by an alert, if any. */
+let _alertChooser = null;
+
+/**
+ * Run a level's combat automation.
+ *
+ * @param {object} level - The alert level being activated.
+ */
+export async function runAlertLevelAutomation(level) {
+  const { automation } = level;
+
+  if (automation.openActionChooser) await _openStationChooser();
+  if (automation.standDown) await _closeStationChooser();
+
+  if (!game.user.isActiveGM) return;
+  const scene = game.scenes.active ?? game.scenes.viewed;
+  const ship = game.actors.get(getGroupShipActorId()) ?? null;
+
+  if (automation.standDown) await _endAlertCombats();
+  if (automation.raiseShields) await _raiseShields(ship);
+  if (automation.startCombat) await _startCombat(scene, ship);
+  if (automation.resetTalentUses) {
+    for (const actor of [ship, ..._playerCharacters()]) {
+      if (actor) await resetActorTalentUses(actor);
+    }
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  GM                                                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Characters assigned to or owned by a player.
+ * @returns {Actor[]}
+ */
+function _playerCharacters() {
+  return game.actors.filter(
+    (actor) => actor.type === "character" && actor.hasPlayerOwner,
+  );
+}
+
+/** @param {Actor|null} ship */
+async function _raiseShields(ship) {
+  const shields = ship?.system?.shields;
+  if (!shields || (shields.value ?? 0) >= (shields.max ?? 0)) return;
+  await ship.update({ "system.shields.value": shields.max });
+}
+
+/**
+ * Start a combat with the ship's and the player characters' tokens, or
+ * add them to the combat already running on the scene.
+ *
+ * @param {Scene|undefined} scene
+ * @param {Actor|null} ship
+ */
+async function _startCombat(scene, ship) {
+  if (!scene) return;
+  const crew = new Set(_playerCharacters().map((actor) => actor.id));
+  const tokens = scene.tokens.filter(
+    (token) => (ship && token.actorId === ship.id) || crew.has(token.actorId),
+  );
+  if (!tokens.length) return;
+
+  let combat = game.combats.find((c) => c.scene?.id === scene.id && c.active);
+  if (!combat) {
+    combat = await Combat.implementation.create({
+      scene: scene.id,
+      active: true,
+      flags: { [MODULE_ID]: { [ALERT_COMBAT_FLAG]: true } },
+    });
+  }
+  const present = new Set(combat.combatants.map((c) => c.tokenId));
+  const combatants = tokens
+    .filter((token) => !present.has(token.id))
+    .map((token) => ({
+      tokenId: token.id,
+      sceneId: scene.id,
+      actorId: token.actorId,
+    }));
+  if (combatants.length) {
+    await combat.createEmbeddedDocuments("Combatant", combatants);
+  }
+}
+
+/** End the combats alert levels started. */
+async function _endAlertCombats() {
+  const combats = game.combats.filter((c) =>
+    c.getFlag(MODULE_ID, ALERT_COMBAT_FLAG),
+  );
+  for (const combat of combats) await combat.delete();
+}
+
+/* ------------------------------------------------------------------ */
+/*  Players                                                            */
+/* ------------------------------------------------------------------ */
+
+/** Open this player's Action Chooser at their station. */
+async function _openStationChooser() {
+  const actor = game.user.character;
+  if (game.user.isGM || !actor || !isActionChooserEnabled()) return;
+  if (_alertChooser?.rendered) return;
+  const station = actionChooser.getUserStation() ?? DEFAULT_STATION;
+  _alertChooser = await actionChooser.open(station, { actor });
+}
+
+/** Close the Action Chooser an alert opened. */
+async function _closeStationChooser() {
+  const app = _alertChooser;
+  _alertChooser = null;
+  if (app?.rendered) await app.close();
+}
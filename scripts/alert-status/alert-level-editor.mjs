@@ -0,0 +1,216 @@
+/**
+ * Alert Levels – Editor
+ *
+ * GM settings menu for the world's alert levels (see alert-levels.mjs):
+ * relabel, recolour and reorder them, add levels of your own, and set what
+ * each level does to the scene, the music, macros and the group ship when
+ * it is activated.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t } from "../core/i18n.mjs";
+import {
+  ALERT_AUTOMATIONS,
+  getAlertLevelLabel,
+  getAlertLevels,
+  getDefaultAlertLevels,
+  isBuiltinAlertLevel,
+  saveAlertLevels,
+} from "./alert-levels.mjs";
+
+const fapi = foundry.applications.api;
+
+/** Separates playlist and sound ids in a track select value. */
+const TRACK_SEPARATOR = ".";
+
+/**
+ * Settings menu for editing the alert levels.
+ */
+export class AlertLevelEditor extends fapi.HandlebarsApplicationMixin(
+  fapi.ApplicationV2,
+) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-alert-levels`,
+    classes: ["sta-utils", "sta-alert-level-editor", "standard-form"],
+    tag: "form",
+    position: { width: 640, height: "auto" },
+    window: {
+      icon: "fa-solid fa-triangle-exclamation",
+      title: "sta-utils.alertStatus.levels.title",
+      resizable: true,
+    },
+    form: {
+      handler: AlertLevelEditor.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      addLevel: AlertLevelEditor.#onAddLevel,
+      deleteLevel: AlertLevelEditor.#onDeleteLevel,
+      moveLevel: AlertLevelEditor.#onMoveLevel,
+      resetLevels: AlertLevelEditor.#onReset,
+    },
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/alert-level-editor.hbs`,
+      root: true,
+    },
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.levels = getAlertLevels();
+  }
+
+  async _prepareContext() {
+    const trackGroups = game.playlists.contents.map((playlist) => ({
+      name: playlist.name,
+      options: [
+        {
+          value: playlist.id,
+          label: t("sta-utils.alertStatus.levels.wholePlaylist"),
+        },
+        ...playlist.sounds.contents.map((sound) => ({
+          value: playlist.id + TRACK_SEPARATOR + sound.id,
+          label: sound.name,
+        })),
+      ],
+    }));
+    const macros = Object.fromEntries(
+      game.macros.contents
+        .filter((macro) => macro.canExecute)
+        .map((macro) => [macro.id, macro.name]),
+    );
+    return {
+      levels: this.levels.map((level, index) => ({
+        ...level,
+        index,
+        builtin: isBuiltinAlertLevel(level.id),
+        placeholder: getAlertLevelLabel({ ...level, label: "" }),
+        track: level.actions.soundId
+          ? level.actions.playlistId + TRACK_SEPARATOR + level.actions.soundId
+          : level.actions.playlistId,
+        automations: ALERT_AUTOMATIONS.map((key) => ({
+          key,
+          label: t(`sta-utils.alertStatus.levels.automation.${key}`),
+          hint: t(`sta-utils.alertStatus.levels.automation.${key}Hint`),
+          checked: level.automation[key],
+        })),
+        isFirst: index === 0,
+        isLast: index === this.levels.length - 1,
+      })),
+      trackGroups,
+      macros,
+      playlistActions: {
+        play: t("sta-utils.alertStatus.levels.playlistPlay"),
+        stop: t("sta-utils.alertStatus.levels.playlistStop"),
+      },
+    };
+  }
+
+  /**
+   * Read the levels currently entered in the form.  Rows are in the order
+   * of `this.levels`.
+   *
+   * @param {object} [object] - Already-parsed form values.
+   * @returns {object[]}
+   */
+  _readLevels(object) {
+    const data = foundry.utils.expandObject(
+      object ??
+        new foundry.applications.ux.FormDataExtended(this.element).object,
+    );
+    return this.levels.map((level, index) => {
+      const row = data.levels?.[index] ?? {};
+      const [playlistId = "", soundId = ""] = String(row.track ?? "").split(
+        TRACK_SEPARATOR,
+      );
+      return {
+        ...level,
+        id: row.id ?? level.id,
+        label: row.label ?? level.label,
+        color: row.color || level.color,
+        pulse: row.pulse ?? level.pulse,
+        actions: {
+          // An empty darkness field reads as null: darkness is left alone.
+          darkness: "darkness" in row ? row.darkness : level.actions.darkness,
+          lightTint: row.lightTint ?? level.actions.lightTint,
+          playlistId: row.track == null ? level.actions.playlistId : playlistId,
+          soundId: row.track == null ? level.actions.soundId : soundId,
+          playlistAction: row.playlistAction ?? level.actions.playlistAction,
+          macroId: row.macroId ?? level.actions.macroId,
+          hook: row.hook ?? level.actions.hook,
+        },
+        automation: Object.fromEntries(
+          ALERT_AUTOMATIONS.map((key) => [
+            key,
+            row.automation?.[key] ?? level.automation[key],
+          ]),
+        ),
+      };
+    });
+  }
+
+  static #onAddLevel() {
+    this.levels = this._readLevels();
+    const used = new Set(this.levels.map((level) => level.id));
+    let id = "custom";
+    for (let n = 2; used.has(id); n++) id = `custom-${n}`;
+    this.levels.push({
+      id,
+      label: t("sta-utils.alertStatus.levels.newLevel"),
+      color: "#3a5080",
+      pulse: false,
+      actions: {
+        darkness: null,
+        lightTint: "",
+        playlistId: "",
+        soundId: "",
+        playlistAction: "play",
+        macroId: "",
+        hook: "",
+      },
+      automation: Object.fromEntries(
+        ALERT_AUTOMATIONS.map((key) => [key, false]),
+      ),
+    });
+    this.render();
+  }
+
+  static #onDeleteLevel(_event, target) {
+    const index = Number(target.dataset.index);
+    this.levels = this._readLevels();
+    if (this.levels.length <= 1) return;
+    this.levels.splice(index, 1);
+    this.render();
+  }
+
+  static #onMoveLevel(_event, target) {
+    const index = Number(target.dataset.index);
+    const to = index + Number(target.dataset.direction);
+    this.levels = this._readLevels();
+    if (to < 0 || to >= this.levels.length) return;
+    [this.levels[index], this.levels[to]] = [
+      this.levels[to],
+      this.levels[index],
+    ];
+    this.render();
+  }
+
+  static async #onReset() {
+    const confirmed = await fapi.DialogV2.confirm({
+      window: { title: t("sta-utils.alertStatus.levels.reset") },
+      content: `<p>${t("sta-utils.alertStatus.levels.resetConfirm")}</p>`,
+    });
+    if (!confirmed) return;
+    this.levels = getDefaultAlertLevels();
+    this.render();
+  }
+
+  static async #onSubmit(_event, _form, formData) {
+    this.levels = this._readLevels(formData.object);
+    await saveAlertLevels(this.levels);
+    ui.notifications.info(t("sta-utils.alertStatus.levels.saved"));
+  }
+}
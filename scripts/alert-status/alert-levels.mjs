@@ -0,0 +1,221 @@
+/**
+ * Alert Levels
+ *
+ * The world's ship alert levels, in the order the alert status bar cycles
+ * through them.  Normal, Yellow Alert and Red Alert are the defaults; the
+ * GM can relabel and recolour them and add levels of their own (Blue
+ * Alert, Intruder Alert, Gray Mode…) through the alert level editor.
+ * Stored in the "alertLevels" world setting:
+ *
+ * ```js
+ * {
+ *   version: 1,
+ *   levels: [
+ *     { id: "red", label: "", color: "#9a1f1f", pulse: true,
+ *       actions: { darkness: 0.6, lightTint: "#ff2020",
+ *                  playlistId: "…", soundId: "…", playlistAction: "play",
+ *                  macroId: "…", hook: "" },
+ *       automation: { raiseShields: true, startCombat: true,
+ *                     openActionChooser: true, standDown: false,
+ *                     resetTalentUses: false } },
+ *   ],
+ * }
+ * ```
+ *
+ * An empty label keeps the built-in localized name.  Actions left empty
+ * (darkness `null`, no tint, no playlist, no macro) do nothing, and every
+ * automation is off unless the GM turns it on.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t } from "../core/i18n.mjs";
+
+export const ALERT_LEVELS_SETTING = "alertLevels";
+const LEVELS_VERSION = 1;
+
+/** Built-in levels.  Their ids match the original alert status values. */
+const BUILTIN_LEVELS = [
+  { id: "normal", color: "#3a5080", pulse: false },
+  { id: "yellow", color: "#9a6e00", pulse: false },
+  { id: "red", color: "#9a1f1f", pulse: true },
+];
+
+const BUILTIN_IDS = new Set(BUILTIN_LEVELS.map((level) => level.id));
+
+/** Starship combat automations a level can switch on. */
+export const ALERT_AUTOMATIONS = [
+  "raiseShields",
+  "startCombat",
+  "openActionChooser",
+  "standDown",
+  "resetTalentUses",
+];
+
+/** What a level does to its playlist track when activated. */
+const PLAYLIST_ACTIONS = ["play", "stop"];
+
+/* ------------------------------------------------------------------ */
+/*  Normalization                                                      */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Turn free text into a level id.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function slugifyAlertLevelId(value) {
+  return String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string} A `#rrggbb` colour, or "" when not a colour.
+ */
+function _color(value) {
+  const s = String(value ?? "").trim();
+  return /^#[0-9a-f]{6}$/i.test(s) ? s.toLowerCase() : "";
+}
+
+/**
+ * @param {object} raw
+ * @returns {object}
+ */
+function _normalizeActions(raw) {
+  const darkness = parseFloat(raw?.darkness);
+  return {
+    darkness:
+      raw?.darkness === "" ||
+      raw?.darkness == null ||
+      !Number.isFinite(darkness)
+        ? null
+        : Math.max(0, Math.min(1, darkness)),
+    lightTint: _color(raw?.lightTint),
+    playlistId: String(raw?.playlistId ?? ""),
+    soundId: String(raw?.soundId ?? ""),
+    playlistAction: PLAYLIST_ACTIONS.includes(raw?.playlistAction)
+      ? raw.playlistAction
+      : "play",
+    macroId: String(raw?.macroId ?? ""),
+    hook: String(raw?.hook ?? "").trim(),
+  };
+}
+
+/**
+ * Normalize one alert level.
+ *
+ * @param {object} raw
+ * @returns {object|null} Null when the level has no id.
+ */
+function _normalizeLevel(raw) {
+  const id = slugifyAlertLevelId(raw?.id);
+  if (!id) return null;
+  const builtin = BUILTIN_LEVELS.find((level) => level.id === id);
+  return {
+    id,
+    label: String(raw.label ?? "").trim(),
+    color: _color(raw.color) || builtin?.color || "#3a5080",
+    pulse: Boolean(raw.pulse ?? builtin?.pulse),
+    actions: _normalizeActions(raw.actions),
+    automation: Object.fromEntries(
+      ALERT_AUTOMATIONS.map((key) => [key, Boolean(raw.automation?.[key])]),
+    ),
+  };
+}
+
+/**
+ * Normalize a list of alert levels: drop invalid and duplicate entries and
+ * fall back to the defaults when nothing is left.
+ *
+ * @param {object} raw
+ * @returns {{ version: number, levels: object[] }}
+ */
+export function normalizeAlertLevels(raw) {
+  const levels = [];
+  const ids = new Set();
+  for (const entry of Array.isArray(raw?.levels) ? raw.levels : []) {
+    const level = _normalizeLevel(entry);
+    if (!level || ids.has(level.id)) continue;
+    ids.add(level.id);
+    levels.push(level);
+  }
+  if (!levels.length) {
+    for (const builtin of BUILTIN_LEVELS) levels.push(_normalizeLevel(builtin));
+  }
+  return { version: LEVELS_VERSION, levels };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Reading & writing                                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * The built-in alert levels, ignoring any world customisation.
+ *
+ * @returns {object[]}
+ */
+export function getDefaultAlertLevels() {
+  return normalizeAlertLevels({}).levels;
+}
+
+/**
+ * The world's alert levels, in cycle order.
+ *
+ * @returns {object[]}
+ */
+export function getAlertLevels() {
+  let stored = null;
+  try {
+    stored = game.settings.get(MODULE_ID, ALERT_LEVELS_SETTING);
+  } catch (_) {
+    // Setting not registered (e.g. before init) — use the defaults.
+  }
+  return normalizeAlertLevels(stored).levels;
+}
+
+/**
+ * Find an alert level by id, falling back to the first level.
+ *
+ * @param {string} id
+ * @returns {object}
+ */
+export function getAlertLevel(id) {
+  const levels = getAlertLevels();
+  return levels.find((level) => level.id === id) ?? levels[0];
+}
+
+/**
+ * Store a list of alert levels as the world's alert levels.
+ *
+ * @param {object[]} levels
+ */
+export async function saveAlertLevels(levels) {
+  await game.settings.set(
+    MODULE_ID,
+    ALERT_LEVELS_SETTING,
+    normalizeAlertLevels({ levels }),
+  );
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} Whether the id is one of the built-in levels.
+ */
+export function isBuiltinAlertLevel(id) {
+  return BUILTIN_IDS.has(id);
+}
+
+/**
+ * @param {{ id: string, label?: string }} level
+ * @returns {string}
+ */
+export function getAlertLevelLabel(level) {
+  if (level.label) return level.label;
+  return BUILTIN_IDS.has(level.id)
+    ? t(`sta-utils.alertStatus.${level.id}`)
+    : level.id;
+}
@@ -2,8 +2,11 @@
  * Alert Status Widget
  *
  * Injects a colored alert status indicator above the chat log.  The GM can
- * click to cycle through Normal → Yellow Alert → Red Alert.  All connected
- * clients receive the update in real time via Foundry's world-setting sync.
+ * click to cycle through the world's alert levels (Normal → Yellow Alert →
+ * Red Alert by default, see alert-levels.mjs), or right-click to pick one.
+ * All connected clients receive the update in real time via Foundry's
+ * world-setting sync, and each level's actions run when it is activated
+ * (see alert-level-actions.mjs).
  *
  * Gated behind the `enableAlertStatus` world setting.
  */
@@ -16,6 +19,13 @@ import {
   isAlertStatusPlayerControlEnabled,
 } from "../core/settings.mjs";
 import { getModuleSocket } from "../core/socket.mjs";
+import { onAlertLevelChanged } from "./alert-level-actions.mjs";
+import {
+  ALERT_LEVELS_SETTING,
+  getAlertLevel,
+  getAlertLevelLabel,
+  getAlertLevels,
+} from "./alert-levels.mjs";
 
 /**
  * Set the alert status.  If the calling user is the GM, write directly.
@@ -44,8 +54,12 @@ async function _requestSetAlertStatus(status) {
 const CONTAINER_ID = "sta-utils-chat-widgets";
 const BAR_ID = "sta-utils-alert-status-bar";
 const VALUE_ID = "sta-utils-alert-status-value";
-/** Full setting key as broadcast in the `updateSetting` hook. */
+/** Full setting keys as broadcast in the `updateSetting` hook. */
 const SETTING_KEY = `${MODULE_ID}.alertStatus`;
+const LEVELS_SETTING_KEY = `${MODULE_ID}.${ALERT_LEVELS_SETTING}`;
+
+/** The alert level last shown, to tell the level's actions what came before. */
+let _lastStatus = null;
 
 /** Get or create the shared horizontal widget container inside `parent`. */
 function _getOrCreateContainer(parent) {
@@ -58,21 +72,45 @@ function _getOrCreateContainer(parent) {
   return container;
 }
 
-const CYCLE = ["normal", "yellow", "red"];
-
-const STATUS_LABEL_KEYS = {
-  normal: "sta-utils.alertStatus.normal",
-  yellow: "sta-utils.alertStatus.yellow",
-  red: "sta-utils.alertStatus.red",
-};
-
 // ─────────────────────────────────────────────────────────────────────────────
 // Helpers
 // ─────────────────────────────────────────────────────────────────────────────
 
 function _nextStatus(current) {
-  const idx = CYCLE.indexOf(current);
-  return CYCLE[(idx + 1) % CYCLE.length];
+  const levels = getAlertLevels();
+  const idx = levels.findIndex((level) => level.id === current);
+  return levels[(idx + 1) % levels.length].id;
+}
+
+/**
+ * Ask which alert level to switch to.
+ * @returns {Promise<string|null>} The chosen level id.
+ */
+async function _chooseStatus() {
+  const current = getAlertStatus();
+  return foundry.applications.api.DialogV2.wait({
+    window: {
+      title: t("sta-utils.alertStatus.levels.choose"),
+      icon: "fa-solid fa-triangle-exclamation",
+    },
+    classes: ["sta-utils-alert-level-chooser"],
+    buttons: getAlertLevels().map((level) => ({
+      action: level.id,
+      label: getAlertLevelLabel(level),
+      default: level.id === current,
+      callback: () => level.id,
+    })),
+    render: (_event, dialog) => {
+      // Colour each button as its level.
+      for (const level of getAlertLevels()) {
+        const button = dialog.element.querySelector(
+          `button[data-action="${CSS.escape(level.id)}"]`,
+        );
+        button?.style.setProperty("--sta-alert-color", level.color);
+      }
+    },
+    rejectClose: false,
+  });
 }
 
 /**
@@ -82,12 +120,11 @@ function _nextStatus(current) {
  * @param {string} status
  */
 function _applyStatus(bar, valueEl, status) {
-  CYCLE.forEach((s) => bar.classList.remove(`sta-utils-alert-status--${s}`));
-  bar.classList.add(`sta-utils-alert-status--${status}`);
-  bar.dataset.status = status;
-  valueEl.textContent = t(
-    STATUS_LABEL_KEYS[status] ?? STATUS_LABEL_KEYS.normal,
-  );
+  const level = getAlertLevel(status);
+  bar.dataset.status = level.id;
+  bar.dataset.pulse = level.pulse ? "true" : "false";
+  bar.style.setProperty("--sta-alert-color", level.color);
+  valueEl.textContent = getAlertLevelLabel(level);
 }
 
 /**
@@ -128,9 +165,9 @@ function _buildBar() {
     bar.addEventListener("mouseleave", () =>
       bar.classList.remove("sta-utils-alert-bar--hover"),
     );
-    const cycleStatus = async () => {
+    const changeStatus = async (next) => {
       const previous = getAlertStatus();
-      const next = _nextStatus(previous);
+      if (!next || next === previous) return;
       _updateBar(next); // optimistic local update — server sync follows
       try {
         await _requestSetAlertStatus(next);
@@ -140,11 +177,17 @@ function _buildBar() {
         console.error(`${MODULE_ID} | Failed to set alert status:`, err);
       }
     };
-    bar.addEventListener("click", cycleStatus);
+    bar.addEventListener("click", () =>
+      changeStatus(_nextStatus(getAlertStatus())),
+    );
+    bar.addEventListener("contextmenu", async (e) => {
+      e.preventDefault();
+      changeStatus(await _chooseStatus());
+    });
     bar.addEventListener("keydown", (e) => {
       if (e.key === "Enter" || e.key === " ") {
         e.preventDefault();
-        cycleStatus();
+        changeStatus(_nextStatus(getAlertStatus()));
       }
     });
   }
@@ -188,9 +231,26 @@ export function installAlertStatus() {
     _getOrCreateContainer(ui.chat.element).prepend(_buildBar());
   });
 
+  Hooks.once("ready", () => {
+    _lastStatus = getAlertStatus();
+  });
+
   // --- Live updates from any client when the GM changes the setting ---
   Hooks.on("updateSetting", (setting) => {
+    if (setting.key === LEVELS_SETTING_KEY) {
+      _updateBar(getAlertStatus());
+      return;
+    }
     if (setting.key !== SETTING_KEY) return;
-    _updateBar(setting.value ?? "normal");
+    const status = setting.value ?? "normal";
+    _updateBar(status);
+
+    const previous = _lastStatus;
+    _lastStatus = status;
+    if (previous === status) return;
+    onAlertLevelChanged(
+      getAlertLevel(status),
+      previous ? getAlertLevel(previous) : null,
+    );
   });
 }
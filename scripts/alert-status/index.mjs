@@ -1,2 +1,9 @@
 // Alert Status — ship alert status indicator above the chat log
 export { installAlertStatus } from "./alert-status.mjs";
+export { ALERT_LEVEL_CHANGED_HOOK } from "./alert-level-actions.mjs";
+export { AlertLevelEditor } from "./alert-level-editor.mjs";
+export {
+  ALERT_LEVELS_SETTING,
+  getAlertLevel,
+  getAlertLevels,
+} from "./alert-levels.mjs";
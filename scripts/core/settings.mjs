@@ -5,6 +5,25 @@ import {
   TrackerMacroButtonsConfig,
   TRACKER_MACRO_LAYOUT_SETTING,
 } from "../tracker-macro-buttons/index.mjs";
+import { MomentumSpendCatalogEditor } from "../momentum-spend/momentum-spend-catalog-editor.mjs";
+import { MOMENTUM_SPEND_CATALOG_SETTING } from "../momentum-spend/momentum-spend-catalog.mjs";
+import { AlertLevelEditor } from "../alert-status/alert-level-editor.mjs";
+import { ALERT_LEVELS_SETTING } from "../alert-status/alert-levels.mjs";
+import { StarChartEditor } from "../warp-calculator/star-chart-editor.mjs";
+import { STAR_CHART_SETTING } from "../warp-calculator/star-chart.mjs";
+import {
+  STARDATE_CUSTOM_EPOCH_SETTING,
+  STARDATE_CUSTOM_RATE_SETTING,
+  STARDATE_CUSTOM_START_SETTING,
+  STARDATE_SYSTEM_SETTING,
+  STARDATE_SYSTEMS,
+} from "../stardate/stardate-systems.mjs";
+import {
+  STARDATE_STAMP_FOLDER_SETTING,
+  STARDATE_STAMP_LOGS_SETTING,
+  getStampFolderChoices,
+} from "../stardate/stardate-log.mjs";
+import { ROLL_REQUEST_PRESETS_SETTING } from "../roll-request/roll-request-presets.mjs";
 
 // --- Setting keys ---
 const SHOW_INFO_BUTTONS_SETTING = "showInfoButtons";
@@ -14,17 +33,23 @@ const ENABLE_STYLE_ENHANCE_SETTING = "enableStyleEnhance";
 const ENABLE_TALENT_AUTOMATIONS_SETTING = "enableTalentAutomations";
 const DISABLE_TOOLTIPS_SETTING = "disableTooltips";
 const SHOW_ROW_CONTEXT_MENU_SETTING = "showRowContextMenuButtons";
+const SHOW_DICE_POOL_ODDS_SETTING = "showDicePoolOdds";
 const ENABLE_ACTION_CHOOSER_SETTING = "enableActionChooser";
 const ACTION_CHOOSER_AS_TAB_SETTING = "actionChooserAsTab";
 const ENABLE_DICE_POOL_OVERRIDE_SETTING = "enableDicePoolOverride";
+const REQUIRE_ROLL_APPROVAL_SETTING = "requireRollApproval";
 const ENABLE_MOMENTUM_SPEND_SETTING = "enableMomentumSpend";
 const AUTO_DEDUCT_MOMENTUM_SETTING = "autoDeductMomentum";
+const AUTO_APPLY_MOMENTUM_SPENDS_SETTING = "autoApplyMomentumSpends";
+const MOMENTUM_SPEND_CATALOG_MENU = "momentumSpendCatalogMenu";
 const ENABLE_MOMENTUM_MERGER_SETTING = "enableMomentumMerger";
 const ENABLE_CHAT_HEADER_MERGE_SETTING = "enableChatHeaderMerge";
 const ENABLE_STARDATE_DISPLAY_SETTING = "enableStardateDisplay";
 const ENABLE_ALERT_STATUS_SETTING = "enableAlertStatus";
 const ALERT_STATUS_PLAYER_CONTROL_SETTING = "alertStatusPlayerControl";
 const ALERT_STATUS_SETTING = "alertStatus";
+const ALERT_LEVELS_MENU = "alertLevelsMenu";
+const STAR_CHART_MENU = "starChartMenu";
 const SETTING_TRAIT_TOKENS = "enableTraitTokens";
 const SETTING_TRAIT_TOKEN_AUTO_LAYER = "traitTokenAutoLayerSwitch";
 const SETTING_WORLD_TRAITS_ACTOR_UUID = "worldTraitsActorUuid";
@@ -175,6 +200,16 @@ export function registerSettings() {
     group: GROUP_WORLD,
   });
 
+  game.settings.register(MODULE_ID, REQUIRE_ROLL_APPROVAL_SETTING, {
+    name: t("sta-utils.settings.requireRollApproval.name"),
+    hint: t("sta-utils.settings.requireRollApproval.hint"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    group: GROUP_WORLD,
+  });
+
   game.settings.register(MODULE_ID, ENABLE_MOMENTUM_SPEND_SETTING, {
     name: t("sta-utils.settings.enableMomentumSpend.name"),
     hint: t("sta-utils.settings.enableMomentumSpend.hint"),
@@ -196,6 +231,33 @@ export function registerSettings() {
     group: GROUP_WORLD,
   });
 
+  game.settings.register(MODULE_ID, AUTO_APPLY_MOMENTUM_SPENDS_SETTING, {
+    name: t("sta-utils.settings.autoApplyMomentumSpends.name"),
+    hint: t("sta-utils.settings.autoApplyMomentumSpends.hint"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+    group: GROUP_WORLD,
+  });
+
+  game.settings.register(MODULE_ID, MOMENTUM_SPEND_CATALOG_SETTING, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  game.settings.registerMenu(MODULE_ID, MOMENTUM_SPEND_CATALOG_MENU, {
+    name: t("sta-utils.momentumSpend.catalog.menu.name"),
+    label: t("sta-utils.momentumSpend.catalog.menu.label"),
+    hint: t("sta-utils.momentumSpend.catalog.menu.hint"),
+    icon: "fas fa-coins",
+    type: MomentumSpendCatalogEditor,
+    restricted: true,
+    group: GROUP_WORLD,
+  });
+
   game.settings.register(MODULE_ID, ENABLE_MOMENTUM_MERGER_SETTING, {
     name: t("sta-utils.settings.enableMomentumMerger.name"),
     hint: t("sta-utils.settings.enableMomentumMerger.hint"),
@@ -248,6 +310,23 @@ export function registerSettings() {
     group: GROUP_WORLD,
   });
 
+  game.settings.register(MODULE_ID, STAR_CHART_SETTING, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  game.settings.registerMenu(MODULE_ID, STAR_CHART_MENU, {
+    name: t("sta-utils.warpCalculator.starChart.menu.name"),
+    label: t("sta-utils.warpCalculator.starChart.menu.label"),
+    hint: t("sta-utils.warpCalculator.starChart.menu.hint"),
+    icon: "fas fa-map-location-dot",
+    type: StarChartEditor,
+    restricted: true,
+    group: GROUP_WORLD,
+  });
+
   // ----- STA Tools Sidebar -----
 
   game.settings.register(MODULE_ID, STA_TOOLS_GM_ONLY_SETTING, {
@@ -389,6 +468,73 @@ export function registerSettings() {
     group: GROUP_WORLD,
   });
 
+  game.settings.register(MODULE_ID, STARDATE_SYSTEM_SETTING, {
+    name: t("sta-utils.settings.stardateSystem.name"),
+    hint: t("sta-utils.settings.stardateSystem.hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: Object.fromEntries(
+      STARDATE_SYSTEMS.map((system) => [
+        system,
+        t(`sta-utils.stardate.systems.${system}.name`),
+      ]),
+    ),
+    default: "tng",
+    group: GROUP_WORLD,
+  });
+
+  game.settings.register(MODULE_ID, STARDATE_CUSTOM_EPOCH_SETTING, {
+    name: t("sta-utils.settings.stardateCustomEpoch.name"),
+    hint: t("sta-utils.settings.stardateCustomEpoch.hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "2401-01-01",
+    group: GROUP_WORLD,
+  });
+
+  game.settings.register(MODULE_ID, STARDATE_CUSTOM_START_SETTING, {
+    name: t("sta-utils.settings.stardateCustomStart.name"),
+    hint: t("sta-utils.settings.stardateCustomStart.hint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 0,
+    group: GROUP_WORLD,
+  });
+
+  game.settings.register(MODULE_ID, STARDATE_CUSTOM_RATE_SETTING, {
+    name: t("sta-utils.settings.stardateCustomRate.name"),
+    hint: t("sta-utils.settings.stardateCustomRate.hint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 1000,
+    group: GROUP_WORLD,
+  });
+
+  // Holds a folder id; shown as a folder select by _upgradeStampFolderField.
+  game.settings.register(MODULE_ID, STARDATE_STAMP_FOLDER_SETTING, {
+    name: t("sta-utils.settings.stardateStampFolder.name"),
+    hint: t("sta-utils.settings.stardateStampFolder.hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "",
+    group: GROUP_WORLD,
+  });
+
+  game.settings.register(MODULE_ID, STARDATE_STAMP_LOGS_SETTING, {
+    name: t("sta-utils.settings.stardateStampLogs.name"),
+    hint: t("sta-utils.settings.stardateStampLogs.hint"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    group: GROUP_WORLD,
+  });
+
   // ----- Alert Status -----
 
   game.settings.register(MODULE_ID, ENABLE_ALERT_STATUS_SETTING, {
@@ -420,6 +566,23 @@ export function registerSettings() {
     default: "normal",
   });
 
+  game.settings.register(MODULE_ID, ALERT_LEVELS_SETTING, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  game.settings.registerMenu(MODULE_ID, ALERT_LEVELS_MENU, {
+    name: t("sta-utils.alertStatus.levels.menu.name"),
+    label: t("sta-utils.alertStatus.levels.menu.label"),
+    hint: t("sta-utils.alertStatus.levels.menu.hint"),
+    icon: "fas fa-triangle-exclamation",
+    type: AlertLevelEditor,
+    restricted: true,
+    group: GROUP_WORLD,
+  });
+
   game.settings.register(MODULE_ID, ENABLE_CHAT_HEADER_MERGE_SETTING, {
     name: t("sta-utils.settings.enableChatHeaderMerge.name"),
     hint: t("sta-utils.settings.enableChatHeaderMerge.hint"),
@@ -595,6 +758,13 @@ export function registerSettings() {
     group: GROUP_WORLD,
   });
 
+  game.settings.register(MODULE_ID, ROLL_REQUEST_PRESETS_SETTING, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
   // ----- Attack Calculator -----
 
   game.settings.register(MODULE_ID, PIERCING_MODE_SETTING, {
@@ -836,6 +1006,16 @@ export function registerSettings() {
     group: GROUP_CLIENT,
   });
 
+  game.settings.register(MODULE_ID, SHOW_DICE_POOL_ODDS_SETTING, {
+    name: t("sta-utils.settings.showDicePoolOdds.name"),
+    hint: t("sta-utils.settings.showDicePoolOdds.hint"),
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true,
+    group: GROUP_CLIENT,
+  });
+
   game.settings.register(MODULE_ID, LCARS_OPAQUE_BACKGROUNDS_SETTING, {
     name: t("sta-utils.settings.lcarsOpaqueBackgrounds.name"),
     hint: t("sta-utils.settings.lcarsOpaqueBackgrounds.hint"),
@@ -996,6 +1176,15 @@ export function shouldShowRowContextMenuButtons() {
   }
 }
 
+/** @returns {boolean} */
+export function shouldShowDicePoolOdds() {
+  try {
+    return Boolean(game.settings.get(MODULE_ID, SHOW_DICE_POOL_ODDS_SETTING));
+  } catch (_) {
+    return true;
+  }
+}
+
 /** @returns {boolean} */
 export function isDicePoolOverrideEnabled() {
   try {
@@ -1007,6 +1196,18 @@ export function isDicePoolOverrideEnabled() {
   }
 }
 
+/**
+ * Whether player task rolls wait for GM approval in the dice pool monitor.
+ * @returns {boolean}
+ */
+export function isRollApprovalRequired() {
+  try {
+    return Boolean(game.settings.get(MODULE_ID, REQUIRE_ROLL_APPROVAL_SETTING));
+  } catch (_) {
+    return false;
+  }
+}
+
 /** @returns {boolean} */
 export function isMomentumSpendEnabled() {
   try {
@@ -1025,6 +1226,17 @@ export function isAutoDeductMomentumEnabled() {
   }
 }
 
+/** @returns {boolean} */
+export function isAutoApplyMomentumSpendsEnabled() {
+  try {
+    return Boolean(
+      game.settings.get(MODULE_ID, AUTO_APPLY_MOMENTUM_SPENDS_SETTING),
+    );
+  } catch (_) {
+    return true;
+  }
+}
+
 /** @returns {boolean} */
 export function isStardateDisplayEnabled() {
   try {
@@ -1335,13 +1547,21 @@ const SETTING_DEPENDENCIES = [
   {
     parent: ENABLE_DICE_POOL_OVERRIDE_SETTING,
     children: [
+      REQUIRE_ROLL_APPROVAL_SETTING,
       ENABLE_MOMENTUM_SPEND_SETTING,
       ENABLE_TALENT_AUTOMATIONS_SETTING,
     ],
   },
   {
     parent: ENABLE_MOMENTUM_SPEND_SETTING,
-    children: [AUTO_DEDUCT_MOMENTUM_SETTING],
+    children: [
+      AUTO_DEDUCT_MOMENTUM_SETTING,
+      AUTO_APPLY_MOMENTUM_SPENDS_SETTING,
+    ],
+  },
+  {
+    parent: ENABLE_ALERT_STATUS_SETTING,
+    children: [ALERT_LEVELS_MENU],
   },
   {
     parent: ENABLE_ACTION_CHOOSER_SETTING,
@@ -1373,7 +1593,15 @@ export function installSettingsHeaderHook() {
     if (!tab) return;
 
     _upgradeNpcBuilderCompendiumField(tab);
+    _upgradeStampFolderField(tab);
     _addTokenDiagnosticsButton(tab);
+    _moveMenuAfter(
+      tab,
+      MOMENTUM_SPEND_CATALOG_MENU,
+      AUTO_APPLY_MOMENTUM_SPENDS_SETTING,
+    );
+    _moveMenuAfter(tab, ALERT_LEVELS_MENU, ALERT_STATUS_PLAYER_CONTROL_SETTING);
+    _moveMenuAfter(tab, STAR_CHART_MENU, DEFAULT_WARP_FORMULA_SETTING);
 
     // Avoid double-injection if the hook fires again
     if (!tab.querySelector(".sta-utils-settings-section")) {
@@ -1507,6 +1735,30 @@ function _addTokenDiagnosticsButton(tab) {
   settingGroup.after(actionGroup);
 }
 
+/**
+ * Replace the stardate stamp folder text field with a journal folder select.
+ * @param {HTMLElement} tab
+ */
+function _upgradeStampFolderField(tab) {
+  const name = `${MODULE_ID}.${STARDATE_STAMP_FOLDER_SETTING}`;
+  const input = tab.querySelector(`input[name="${name}"]`);
+  if (!input) return;
+
+  // Folders only exist once the world is loaded, so the choices can't be
+  // given when the setting is registered.
+  const select = document.createElement("select");
+  select.name = name;
+  for (const [id, label] of Object.entries(getStampFolderChoices())) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = input.value;
+  if (select.value !== input.value) select.value = "";
+  input.replaceWith(select);
+}
+
 function _upgradeNpcBuilderCompendiumField(tab) {
   const field = _findSettingFormGroup(
     tab,
@@ -1796,6 +2048,19 @@ function _findSettingFormGroup(tab, key) {
   return null;
 }
 
+/**
+ * Foundry lists a module's menus before its settings; move a menu button
+ * next to the setting it belongs with.
+ * @param {HTMLElement} tab
+ * @param {string} menuKey   Menu key (without namespace).
+ * @param {string} afterKey  Setting key to place it after.
+ */
+function _moveMenuAfter(tab, menuKey, afterKey) {
+  const menu = _findSettingFormGroup(tab, menuKey);
+  const after = _findSettingFormGroup(tab, afterKey);
+  if (menu && after && after.nextElementSibling !== menu) after.after(menu);
+}
+
 /**
  * Visually enable or disable a form-group and all interactive elements
  * inside it.
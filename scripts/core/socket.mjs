@@ -38,6 +38,13 @@ export function initSocket() {
     applyGMUpdate(msg);
   });
 
+  // --- RPC: GM -> Player (approve / reject a dice pool awaiting approval) ---
+  moduleSocket.register("dicePoolApproval", async (msg) => {
+    const { applyGMApproval } =
+      await import("../dice-pool-monitor/dice-pool-broadcast.mjs");
+    applyGMApproval(msg);
+  });
+
   // --- RPC: Player -> GM (create trait drawing on canvas) ---
   moduleSocket.register("createTraitDrawing", async (msg) => {
     if (!game.user.isGM) return;
@@ -68,6 +75,14 @@ export function initSocket() {
     handleMomentumSpendClose(msg);
   });
 
+  // --- RPC: Player -> GM (momentum spend pool change) ---
+  moduleSocket.register("setGroupPool", async (msg) => {
+    if (!game.user.isGM) return;
+    const { setGroupPoolAsGM } =
+      await import("../momentum-spend/momentum-spend.mjs");
+    await setGroupPoolAsGM(msg);
+  });
+
   // --- RPC: Player -> GM (shaken choice resolution) ---
   moduleSocket.register("shakenResolve", async (msg) => {
     if (!game.user.isGM) return;
@@ -83,6 +98,14 @@ export function initSocket() {
     showRollPrompt(msg);
   });
 
+  // --- RPC: Player -> GM (roll request result) ---
+  moduleSocket.register("rollRequestResult", async (msg) => {
+    if (!game.user.isGM) return;
+    const { recordRollRequestResult } =
+      await import("../roll-request/roll-request-results.mjs");
+    recordRollRequestResult(msg);
+  });
+
   // --- RPC: Player -> GM (alert status change) ---
   moduleSocket.register("setAlertStatus", async (msg) => {
     if (!game.user.isGM) return;
@@ -0,0 +1,317 @@
+/**
+ * Crew Manifest – Crew Assignments
+ *
+ * Department, duty shift, bridge station and superior officer of each
+ * crew member, used by the department, duty roster and org chart manifest
+ * layouts.  Stored on the actor in the "crewAssignment" flag:
+ *
+ * ```js
+ * { department: "science", shift: "alpha", station: "science", reportsTo: "<actor id>" }
+ * ```
+ *
+ * Blank fields fall back to defaults worked out from the crew:
+ *   - department: the character's highest discipline
+ *   - reports to: the head of their department (its highest-ranked
+ *     member), and department heads report to the commanding officer
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t, tf } from "../core/i18n.mjs";
+
+export const ASSIGNMENT_FLAG = "crewAssignment";
+
+/** Departments, in manifest order.  Keys match `system.disciplines`. */
+export const DEPARTMENTS = [
+  "command",
+  "conn",
+  "engineering",
+  "security",
+  "medicine",
+  "science",
+];
+
+/** Section colors of the department layout, by uniform division. */
+export const DEPARTMENT_COLORS = {
+  command: "#a8282e",
+  conn: "#a8282e",
+  engineering: "#c28a12",
+  security: "#c28a12",
+  medicine: "#2d6aa3",
+  science: "#2d6aa3",
+};
+
+/** Duty shifts, in roster order. */
+export const SHIFTS = ["alpha", "beta", "gamma"];
+
+/** Bridge stations, in roster order. */
+export const STATIONS = [
+  "captain",
+  "firstOfficer",
+  "helm",
+  "navigation",
+  "operations",
+  "tactical",
+  "science",
+  "communications",
+  "engineering",
+  "medical",
+];
+
+/**
+ * A crew member's stored assignment.  Unknown values read as blank.
+ *
+ * @param {Actor} actor
+ * @returns {{department: string, shift: string, station: string, reportsTo: string}}
+ */
+export function getCrewAssignment(actor) {
+  const stored = actor.getFlag(MODULE_ID, ASSIGNMENT_FLAG) ?? {};
+  const pick = (value, choices) => (choices.includes(value) ? value : "");
+  return {
+    department: pick(stored.department, DEPARTMENTS),
+    shift: pick(stored.shift, SHIFTS),
+    station: pick(stored.station, STATIONS),
+    reportsTo: typeof stored.reportsTo === "string" ? stored.reportsTo : "",
+  };
+}
+
+/**
+ * The discipline a character is best at.  Ties go to the department
+ * listed first.
+ *
+ * @param {Actor} actor
+ * @returns {string|null} A department key, or null without disciplines.
+ */
+export function highestDiscipline(actor) {
+  const disciplines = actor.system?.disciplines;
+  if (!disciplines) return null;
+  let best = null;
+  let bestValue = -Infinity;
+  for (const key of DEPARTMENTS) {
+    const value = Number(disciplines[key]?.value);
+    if (Number.isFinite(value) && value > bestValue) {
+      best = key;
+      bestValue = value;
+    }
+  }
+  return best;
+}
+
+/**
+ * The department a crew member serves in: the assigned one, else their
+ * highest discipline.
+ *
+ * @param {Actor} actor
+ * @returns {string|null}
+ */
+export function resolveDepartment(actor) {
+  return getCrewAssignment(actor).department || highestDiscipline(actor);
+}
+
+/**
+ * Work out who each crew member reports to.
+ *
+ * The commanding officer is whoever holds the captain's station, else the
+ * highest-ranked crew member.  Assigned superiors outside the crew fall
+ * back to the defaults.
+ *
+ * @param {Actor[]} crew
+ * @param {(a: Actor, b: Actor) => number} compareRank - Sorts higher ranks first.
+ * @returns {Map<string, string|null>} Actor id to superior id; null at the top.
+ */
+export function resolveReportingLines(crew, compareRank) {
+  const ranked = [...crew].sort(compareRank);
+  const ids = new Set(crew.map((a) => a.id));
+  const commander =
+    ranked.find((a) => getCrewAssignment(a).station === "captain") ?? ranked[0];
+
+  // Department heads: the highest-ranked member of each department.
+  const heads = new Map();
+  for (const actor of ranked) {
+    const department = resolveDepartment(actor);
+    if (department && !heads.has(department)) heads.set(department, actor);
+  }
+
+  const defaultSuperior = (actor) => {
+    if (actor === commander) return null;
+    const head = heads.get(resolveDepartment(actor));
+    return head && head !== actor ? head.id : commander.id;
+  };
+
+  const superiors = new Map();
+  for (const actor of ranked) {
+    const assigned = getCrewAssignment(actor).reportsTo;
+    superiors.set(
+      actor.id,
+      assigned && assigned !== actor.id && ids.has(assigned)
+        ? assigned
+        : defaultSuperior(actor),
+    );
+  }
+
+  // Break loops made by assignments: the crew member who closes one
+  // reports to no one, heading a branch of their own.
+  for (const actor of ranked) {
+    const seen = new Set([actor.id]);
+    let id = superiors.get(actor.id);
+    while (id && !seen.has(id)) {
+      seen.add(id);
+      id = superiors.get(id);
+    }
+    if (id === actor.id) superiors.set(actor.id, null);
+  }
+  return superiors;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Labels                                                             */
+/* ------------------------------------------------------------------ */
+
+/** @param {string} key */
+export function departmentLabel(key) {
+  return game.i18n.localize(`sta.actor.character.discipline.${key}`);
+}
+
+/** @param {string} key */
+export function shiftLabel(key) {
+  return t(`sta-utils.crewManifest.assignments.shifts.${key}`);
+}
+
+/** @param {string} key */
+export function stationLabel(key) {
+  return t(`sta-utils.crewManifest.assignments.stations.${key}`);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Assignment dialog                                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Build `<option>` tags, with a leading blank option.
+ *
+ * @param {string[]} keys
+ * @param {(key: string) => string} label
+ * @param {string} selected
+ * @param {string} blank - Label of the blank option.
+ */
+function _options(keys, label, selected, blank) {
+  const escape = foundry.utils.escapeHTML;
+  return [
+    `<option value="">${escape(blank)}</option>`,
+    ...keys.map(
+      (key) =>
+        `<option value="${key}" ${key === selected ? "selected" : ""}>${escape(label(key))}</option>`,
+    ),
+  ].join("");
+}
+
+/**
+ * Let the GM assign departments, shifts, stations and superiors to a crew.
+ * Changed assignments are saved to the actors.
+ *
+ * @param {Actor[]} crew
+ * @param {object} [options]
+ * @param {string} [options.title] - Window title.
+ * @param {string} [options.confirmLabel] - Label of the save button.
+ * @returns {Promise<boolean>} False when the GM cancelled.
+ */
+export async function editCrewAssignments(
+  crew,
+  {
+    title = t("sta-utils.crewManifest.assignments.title"),
+    confirmLabel = t("sta-utils.crewManifest.assignments.save"),
+  } = {},
+) {
+  const escape = foundry.utils.escapeHTML;
+  const names = Object.fromEntries(crew.map((a) => [a.id, a.name]));
+  const others = (actor) => crew.filter((a) => a !== actor).map((a) => a.id);
+
+  const rows = crew
+    .map((actor) => {
+      const assignment = getCrewAssignment(actor);
+      const best = highestDiscipline(actor);
+      const auto = best
+        ? tf("sta-utils.crewManifest.assignments.auto", {
+            value: departmentLabel(best),
+          })
+        : t("sta-utils.crewManifest.assignments.none");
+      const field = (name, options) =>
+        `<td><select name="${actor.id}.${name}">${options}</select></td>`;
+      return `
+        <tr>
+          <td class="sta-manifest-assign-name">${escape(actor.name)}</td>
+          ${field("department", _options(DEPARTMENTS, departmentLabel, assignment.department, auto))}
+          ${field("shift", _options(SHIFTS, shiftLabel, assignment.shift, "—"))}
+          ${field("station", _options(STATIONS, stationLabel, assignment.station, "—"))}
+          ${field(
+            "reportsTo",
+            _options(
+              others(actor),
+              (id) => names[id],
+              assignment.reportsTo,
+              t("sta-utils.crewManifest.assignments.chainOfCommand"),
+            ),
+          )}
+        </tr>`;
+    })
+    .join("");
+
+  const content = `
+    <p class="notes">${t("sta-utils.crewManifest.assignments.hint")}</p>
+    <div class="sta-manifest-assign-scroll">
+      <table class="sta-manifest-assign-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>${t("sta-utils.crewManifest.assignments.department")}</th>
+            <th>${t("sta-utils.crewManifest.assignments.shift")}</th>
+            <th>${t("sta-utils.crewManifest.assignments.station")}</th>
+            <th>${t("sta-utils.crewManifest.assignments.reportsTo")}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+
+  const data = await foundry.applications.api.DialogV2.wait({
+    window: { title, icon: "fa-solid fa-sitemap" },
+    classes: ["sta-manifest-assign-dialog"],
+    position: { width: 760 },
+    content,
+    buttons: [
+      {
+        action: "save",
+        label: confirmLabel,
+        icon: "fas fa-check",
+        default: true,
+        callback: (_event, button) =>
+          foundry.utils.expandObject(
+            new foundry.applications.ux.FormDataExtended(button.form).object,
+          ),
+      },
+      {
+        action: "cancel",
+        label: t("sta-utils.crewManifest.cancel"),
+        icon: "fas fa-times",
+        callback: () => null,
+      },
+    ],
+    rejectClose: false,
+  });
+  if (!data) return false;
+
+  const updates = [];
+  for (const actor of crew) {
+    const current = getCrewAssignment(actor);
+    const row = data[actor.id] ?? {};
+    const next = Object.fromEntries(
+      Object.keys(current).map((key) => [key, String(row[key] ?? "")]),
+    );
+    if (foundry.utils.objectsEqual(current, next)) continue;
+    updates.push({
+      _id: actor.id,
+      [`flags.${MODULE_ID}.${ASSIGNMENT_FLAG}`]: next,
+    });
+  }
+  if (updates.length) await Actor.implementation.updateDocuments(updates);
+  return true;
+}
@@ -3,15 +3,71 @@
  *
  * Presents a dialog to select a folder of actors, then builds a rich
  * Journal Entry crew manifest grouped and color-coded by subfolder.
+ * Other layouts group the same crew by department, as a duty roster by
+ * shift and bridge station, or as an org chart of the chain of command
+ * (see crew-assignments.mjs).
+ *
+ * The journal remembers its source folder, image mode and left-out actors,
+ * so it can be rebuilt from the folder with the "Refresh" header button,
+ * or automatically when actors in the folder change.  Refreshing only
+ * replaces the manifest block: text the GM adds around it, and notes
+ * written on a crew card, are kept.
  */
 
 import { MODULE_ID } from "../core/constants.mjs";
 import { t } from "../core/i18n.mjs";
+import {
+  ASSIGNMENT_FLAG,
+  DEPARTMENTS,
+  DEPARTMENT_COLORS,
+  SHIFTS,
+  STATIONS,
+  departmentLabel,
+  editCrewAssignments,
+  getCrewAssignment,
+  resolveDepartment,
+  resolveReportingLines,
+  shiftLabel,
+  stationLabel,
+} from "./crew-assignments.mjs";
 
 // ─────────────────────────────────────────────────────────────────────────────
 // CONSTANTS
 // ─────────────────────────────────────────────────────────────────────────────
 
+/** Journal flag holding what a manifest was built from. */
+const SOURCE_FLAG = "crewManifestSource";
+
+/** Actor fields shown on the manifest; changing one refreshes it. */
+const MANIFEST_FIELDS = [
+  "name",
+  "img",
+  "folder",
+  "prototypeToken.texture.src",
+  "system.rank",
+  "system.assignment",
+  "system.characterrole",
+  "system.species",
+  "system.pronouns",
+  "system.spaceframe",
+  "system.designation",
+  "system.scale",
+  "system.disciplines",
+  `flags.${MODULE_ID}.${ASSIGNMENT_FLAG}`,
+];
+
+/** Wait this long after the last actor change before refreshing. */
+const AUTO_REFRESH_DELAY_MS = 1000;
+
+/**
+ * Manifest layouts: by subfolder, by department, as a duty roster by
+ * shift and station, and as an org chart of the chain of command.
+ */
+const LAYOUTS = ["folders", "departments", "roster", "orgChart"];
+
+/** Section key of the hoisted group ship. */
+const GROUP_SHIP_SECTION = "groupShip";
+
 /** Default section color when a folder has no color set. */
 const DEFAULT_SECTION_COLOR = "#4b6584";
 
@@ -68,7 +124,8 @@ function buildFolderTree(root) {
  * Subfolder sections appear before the parent folder's own actors so
  * that specifically-categorised crew are listed first.
  *
- * Each section: { name, color, depth, actors }
+ * Each section: { key, name, color, depth, actors } — the key is the
+ * folder id.
  */
 function flattenTree(node, depth = 0) {
   const sections = [];
@@ -81,6 +138,7 @@ function flattenTree(node, depth = 0) {
   // Then add the current node's own actors (if any)
   if (node.actors.length > 0) {
     sections.push({
+      key: node.folder.id,
       name: node.folder.name,
       color: node.folder.color ?? DEFAULT_SECTION_COLOR,
       depth,
@@ -126,6 +184,7 @@ function hoistGroupShip(sections) {
 
   // Build a new single-actor section for the ship (no header needed)
   const shipSection = {
+    key: GROUP_SHIP_SECTION,
     name: shipActor.name,
     color: sourceSection.color,
     depth: sourceSection.depth,
@@ -300,18 +359,30 @@ function lightenColor(hex, amount = 0.85) {
 
 /**
  * Build the full manifest HTML for a set of sections.
+ *
+ * @param {string} rootName
+ * @param {Array}  sections  - Folder sections
+ * @param {"portrait"|"token"} imageMode
+ * @param {string} layout    - One of LAYOUTS
  */
-function buildManifestHtml(rootName, sections, imageMode = "portrait") {
-  const sectionBlocks = sections
-    .map((s) => buildSectionHtml(s, imageMode))
-    .join("\n");
+function buildManifestHtml(
+  rootName,
+  sections,
+  imageMode = "portrait",
+  layout = "folders",
+) {
+  const sectionBlocks = buildLayoutHtml(sections, imageMode, layout);
+  const subtitle =
+    layout === "folders"
+      ? t("sta-utils.crewManifest.subtitle")
+      : `${t("sta-utils.crewManifest.subtitle")} · ${t(`sta-utils.crewManifest.layouts.${layout}`)}`;
 
   return `
 <div class="sta-crew-manifest">
   <div class="sta-crew-manifest-header">
     <div class="sta-crew-manifest-header-text">
       <h1>${rootName}</h1>
-      <p class="sta-crew-manifest-subtitle">${t("sta-utils.crewManifest.subtitle")}</p>
+      <p class="sta-crew-manifest-subtitle">${subtitle}</p>
     </div>
   </div>
   <div class="sta-crew-manifest-divider"></div>
@@ -320,15 +391,35 @@ function buildManifestHtml(rootName, sections, imageMode = "portrait") {
 }
 
 /**
- * Build the HTML for one section (one subfolder).
+ * The CSS variables that color a section, or a card outside its folder's
+ * section.
  */
-function buildSectionHtml(section, imageMode = "portrait") {
-  const color = section.color || DEFAULT_SECTION_COLOR;
+function sectionStyle(color) {
   const darkColor = darkenColor(color, 0.2);
   const bgColor = lightenColor(color, 0.85);
+  return `--section-color: ${color}; --section-color-dark: ${darkColor}; --section-bg: ${bgColor};`;
+}
+
+/**
+ * Build the HTML for one section (one subfolder, or one group of another
+ * layout).  Sections may carry a `tag(actor)` function labelling each card.
+ *
+ * @param {object} section
+ * @param {"portrait"|"token"} imageMode
+ * @param {Map<string, string>} [folderColors] - Actor id to folder color;
+ *   cards whose folder color differs from the section's keep their own.
+ */
+function buildSectionHtml(section, imageMode = "portrait", folderColors) {
+  const color = section.color || DEFAULT_SECTION_COLOR;
 
   const rows = section.actors
-    .map((actor) => buildCrewRowHtml(actor, color, imageMode))
+    .map((actor) => {
+      const own = folderColors?.get(actor.id) ?? color;
+      return buildCrewRowHtml(actor, own, imageMode, {
+        tag: section.tag?.(actor) ?? "",
+        style: own === color ? "" : sectionStyle(own),
+      });
+    })
     .join("\n");
 
   const headerHtml = section.hideHeader
@@ -336,7 +427,7 @@ function buildSectionHtml(section, imageMode = "portrait") {
     : `<h2 class="sta-crew-manifest-section-title">${section.name}</h2>`;
 
   return `
-<div class="sta-crew-manifest-section" style="--section-color: ${color}; --section-color-dark: ${darkColor}; --section-bg: ${bgColor};">
+<div class="sta-crew-manifest-section" style="${sectionStyle(color)}">
   ${headerHtml}
   <div class="sta-crew-manifest-crew-grid">
     ${rows}
@@ -346,18 +437,46 @@ function buildSectionHtml(section, imageMode = "portrait") {
 
 /**
  * Build the HTML for one crew member or vessel card.
+ *
+ * @param {Actor}  actor
+ * @param {string} sectionColor
+ * @param {"portrait"|"token"} imageMode
+ * @param {object} [options]
+ * @param {string} [options.tag]   - Label shown with the card type, e.g. a station
+ * @param {string} [options.style] - Section CSS variables for the card itself
  */
-function buildCrewRowHtml(actor, sectionColor, imageMode = "portrait") {
+function buildCrewRowHtml(
+  actor,
+  sectionColor,
+  imageMode = "portrait",
+  options = {},
+) {
   if (isVessel(actor)) {
-    return buildVesselRowHtml(actor, sectionColor, imageMode);
+    return buildVesselRowHtml(actor, sectionColor, imageMode, options);
   }
-  return buildCharacterRowHtml(actor, sectionColor, imageMode);
+  return buildCharacterRowHtml(actor, sectionColor, imageMode, options);
+}
+
+/**
+ * The tag span and style attribute of a card.
+ */
+function cardExtras({ tag = "", style = "" } = {}) {
+  return {
+    tagHtml: tag ? `<span class="sta-crew-manifest-tag">${tag}</span>` : "",
+    styleAttr: style ? ` style="${style}"` : "",
+  };
 }
 
 /**
  * Build the HTML card for a character actor.
  */
-function buildCharacterRowHtml(actor, sectionColor, imageMode = "portrait") {
+function buildCharacterRowHtml(
+  actor,
+  sectionColor,
+  imageMode = "portrait",
+  options = {},
+) {
+  const { tagHtml, styleAttr } = cardExtras(options);
   const rank = extractRank(actor);
   const crewRole = extractCrewRole(actor);
   const species = extractSpecies(actor);
@@ -395,12 +514,13 @@ function buildCharacterRowHtml(actor, sectionColor, imageMode = "portrait") {
   const metaParts = [
     speciesLine,
     `<span class="sta-crew-manifest-type" style="border-color: ${sectionColor};">${charType}</span>`,
+    tagHtml,
   ]
     .filter(Boolean)
     .join(" ");
 
   return `
-    <div class="sta-crew-manifest-crew-card">
+    <div class="sta-crew-manifest-crew-card"${styleAttr}>
       <div class="${wrapperClass}">
         ${portraitHtml}
       </div>
@@ -416,7 +536,13 @@ function buildCharacterRowHtml(actor, sectionColor, imageMode = "portrait") {
 /**
  * Build the HTML card for a starship or small craft actor.
  */
-function buildVesselRowHtml(actor, sectionColor, imageMode = "portrait") {
+function buildVesselRowHtml(
+  actor,
+  sectionColor,
+  imageMode = "portrait",
+  options = {},
+) {
+  const { tagHtml, styleAttr } = cardExtras(options);
   const spaceframe = extractSpaceframe(actor);
   const designation = extractDesignation(actor);
   const scale = extractScale(actor);
@@ -450,12 +576,13 @@ function buildVesselRowHtml(actor, sectionColor, imageMode = "portrait") {
   const metaParts = [
     scaleHtml,
     `<span class="sta-crew-manifest-type" style="border-color: ${sectionColor};">${charType}</span>`,
+    tagHtml,
   ]
     .filter(Boolean)
     .join(" ");
 
   return `
-    <div class="sta-crew-manifest-crew-card sta-crew-manifest-vessel-card">
+    <div class="sta-crew-manifest-crew-card sta-crew-manifest-vessel-card"${styleAttr}>
       <div class="${wrapperClass}">
         ${portraitHtml}
       </div>
@@ -468,6 +595,146 @@ function buildVesselRowHtml(actor, sectionColor, imageMode = "portrait") {
     </div>`;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// LAYOUTS — departments, duty roster, org chart
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Build the section blocks of a manifest in the chosen layout.  Every
+ * layout but "folders" regroups the crew, with vessels listed first;
+ * cards keep the color of their folder's section.
+ */
+function buildLayoutHtml(sections, imageMode, layout) {
+  if (!LAYOUTS.includes(layout) || layout === "folders") {
+    return sections.map((s) => buildSectionHtml(s, imageMode)).join("\n");
+  }
+
+  const vessels = [];
+  const crew = [];
+  const folderColors = new Map();
+  for (const section of sections) {
+    for (const actor of section.actors) {
+      folderColors.set(actor.id, section.color || DEFAULT_SECTION_COLOR);
+      (isVessel(actor) ? vessels : crew).push(actor);
+    }
+  }
+
+  const blocks = [];
+  if (vessels.length > 0) {
+    blocks.push(
+      buildSectionHtml(
+        {
+          name: t("sta-utils.crewManifest.layouts.vessels"),
+          color: folderColors.get(vessels[0].id),
+          actors: vessels,
+          hideHeader: vessels.length === 1,
+        },
+        imageMode,
+        folderColors,
+      ),
+    );
+  }
+
+  if (layout === "orgChart") {
+    blocks.push(buildOrgChartHtml(crew, imageMode, folderColors));
+  } else {
+    const groups =
+      layout === "roster"
+        ? buildRosterSections(crew)
+        : buildDepartmentSections(crew);
+    blocks.push(
+      ...groups.map((s) => buildSectionHtml(s, imageMode, folderColors)),
+    );
+  }
+  return blocks.join("\n");
+}
+
+/**
+ * Group crew by department, highest rank first.
+ */
+function buildDepartmentSections(crew) {
+  const groups = new Map([...DEPARTMENTS, ""].map((key) => [key, []]));
+  for (const actor of [...crew].sort(compareActorRank)) {
+    groups.get(resolveDepartment(actor) ?? "").push(actor);
+  }
+  return [...groups]
+    .filter(([, actors]) => actors.length > 0)
+    .map(([key, actors]) => ({
+      key,
+      name: key
+        ? departmentLabel(key)
+        : t("sta-utils.crewManifest.layouts.unassigned"),
+      color: DEPARTMENT_COLORS[key] ?? DEFAULT_SECTION_COLOR,
+      actors,
+    }));
+}
+
+/**
+ * Group crew by duty shift, in bridge station order and then by rank.
+ * Cards are tagged with the station.
+ */
+function buildRosterSections(crew) {
+  const stationOrder = (actor) => {
+    const station = getCrewAssignment(actor).station;
+    return station ? STATIONS.indexOf(station) : STATIONS.length;
+  };
+  const sorted = [...crew].sort(
+    (a, b) => stationOrder(a) - stationOrder(b) || compareActorRank(a, b),
+  );
+  const tag = (actor) => {
+    const station = getCrewAssignment(actor).station;
+    return station ? stationLabel(station) : "";
+  };
+
+  return [...SHIFTS, ""]
+    .map((key) => ({
+      key,
+      name: key ? shiftLabel(key) : t("sta-utils.crewManifest.layouts.offDuty"),
+      color: DEFAULT_SECTION_COLOR,
+      actors: sorted.filter((a) => getCrewAssignment(a).shift === key),
+      tag,
+    }))
+    .filter((s) => s.actors.length > 0);
+}
+
+/**
+ * Build the chain of command as nested cards: each crew member is
+ * followed by the crew who report to them, joined by reporting lines.
+ * Cards are tagged with the department.
+ */
+function buildOrgChartHtml(crew, imageMode, folderColors) {
+  if (crew.length === 0) return "";
+
+  const superiors = resolveReportingLines(crew, compareActorRank);
+  const ranked = [...crew].sort(compareActorRank);
+  const reports = new Map(ranked.map((a) => [a.id, []]));
+  const top = [];
+  for (const actor of ranked) {
+    const superior = superiors.get(actor.id);
+    if (superior) reports.get(superior).push(actor);
+    else top.push(actor);
+  }
+
+  const node = (actor) => {
+    const color = folderColors.get(actor.id) ?? DEFAULT_SECTION_COLOR;
+    const department = resolveDepartment(actor);
+    const card = buildCrewRowHtml(actor, color, imageMode, {
+      tag: department ? departmentLabel(department) : "",
+      style: sectionStyle(color),
+    });
+    const children = reports.get(actor.id);
+    const childHtml = children.length
+      ? `<div class="sta-crew-manifest-org-reports">${children.map(node).join("\n")}</div>`
+      : "";
+    return `<div class="sta-crew-manifest-org-node">${card}${childHtml}</div>`;
+  };
+
+  return `
+<div class="sta-crew-manifest-section sta-crew-manifest-org">
+  ${top.map(node).join("\n")}
+</div>`;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // STEP 1 — FOLDER SELECTION DIALOG
 // ─────────────────────────────────────────────────────────────────────────────
@@ -545,7 +812,8 @@ async function showFolderSelectionDialog() {
  *
  * @param {string} rootName  - Display name of the root folder
  * @param {Array}  sections  - Output of flattenTree()
- * @returns {Promise<Array|"back"|null>} Filtered sections, "back", or null
+ * @returns {Promise<{sections: Array, imageMode: string, layout: string, autoRefresh: boolean}|"back"|null>}
+ *   Filtered sections and options, "back", or null
  */
 async function showActorSelectionDialog(rootName, sections) {
   // Build a lookup map so we can reconstruct sections from the DOM after reorder
@@ -605,6 +873,17 @@ async function showActorSelectionDialog(rootName, sections) {
           <option value="token">${t("sta-utils.crewManifest.tokens")}</option>
         </select>
       </div>
+      <div class="sta-manifest-pick-image-toggle">
+        <label>${t("sta-utils.crewManifest.layout")}</label>
+        <select name="layout">
+          ${LAYOUTS.map((layout) => `<option value="${layout}">${t(`sta-utils.crewManifest.layouts.${layout}`)}</option>`).join("")}
+        </select>
+      </div>
+      <label class="sta-manifest-pick-auto-refresh">
+        <input type="checkbox" name="autoRefresh" />
+        ${t("sta-utils.crewManifest.autoRefresh")}
+      </label>
+      <p class="notes">${t("sta-utils.crewManifest.autoRefreshHint")}</p>
       ${sectionBlocks}
     </div>`;
 
@@ -627,6 +906,8 @@ async function showActorSelectionDialog(rootName, sections) {
           return {
             sections: readSectionsFromDOM(el, sections, actorMap),
             imageMode,
+            layout: el.querySelector("[name=layout]")?.value || "folders",
+            autoRefresh: !!el.querySelector("[name=autoRefresh]")?.checked,
           };
         },
       },
@@ -876,8 +1157,12 @@ function getFolderDepth(folder) {
 /**
  * Create a new Journal Entry with the crew manifest content.
  * If a journal with the same name already exists, append a number.
+ *
+ * @param {string} folderName
+ * @param {string} html
+ * @param {object} source - What the manifest was built from (see buildManifestSource).
  */
-async function createManifestJournal(folderName, html) {
+async function createManifestJournal(folderName, html, source) {
   const baseName = `${folderName} — ${t("sta-utils.crewManifest.journalSuffix")}`;
 
   // Always create a new journal — number duplicates
@@ -890,7 +1175,7 @@ async function createManifestJournal(folderName, html) {
 
   const journal = await JournalEntry.create({
     name: journalName,
-    flags: { [MODULE_ID]: { crewManifest: true } },
+    flags: { [MODULE_ID]: { crewManifest: true, [SOURCE_FLAG]: source } },
     pages: [
       {
         name: t("sta-utils.crewManifest.pageTitle"),
@@ -907,6 +1192,295 @@ async function createManifestJournal(folderName, html) {
   journal.sheet.render(true, { focus: true });
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// REFRESH — rebuilding a manifest from its source folder
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Record what a manifest was built from, so it can be rebuilt later.
+ *
+ * Actors left unchecked in the wizard stay out of the manifest; actors
+ * added to the folder afterwards are included.  Drag-and-drop order is
+ * kept, and an actor dragged into another section stays there until it
+ * is moved to a different folder.
+ *
+ * @param {Folder} folder            - The root folder
+ * @param {Array}  allSections       - Every section offered in the wizard
+ * @param {Array}  finalSections     - The sections the GM kept
+ * @param {object} options
+ * @param {string} options.imageMode
+ * @param {string} options.layout
+ * @param {boolean} options.autoRefresh
+ * @returns {object} The journal's source flag.
+ */
+function buildManifestSource(
+  folder,
+  allSections,
+  finalSections,
+  { imageMode, layout, autoRefresh },
+) {
+  const homeKeys = new Map();
+  for (const section of allSections) {
+    for (const actor of section.actors) homeKeys.set(actor.id, section.key);
+  }
+
+  const order = [];
+  const placements = {};
+  for (const section of finalSections) {
+    for (const actor of section.actors) {
+      order.push(actor.id);
+      if (homeKeys.get(actor.id) !== section.key) {
+        placements[actor.id] = {
+          from: actor.folder?.id ?? null,
+          to: section.key,
+        };
+      }
+    }
+  }
+
+  const included = new Set(order);
+  return {
+    folderId: folder.id,
+    imageMode,
+    layout,
+    autoRefresh: !!autoRefresh,
+    order,
+    excluded: [...homeKeys.keys()].filter((id) => !included.has(id)),
+    placements,
+  };
+}
+
+/**
+ * The source flag of a manifest journal, or null for other journals and
+ * for manifests generated before sources were recorded.
+ */
+function getManifestSource(journal) {
+  const source = journal?.getFlag(MODULE_ID, SOURCE_FLAG);
+  return source?.folderId ? source : null;
+}
+
+/**
+ * Rebuild the sections of a manifest from the current contents of its
+ * source folder, applying the GM's exclusions, placements and order.
+ */
+function buildSourceSections(folder, source) {
+  const excluded = new Set(source.excluded ?? []);
+  const placements = source.placements ?? {};
+
+  const sections = hoistGroupShip(flattenTree(buildFolderTree(folder))).map(
+    (section) => ({
+      ...section,
+      actors: section.actors.filter((a) => !excluded.has(a.id)),
+    }),
+  );
+
+  const byKey = new Map(sections.map((s) => [s.key, s]));
+  for (const section of sections) {
+    for (const actor of [...section.actors]) {
+      const placement = placements[actor.id];
+      const target = byKey.get(placement?.to);
+      if (!target || target === section) continue;
+      if ((actor.folder?.id ?? null) !== placement.from) continue; // moved since
+      section.actors.splice(section.actors.indexOf(actor), 1);
+      target.actors.push(actor);
+    }
+  }
+
+  // Actors the GM arranged keep their order; newcomers follow, by rank.
+  const order = new Map((source.order ?? []).map((id, i) => [id, i]));
+  for (const section of sections) {
+    const known = section.actors
+      .filter((a) => order.has(a.id))
+      .sort((a, b) => order.get(a.id) - order.get(b.id));
+    const added = section.actors.filter((a) => !order.has(a.id));
+    section.actors = [...known, ...added];
+  }
+
+  return sections.filter((s) => s.actors.length > 0);
+}
+
+/**
+ * The actor UUID of a manifest card, read from its content link.
+ */
+function getCardUuid(card) {
+  const nameLine = card.querySelector(".sta-crew-manifest-name-line");
+  return nameLine?.textContent.match(/@UUID\[([^\]]+)\]/)?.[1] ?? null;
+}
+
+/**
+ * Put freshly built manifest HTML into existing page content.  Only the
+ * manifest block is replaced — anything the GM wrote above or below it
+ * is kept, and so are the notes written on each crew card.
+ *
+ * @param {string} content - The page's current HTML
+ * @param {string} html    - The rebuilt manifest
+ * @returns {string}
+ */
+function mergeManifestContent(content, html) {
+  const page = document.createElement("template");
+  page.innerHTML = content ?? "";
+
+  const notes = new Map();
+  for (const card of page.content.querySelectorAll(
+    ".sta-crew-manifest-crew-card",
+  )) {
+    const uuid = getCardUuid(card);
+    const note = card.querySelector(".sta-crew-manifest-notes");
+    if (uuid && note?.innerHTML.trim()) notes.set(uuid, note.innerHTML);
+  }
+
+  const manifest = document.createElement("template");
+  manifest.innerHTML = html;
+  for (const card of manifest.content.querySelectorAll(
+    ".sta-crew-manifest-crew-card",
+  )) {
+    const saved = notes.get(getCardUuid(card));
+    const note = card.querySelector(".sta-crew-manifest-notes");
+    if (saved && note) note.innerHTML = saved;
+  }
+
+  const existing = page.content.querySelector(".sta-crew-manifest");
+  if (existing) existing.replaceWith(manifest.content);
+  else page.content.append(manifest.content);
+  return page.innerHTML;
+}
+
+/**
+ * Whether a folder is the given root folder or lies somewhere inside it.
+ */
+function isInFolder(folder, rootId) {
+  while (folder) {
+    if (folder.id === rootId) return true;
+    folder = folder.folder;
+  }
+  return false;
+}
+
+/**
+ * Whether a manifest journal currently lists an actor.
+ */
+function manifestListsActor(journal, actor) {
+  const link = `@UUID[${actor.uuid}]`;
+  return journal.pages.some((p) => p.text?.content?.includes(link));
+}
+
+/** Pending automatic refreshes, by journal id. */
+const pendingRefreshes = new Map();
+
+/**
+ * Refresh a manifest shortly, once a burst of changes has settled.
+ */
+function scheduleRefresh(journalId) {
+  let refresh = pendingRefreshes.get(journalId);
+  if (!refresh) {
+    refresh = foundry.utils.debounce(() => {
+      pendingRefreshes.delete(journalId);
+      const journal = game.journal.get(journalId);
+      if (journal) refreshCrewManifest(journal, { notify: false });
+    }, AUTO_REFRESH_DELAY_MS);
+    pendingRefreshes.set(journalId, refresh);
+  }
+  refresh();
+}
+
+/**
+ * Schedule a refresh of every auto-refreshing manifest that an actor
+ * change affects: manifests built from a folder the actor is in, and
+ * manifests that list the actor (it may have just been moved out).
+ * Only the active GM refreshes, so manifests are written once.
+ */
+function onManifestActorChanged(actor) {
+  if (!game.users.activeGM?.isSelf) return;
+  for (const journal of game.journal) {
+    const source = getManifestSource(journal);
+    if (!source?.autoRefresh) continue;
+    if (
+      isInFolder(actor.folder, source.folderId) ||
+      manifestListsActor(journal, actor)
+    ) {
+      scheduleRefresh(journal.id);
+    }
+  }
+}
+
+/**
+ * Whether an actor update touches anything the manifest shows.
+ */
+function changesManifestFields(changes) {
+  return Object.keys(foundry.utils.flattenObject(changes)).some((key) =>
+    MANIFEST_FIELDS.some(
+      (field) => key === field || key.startsWith(`${field}.`),
+    ),
+  );
+}
+
+/**
+ * Let the GM edit the crew assignments of a manifest, then refresh it.
+ */
+async function editManifestAssignments(journal) {
+  const source = getManifestSource(journal);
+  const folder = game.folders.get(source?.folderId);
+  if (!folder) {
+    ui.notifications.error(t("sta-utils.crewManifest.folderNotFound"));
+    return;
+  }
+  const crew = buildSourceSections(folder, source)
+    .flatMap((s) => s.actors)
+    .filter((a) => !isVessel(a));
+  if (await editCrewAssignments(crew)) await refreshCrewManifest(journal);
+}
+
+/**
+ * Append "Refresh", crew assignment and auto-refresh toggle entries to
+ * the header controls of a manifest journal sheet.
+ *
+ * @param {Application} app        The application instance.
+ * @param {object[]}    controls   Mutable array of header control configs.
+ */
+function addManifestHeaderControls(app, controls) {
+  const journal = app.document;
+  if (!(journal instanceof JournalEntry) || !journal.isOwner) return;
+  const source = getManifestSource(journal);
+  if (!source) return;
+
+  // Guard against duplicate entries (hooks fire for each class in the MRO)
+  if (controls.some((c) => c.action === "refreshCrewManifest")) return;
+
+  controls.push(
+    {
+      action: "refreshCrewManifest",
+      icon: "fa-solid fa-arrows-rotate",
+      label: t("sta-utils.crewManifest.refresh"),
+      visible: true,
+      onClick: () => refreshCrewManifest(journal),
+    },
+    {
+      action: "editCrewManifestAssignments",
+      icon: "fa-solid fa-sitemap",
+      label: t("sta-utils.crewManifest.assignments.title"),
+      visible: game.user.isGM && (source.layout ?? "folders") !== "folders",
+      onClick: () => editManifestAssignments(journal),
+    },
+    {
+      action: "toggleCrewManifestAutoRefresh",
+      icon: source.autoRefresh
+        ? "fa-solid fa-toggle-on"
+        : "fa-solid fa-toggle-off",
+      label: t(
+        source.autoRefresh
+          ? "sta-utils.crewManifest.autoRefreshOff"
+          : "sta-utils.crewManifest.autoRefreshOn",
+      ),
+      visible: game.user.isGM,
+      onClick: () =>
+        journal.setFlag(MODULE_ID, SOURCE_FLAG, {
+          ...source,
+          autoRefresh: !source.autoRefresh,
+        }),
+    },
+  );
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // PUBLIC API
 // ─────────────────────────────────────────────────────────────────────────────
@@ -915,8 +1489,9 @@ async function createManifestJournal(folderName, html) {
  * Main entry point — called from a macro or the public API.
  * Two-step wizard:
  *   1. Pick an Actor folder
- *   2. Customize included categories / actors
- * Then generates a Journal Entry with the crew manifest.
+ *   2. Customize included categories / actors, image source and layout
+ * For the department, roster and org chart layouts the crew assignments
+ * are confirmed before the manifest is generated.  Then generates a Journal Entry with the crew manifest.
  */
 export async function crewManifest() {
   // Outer loop allows the "Back" button in step 2 to return to step 1
@@ -945,11 +1520,103 @@ export async function crewManifest() {
     if (result === "back") continue; // go back to step 1
     if (!result) return; // cancelled
 
-    const { sections: finalSections, imageMode } = result;
+    const { sections: finalSections, imageMode, layout, autoRefresh } = result;
     if (!finalSections || finalSections.length === 0) return; // nothing selected
 
-    const html = buildManifestHtml(folder.name, finalSections, imageMode);
-    await createManifestJournal(folder.name, html);
+    if (layout !== "folders") {
+      const crew = finalSections
+        .flatMap((s) => s.actors)
+        .filter((a) => !isVessel(a));
+      const confirmed =
+        crew.length === 0 ||
+        (await editCrewAssignments(crew, {
+          confirmLabel: t("sta-utils.crewManifest.generate"),
+        }));
+      if (!confirmed) return; // cancelled
+    }
+
+    const html = buildManifestHtml(
+      folder.name,
+      finalSections,
+      imageMode,
+      layout,
+    );
+    const source = buildManifestSource(folder, allSections, finalSections, {
+      imageMode,
+      layout,
+      autoRefresh,
+    });
+    await createManifestJournal(folder.name, html, source);
     return;
   }
 }
+
+/**
+ * Rebuild a manifest journal from its source folder.  Only the manifest
+ * block of the page is replaced; text around it and notes on crew cards
+ * are kept.
+ *
+ * @param {JournalEntry} journal
+ * @param {object}  [options]
+ * @param {boolean} [options.notify=true] - Show a notification when done.
+ * @returns {Promise<boolean>} Whether the manifest was refreshed.
+ */
+export async function refreshCrewManifest(journal, { notify = true } = {}) {
+  const source = getManifestSource(journal);
+  if (!source) {
+    if (notify) ui.notifications.warn(t("sta-utils.crewManifest.noSource"));
+    return false;
+  }
+  const folder = game.folders.get(source.folderId);
+  if (!folder) {
+    if (notify)
+      ui.notifications.error(t("sta-utils.crewManifest.folderNotFound"));
+    return false;
+  }
+
+  const html = buildManifestHtml(
+    folder.name,
+    buildSourceSections(folder, source),
+    source.imageMode,
+    source.layout,
+  );
+  const textPages = journal.pages.filter((p) => p.type === "text");
+  const page =
+    textPages.find((p) => p.text.content?.includes("sta-crew-manifest")) ??
+    textPages[0];
+
+  if (page) {
+    await page.update({
+      "text.content": mergeManifestContent(page.text.content, html),
+    });
+  } else {
+    await journal.createEmbeddedDocuments("JournalEntryPage", [
+      {
+        name: t("sta-utils.crewManifest.pageTitle"),
+        type: "text",
+        text: { content: html, format: 1 },
+      },
+    ]);
+  }
+
+  if (notify) {
+    ui.notifications.info(
+      `${t("sta-utils.crewManifest.updated")}: ${journal.name}`,
+    );
+  }
+  return true;
+}
+
+/**
+ * Install the manifest journal header controls and the actor hooks that
+ * keep auto-refreshing manifests current.  Call once during "init".
+ */
+export function installCrewManifestHooks() {
+  Hooks.on("getHeaderControlsJournalEntrySheet", addManifestHeaderControls);
+
+  Hooks.on("createActor", (actor) => onManifestActorChanged(actor));
+  Hooks.on("deleteActor", (actor) => onManifestActorChanged(actor));
+  Hooks.on("updateActor", (actor, changes) => {
+    if (changesManifestFields(changes)) onManifestActorChanged(actor);
+  });
+}
@@ -1,2 +1,6 @@
 // Crew Manifest — generates a Journal Entry crew manifest from a folder of actors
-export { crewManifest } from "./crew-manifest.mjs";
+export {
+  crewManifest,
+  refreshCrewManifest,
+  installCrewManifestHooks,
+} from "./crew-manifest.mjs";
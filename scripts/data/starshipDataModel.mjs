@@ -1,11 +1,17 @@
 /**
  * UtilsStarshipData — Extended TypeDataModel for the "starship" actor type.
  *
- * Adds the sta-utils reserve-power routing field to `actor.system`.
+ * Adds the sta-utils reserve-power routing and warp rating fields to
+ * `actor.system`.
  *
  * Fields migrated from flags:
  *  - reservePowerSystem  StringField (nullable) — which system key reserve power
  *    is currently routed to (e.g. "engines", "sensors", …), or null if none
+ *
+ * New fields:
+ *  - warp.cruise   NumberField (nullable) — cruise warp factor, used by the
+ *    warp calculators to flag legs that strain the engines
+ *  - warp.maximum  NumberField (nullable) — maximum warp factor
  */
 
 export function registerUtilsStarshipDataModel() {
@@ -27,6 +33,18 @@ export function registerUtilsStarshipDataModel() {
           nullable: true,
           initial: null,
         }),
+        warp: new fields.SchemaField({
+          cruise: new fields.NumberField({
+            nullable: true,
+            initial: null,
+            min: 0,
+          }),
+          maximum: new fields.NumberField({
+            nullable: true,
+            initial: null,
+            min: 0,
+          }),
+        }),
       };
     }
   }
@@ -4,6 +4,11 @@
  * Broadcasts dice pool dialog state changes to the GM in real time.
  * Attaches listeners to the dice pool form elements and sends updates via socket.
  *
+ * When the GM requires approval ("requireRollApproval" setting), the roll
+ * button of the sta-utils dice pool dialog submits the pool to the GM
+ * instead of rolling; the roll only goes ahead once the GM approves it
+ * from the dice pool monitor.
+ *
  * @module hooks/renderAppV2/dicePoolBroadcast
  */
 
@@ -23,6 +28,12 @@ const _instrumentedDialogs = new Set();
  */
 const _dialogRoots = new Map();
 
+/**
+ * Map of local dialogId -> approval gate, for dialogs awaiting GM approval.
+ * @type {Map<string, { approve: Function, reject: Function }>}
+ */
+const _approvalGates = new Map();
+
 /* ------------------------------------------------------------------ */
 /*  Actor detection                                                    */
 /* ------------------------------------------------------------------ */
@@ -267,6 +278,7 @@ async function _broadcastDicePoolState(root, actor, dialogId, extra = {}) {
       playerName: game.user.name,
       actorName: actor?.name ?? "Unknown",
       actorId: actor?.id ?? null,
+      awaitingApproval: root?.dataset?.staUtilsApproval === "pending",
       ...state,
       ...extra,
     });
@@ -332,6 +344,84 @@ function _attachBroadcastListeners(root, actor, dialogId) {
   }
 }
 
+/* ------------------------------------------------------------------ */
+/*  Approval gate                                                      */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Hold the roll button of a dialog that needs GM approval.  The first
+ * press submits the pool to the GM; the roll itself only runs once the GM
+ * approves, by replaying the button press.
+ *
+ * @param {HTMLElement} root - The dialog root element.
+ * @param {Actor|null} actor - The actor (if available).
+ * @param {string} dialogId - Global dialog ID.
+ * @param {string} localDialogId - Dialog ID on this client.
+ * @private
+ */
+function _installApprovalGate(root, actor, dialogId, localDialogId) {
+  const rollButton = root.querySelector('button[data-action="roll"]');
+  if (!rollButton) return;
+  const label = rollButton.querySelector("span") ?? rollButton;
+  const submitLabel = label.textContent;
+  let approved = false;
+
+  const setPending = (pending) => {
+    root.dataset.staUtilsApproval = pending ? "pending" : "required";
+    rollButton.disabled = pending;
+    label.textContent = pending
+      ? game.i18n.localize("sta-utils.dicePoolMonitor.approval.waiting")
+      : submitLabel;
+  };
+
+  const hold = (event) => {
+    if (approved) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    if (root.dataset.staUtilsApproval === "pending") return;
+    setPending(true);
+    _broadcastDicePoolState(root, actor, dialogId);
+  };
+  rollButton.addEventListener("click", hold, { capture: true });
+  // Enter in a field submits the form without clicking the button.
+  root.addEventListener("submit", hold, { capture: true });
+
+  _approvalGates.set(localDialogId, {
+    approve() {
+      approved = true;
+      root.dataset.staUtilsApproval = "approved";
+      rollButton.disabled = false;
+      rollButton.click();
+    },
+    reject() {
+      setPending(false);
+      _broadcastDicePoolState(root, actor, dialogId);
+      ui.notifications.warn(
+        game.i18n.localize("sta-utils.dicePoolMonitor.approval.rejected"),
+      );
+    },
+  });
+}
+
+/**
+ * Apply the GM's decision on a dice pool submitted for approval.
+ *
+ * @param {object} data
+ * @param {string} data.dialogId - The global dialog ID (format: "userId:localDialogId").
+ * @param {"approve"|"reject"} data.decision
+ */
+export function applyGMApproval({ dialogId, decision }) {
+  if (!dialogId) return;
+  const colonIndex = dialogId.indexOf(":");
+  const localDialogId =
+    colonIndex >= 0 ? dialogId.slice(colonIndex + 1) : dialogId;
+
+  const gate = _approvalGates.get(localDialogId);
+  if (!gate) return;
+  if (decision === "approve") gate.approve();
+  else gate.reject();
+}
+
 /* ------------------------------------------------------------------ */
 /*  Main hook handler                                                  */
 /* ------------------------------------------------------------------ */
@@ -372,6 +462,12 @@ export function installDicePoolBroadcast(app, root, _context) {
   // Detect actor using multiple fallback strategies
   const { actor } = _detectActor(app, root, _context);
 
+  // Hold the roll for GM approval first (the gate's capture listener must
+  // run before the "rolled" broadcast below).
+  if (root.dataset?.staUtilsApproval === "required") {
+    _installApprovalGate(root, actor, dialogId, localDialogId);
+  }
+
   // Attach listeners
   _attachBroadcastListeners(root, actor, dialogId);
 
@@ -383,6 +479,7 @@ export function installDicePoolBroadcast(app, root, _context) {
     app.addEventListener("close", () => {
       _instrumentedDialogs.delete(localDialogId);
       _dialogRoots.delete(localDialogId);
+      _approvalGates.delete(localDialogId);
       _broadcastDicePoolState(root, actor, dialogId, { closed: true });
     });
   }
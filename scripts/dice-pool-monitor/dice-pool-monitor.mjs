@@ -4,10 +4,13 @@
  * Shows a compact view of all players' dice pool dialog settings.
  * Displays each player's choices for focus, determination, complication range, and dice count.
  *
+ * When GM approval is required, submitted pools show Approve / Adjust /
+ * Reject controls; the monitor opens by itself when a pool is submitted.
+ *
  * @module hooks/renderAppV2/dicePoolMonitor
  */
 
-import { t } from "../core/i18n.mjs";
+import { t, tf } from "../core/i18n.mjs";
 import { MODULE_ID } from "../core/constants.mjs";
 
 const TEMPLATE_MONITOR = `modules/${MODULE_ID}/templates/dice-pool-monitor.hbs`;
@@ -26,6 +29,13 @@ const _removalTimers = new Map();
 /** Delay in ms before removing a closed/rolled dialog entry. */
 const REMOVAL_DELAY_MS = 30000;
 
+/**
+ * Updates for pools submitted for approval while the monitor was closed,
+ * keyed by dialogId.  Replayed once the monitor opens.
+ * @type {Map<string, object>}
+ */
+const _queuedUpdates = new Map();
+
 /* ------------------------------------------------------------------ */
 /*  Helpers                                                            */
 /* ------------------------------------------------------------------ */
@@ -46,11 +56,19 @@ function _boolIcon(value) {
 
 /**
  * Map status to display badge.
- * @param {string} status - "open" | "rolled" | "closed"
+ * @param {string} status - "open" | "awaiting" | "approved" | "rolled" | "closed"
  * @returns {string}
  */
 function _statusBadge(status) {
   switch (status) {
+    case "awaiting":
+      return `<span class="sta-dice-pool-monitor-status" data-status="awaiting">
+        <i class="fa-solid fa-hand"></i> ${t("sta-utils.dicePoolMonitor.approval.awaiting")}
+      </span>`;
+    case "approved":
+      return `<span class="sta-dice-pool-monitor-status" data-status="approved">
+        <i class="fa-solid fa-check"></i> ${t("sta-utils.dicePoolMonitor.approval.approved")}
+      </span>`;
     case "open":
       return `<span class="sta-dice-pool-monitor-status" data-status="open">
         <i class="fa-solid fa-dice"></i> ${t("sta-utils.dicePoolMonitor.open")}
@@ -100,6 +118,9 @@ function _getLabels() {
     department: t("sta-utils.dicePoolMonitor.department"),
     attribute: t("sta-utils.dicePoolMonitor.attribute"),
     discipline: t("sta-utils.dicePoolMonitor.discipline"),
+    approve: t("sta-utils.dicePoolMonitor.approval.approve"),
+    adjust: t("sta-utils.dicePoolMonitor.approval.adjust"),
+    reject: t("sta-utils.dicePoolMonitor.approval.reject"),
   };
 }
 
@@ -181,6 +202,73 @@ async function _addPlayerColumn(player) {
 
     // Attach edit button handler
     _attachEditButtonHandler(newCol, player.dialogId, player.userId);
+    _attachApprovalHandlers(newCol, player.dialogId, player.userId);
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Approval                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Attach click handlers to the Approve / Adjust / Reject controls of a
+ * player column.
+ * @param {HTMLElement} playerCol
+ * @param {string} dialogId
+ * @param {string} userId
+ * @private
+ */
+function _attachApprovalHandlers(playerCol, dialogId, userId) {
+  const bar = playerCol.querySelector(".sta-dice-pool-monitor-approval");
+  if (!bar) return;
+
+  bar.addEventListener("click", async (event) => {
+    const decision = event.target.closest("[data-approval]")?.dataset.approval;
+    if (!decision) return;
+
+    const isEditing = playerCol.classList.contains(
+      "sta-dice-pool-monitor-editing",
+    );
+    // Adjust opens the column's edit mode; edits reach the player's dialog
+    // as they are made, so Approve then rolls the adjusted pool.
+    if (decision === "adjust") {
+      if (!isEditing) _toggleEditMode(playerCol, dialogId, userId);
+      return;
+    }
+    if (isEditing) _toggleEditMode(playerCol, dialogId, userId);
+
+    bar.hidden = true;
+    const statusContainer = playerCol.querySelector(
+      ".sta-dice-pool-monitor-status-container",
+    );
+    if (statusContainer) {
+      statusContainer.innerHTML = _statusBadge(
+        decision === "approve" ? "approved" : "open",
+      );
+    }
+    await _sendApproval(dialogId, userId, decision);
+  });
+}
+
+/**
+ * Send the GM's decision on a submitted pool to the player.
+ * @param {string} dialogId
+ * @param {string} userId
+ * @param {"approve"|"reject"} decision
+ * @private
+ */
+async function _sendApproval(dialogId, userId, decision) {
+  try {
+    const { getModuleSocket } = await import("../core/socket.mjs");
+    const sock = getModuleSocket();
+    if (!sock) return;
+
+    await sock.executeAsUser("dicePoolApproval", userId, {
+      dialogId,
+      decision,
+    });
+  } catch (err) {
+    console.error("sta-utils | failed to send roll approval to player", err);
   }
 }
 
@@ -894,9 +982,26 @@ async function _sendGMUpdate(dialogId, userId, updates) {
  * @param {number} [data.dicePoolSlider]
  * @param {boolean} [data.rolled] - True when the player has rolled.
  * @param {boolean} [data.closed] - True when the player closed the dialog.
+ * @param {boolean} [data.awaitingApproval] - True while the player's pool
+ *   is submitted for GM approval.
  */
 export async function updateDicePoolMonitor(data) {
-  if (!_monitorEl) return;
+  if (!_monitorEl) {
+    // A pool submitted for approval opens the monitor for the GM.
+    if (data.awaitingApproval || _queuedUpdates.has(data.dialogId)) {
+      const opening = _queuedUpdates.size > 0;
+      _queuedUpdates.set(data.dialogId, data);
+      if (!opening) {
+        ui.notifications.info(
+          tf("sta-utils.dicePoolMonitor.approval.submitted", {
+            name: data.playerName ?? "",
+          }),
+        );
+        openDicePoolMonitor();
+      }
+    }
+    return;
+  }
 
   // Each dialog gets its own column, keyed by dialogId
   // This allows tracking multiple dice pool dialogs per player (e.g., character + ship)
@@ -974,6 +1079,14 @@ export async function updateDicePoolMonitor(data) {
   // Update ship-assist section
   _updateShipAssistSection(playerCol, data, isEditing);
 
+  // Approval controls are only offered while the pool awaits approval
+  const approvalBar = playerCol.querySelector(
+    ".sta-dice-pool-monitor-approval",
+  );
+  if (approvalBar) {
+    approvalBar.hidden = !data.awaitingApproval || data.rolled || data.closed;
+  }
+
   // Update status
   const statusContainer = playerCol.querySelector(
     ".sta-dice-pool-monitor-status-container",
@@ -987,6 +1100,9 @@ export async function updateDicePoolMonitor(data) {
       statusContainer.innerHTML = _statusBadge("closed");
       _scheduleRemoval(data.dialogId);
       _attachRemovalClickHandler(statusContainer, data.dialogId);
+    } else if (data.awaitingApproval) {
+      statusContainer.innerHTML = _statusBadge("awaiting");
+      _cancelRemoval(data.dialogId);
     } else {
       statusContainer.innerHTML = _statusBadge("open");
       // Cancel any pending removal if dialog becomes active again
@@ -1100,6 +1216,11 @@ export async function showDicePoolMonitor(players) {
     content,
     render: (_event, dialog) => {
       _monitorEl = dialog.element;
+
+      // Show pools that were submitted for approval before the monitor opened.
+      const queued = [..._queuedUpdates.values()];
+      _queuedUpdates.clear();
+      for (const data of queued) updateDicePoolMonitor(data);
     },
     buttons: [
       {
@@ -2,6 +2,7 @@
 export {
   installDicePoolBroadcast,
   applyGMUpdate,
+  applyGMApproval,
 } from "./dice-pool-broadcast.mjs";
 export {
   updateDicePoolMonitor,
@@ -58,6 +58,30 @@
  * );
  * ```
  *
+ * ### Register a post-roll automation (runs when a task roll card renders):
+ *
+ * ```js
+ * game.staUtils.dicePool.registerPostRoll(
+ *   "My Talent",
+ *   (result, card) => {
+ *     // result: { actor, talent, successes, complications, dice,
+ *     //           usingDetermination, usingFocus, isShipAssist, ... }
+ *     card.addNote(`${result.successes} successes`);
+ *   },
+ *   { talent: "My Talent", appliesTo: (result) => result.complications > 0 },
+ * );
+ * ```
+ *
+ * ### Read what a task roll rolled:
+ *
+ * ```js
+ * // Rolls made through sta-utils carry flags["sta-utils"].taskResult
+ * // (attribute, discipline, dice, target, successes, complications,
+ * // difficulty, focus, determination and ship-assist leg).
+ * const result = game.staUtils.dicePool.getTaskRollResult(message);
+ * console.log(result?.successes, result?.data?.shipAssist);
+ * ```
+ *
  * ### Lower-level: show the dialog only, then execute separately:
  *
  * ```js
@@ -88,6 +112,11 @@ import {
 import { showDicePoolDialog } from "./dice-pool-dialog.mjs";
 import { executeTaskRoll, runMiddleware } from "./execute-task-roll.mjs";
 import { installRerollOverride } from "./reroll-override.mjs";
+import {
+  registerPostRollAutomation,
+  getPostRollAutomations,
+  getTaskRollResult,
+} from "./post-roll.mjs";
 
 /* ------------------------------------------------------------------ */
 /*  Constants                                                          */
@@ -208,6 +237,8 @@ function _ensureOverrideInstalled() {
  * @param {string}  [opts.shipAssist.starshipId]   - Actor ID of the starship.
  * @param {string}  [opts.shipAssist.system]       - System key.
  * @param {string}  [opts.shipAssist.department]   - Department key.
+ * @param {number}  [opts.difficulty]     - The task's Difficulty, when known.
+ *   Fills in the odds panel and is recorded with the roll result.
  * @returns {Promise<{ taskData: object, isShipAssist: boolean, determinationValueId: string } | null>}
  *   Resolves with the final taskData and metadata, or `null` if the
  *   dialog was cancelled.
@@ -254,6 +285,7 @@ export async function rollTask(opts = {}) {
  * @param {string}  [opts.shipAssist.starshipId]
  * @param {string}  [opts.shipAssist.system]
  * @param {string}  [opts.shipAssist.department]
+ * @param {number}  [opts.difficulty]   - The task's Difficulty, when known.
  * @returns {Promise<{ taskData: object, isShipAssist: boolean, determinationValueId: string } | null>}
  */
 export async function showDialog(opts = {}) {
@@ -267,6 +299,7 @@ export async function showDialog(opts = {}) {
     determination = false,
     reservePower = false,
     shipAssist,
+    difficulty = null,
   } = opts;
 
   // Attribute / discipline: use explicit value, or fall back to what's
@@ -373,6 +406,7 @@ export async function showDialog(opts = {}) {
     injectReservePower: false, // dice-pool-selectors.hbs already has it
     preSelectDeterminationValue:
       typeof determination === "string" ? determination : null,
+    difficulty,
   });
 
   if (!dialogResult) return null;
@@ -449,6 +483,7 @@ export async function showDialog(opts = {}) {
     usingDetermination,
     usingReservePower,
     complicationRange: finalCompRange,
+    difficulty: dialogResult.difficulty,
   };
 
   // --- Run talent automation middleware ---
@@ -505,6 +540,8 @@ export { executeTaskRoll as executeRoll } from "./execute-task-roll.mjs";
  *   (default false).
  * @param {boolean}  [opts.showInfo]    - Show as info-only in the dialog
  *   (default false).
+ * @param {boolean}  [opts.defaultEnabled] - Whether the toggle starts
+ *   checked (default true).
  * @param {Function} [opts.appliesTo]   - `(context) => boolean`
  *
  *   `context` fields passed to `fn` and `appliesTo`:
@@ -529,7 +566,7 @@ export function registerMiddleware(name, fn, opts = {}) {
  * Return the live list of registered middleware entries.
  * Read-only — use {@link registerMiddleware} to add new entries.
  *
- * @returns {Array<{ name: string, fn: Function, description: string, showToggle: boolean, showInfo: boolean, appliesTo: Function|null }>}
+ * @returns {Array<{ name: string, fn: Function, description: string, showToggle: boolean, showInfo: boolean, defaultEnabled: boolean, appliesTo: Function|null }>}
  */
 export function getMiddleware() {
   return getRegisteredMiddleware();
@@ -596,4 +633,21 @@ export const dicePoolApi = Object.freeze({
    * Run the middleware pipeline on custom taskData.
    */
   applyMiddleware,
+
+  /**
+   * Register a post-roll automation that can add buttons or notes to
+   * task roll chat cards.
+   * @see registerPostRollAutomation
+   */
+  registerPostRoll: registerPostRollAutomation,
+
+  /**
+   * Return the live array of registered post-roll automations.
+   */
+  getPostRollAutomations,
+
+  /**
+   * Read the structured result of a task roll from a chat message.
+   */
+  getTaskRollResult,
 });
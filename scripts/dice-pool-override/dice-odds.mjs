@@ -0,0 +1,112 @@
+/**
+ * Dice Pool Odds
+ *
+ * Exact probability math for STA task rolls, used by the live odds panel
+ * in the dice pool dialog.
+ *
+ * Each d20 scores one success at or under the target number and two at or
+ * under the critical threshold (the discipline with Focus, double it with
+ * Dedicated Focus, or a natural 1 otherwise). A die at or above
+ * `21 - complicationRange` is a complication. Determination (and Reserve
+ * Power on the ship) replaces one rolled die with an automatic 1.
+ * Assisting ship dice are combined with `combineAssistSuccesses` exactly
+ * like the split-assist roll path.
+ */
+
+import { combineAssistSuccesses } from "./assist-successes.mjs";
+
+/**
+ * @typedef {object} RollLeg
+ * @property {number}  dicePool          - Dice in the pool, including a Determination die.
+ * @property {number}  target            - Attribute + Discipline (or System + Department).
+ * @property {number}  critTarget        - Highest face that scores two successes.
+ * @property {number}  complicationRange - Complication range (1–20).
+ * @property {boolean} [determination]   - One die is set to 1.
+ */
+
+/**
+ * Distribution of successes and complications for one leg of a roll.
+ *
+ * @param {RollLeg} leg
+ * @returns {number[][]} `dist[successes][complicated ? 1 : 0]` probabilities.
+ */
+function _legDistribution(leg) {
+  const target = Number(leg.target) || 0;
+  const crit = Math.min(Number(leg.critTarget) || 1, target);
+  const range = Math.clamp(Number(leg.complicationRange) || 1, 1, 20);
+  const complicationMin = 21 - range;
+  const pool = Math.max(0, Number(leg.dicePool) || 0);
+  const fixed = leg.determination && pool > 0 ? 1 : 0;
+
+  const faces = Array.from({ length: 20 }, (_, i) => {
+    const face = i + 1;
+    return {
+      successes: face <= crit ? 2 : face <= target ? 1 : 0,
+      complication: face >= complicationMin,
+    };
+  });
+
+  // The Determination die always shows a 1.
+  let dist = [[1, 0]];
+  if (fixed) {
+    dist = [[0, 0], [0, 0], complicationMin <= 1 ? [0, 1] : [1, 0]];
+  }
+
+  for (let d = fixed; d < pool; d++) {
+    const next = Array.from({ length: dist.length + 2 }, () => [0, 0]);
+    dist.forEach(([clean, complicated], successes) => {
+      for (const face of faces) {
+        const row = next[successes + face.successes];
+        if (face.complication) {
+          row[1] += (clean + complicated) / 20;
+        } else {
+          row[0] += clean / 20;
+          row[1] += complicated / 20;
+        }
+      }
+    });
+    dist = next;
+  }
+  return dist;
+}
+
+/**
+ * Compute the odds of a task roll.
+ *
+ * @param {RollLeg & { difficulty: number, ship?: RollLeg|null }} opts
+ *   The main leg, the task Difficulty and an optional assisting ship leg.
+ * @returns {{ successChance: number, expectedSuccesses: number, expectedMomentum: number, complicationChance: number }}
+ */
+export function computeTaskOdds({ difficulty, ship = null, ...main }) {
+  const mainDist = _legDistribution(main);
+  const shipDist = ship ? _legDistribution(ship) : [[1, 0]];
+  const needed = Math.max(0, Number(difficulty) || 0);
+
+  let successChance = 0;
+  let expectedSuccesses = 0;
+  let expectedMomentum = 0;
+  let cleanChance = 0;
+
+  mainDist.forEach(([mainClean, mainComplicated], mainSuccesses) => {
+    shipDist.forEach(([shipClean, shipComplicated], shipSuccesses) => {
+      const p = (mainClean + mainComplicated) * (shipClean + shipComplicated);
+      cleanChance += mainClean * shipClean;
+      if (!p) return;
+      const total = ship
+        ? combineAssistSuccesses(mainSuccesses, shipSuccesses)
+        : mainSuccesses;
+      expectedSuccesses += p * total;
+      if (total >= needed) {
+        successChance += p;
+        expectedMomentum += p * (total - needed);
+      }
+    });
+  });
+
+  return {
+    successChance,
+    expectedSuccesses,
+    expectedMomentum,
+    complicationChance: 1 - cleanChance,
+  };
+}
@@ -2,8 +2,8 @@
  * Shared Dice Pool Dialog
  *
  * Centralises the dice pool dialog UI: template rendering, automations
- * section, momentum/threat helper, reserve-power checkbox injection,
- * ship-assist toggle wiring, and form-data collection.
+ * section, momentum/threat helper, odds panel, reserve-power checkbox
+ * injection, ship-assist toggle wiring, and form-data collection.
  *
  * Both `_overriddenAttributeTest` (actor-sheet path) and the Action
  * Chooser's `buildTaskData` delegate here instead of duplicating the
@@ -11,7 +11,16 @@
  */
 
 import { MODULE_ID } from "../core/constants.mjs";
-import { getRegisteredMiddleware } from "./dice-pool-override.mjs";
+import { t } from "../core/i18n.mjs";
+import {
+  isRollApprovalRequired,
+  shouldShowDicePoolOdds,
+} from "../core/settings.mjs";
+import {
+  getRegisteredMiddleware,
+  isMiddlewareEnabled,
+} from "./dice-pool-override.mjs";
+import { computeTaskOdds } from "./dice-odds.mjs";
 
 /* ------------------------------------------------------------------ */
 /*  Internal helpers                                                   */
@@ -43,7 +52,8 @@ function _buildAutomationsHtml(visible, preservedStates = {}) {
         ? `<span class="sta-utils-automation-desc">${mw.description}</span>`
         : "";
       if (mw.showToggle) {
-        const checked = idx in preservedStates ? preservedStates[idx] : true;
+        const checked =
+          idx in preservedStates ? preservedStates[idx] : mw.defaultEnabled;
         return `<div class="row sta-utils-automation-row">
             <label class="sta-utils-automation-label" for="${id}" title="${mw.description || mw.name}">
               <span class="sta-utils-automation-name">${mw.name}</span>${desc}
@@ -75,6 +85,7 @@ function _buildAutomationsHtml(visible, preservedStates = {}) {
  *
  * @param {HTMLElement} dialogEl
  * @param {object}      baseCtx - Fallback context fields (actor, selectedSystem, selectedDepartment)
+ *   Attribute / discipline are always read from the dialog or sheet.
  */
 function _refreshAutomationsSection(dialogEl, baseCtx) {
   const preserved = {};
@@ -109,6 +120,7 @@ function _refreshAutomationsSection(dialogEl, baseCtx) {
     isShipAssist: isAssisting,
     selectedSystem,
     selectedDepartment,
+    ..._readSelectedAttributeDiscipline(dialogEl, baseCtx.actor),
   };
 
   const visible = _getVisibleMiddleware(ctx);
@@ -123,6 +135,35 @@ function _refreshAutomationsSection(dialogEl, baseCtx) {
   }
 }
 
+/**
+ * Attribute and discipline keys the roll will use: the dialog's own
+ * selects when present (Action Chooser, roll API), otherwise the checked
+ * selectors on the actor's sheet. Keys are null when unknown (e.g. the
+ * incidental NPC roll, which only takes values).
+ *
+ * @param {HTMLElement} dialogEl
+ * @param {Actor|null}  actor
+ * @returns {{ selectedAttribute: string|null, selectedDiscipline: string|null }}
+ */
+function _readSelectedAttributeDiscipline(dialogEl, actor) {
+  const sheetEl = actor?.sheet?.element ?? null;
+  const attrSelect = dialogEl.querySelector("#attribute");
+  const discSelect = dialogEl.querySelector("#discipline");
+  const incidental = !!dialogEl.querySelector("#incidental-attribute-value");
+  return {
+    selectedAttribute: attrSelect
+      ? attrSelect.value || null
+      : incidental
+        ? null
+        : _readSheetSelector(sheetEl, ".attribute-block", "attribute").key,
+    selectedDiscipline: discSelect
+      ? discSelect.value || null
+      : incidental
+        ? null
+        : _readSheetSelector(sheetEl, ".discipline-block", "discipline").key,
+  };
+}
+
 /**
  * Run all applicable middleware on `previewData` synchronously (fire-and-
  * forget for any async functions — these talent helpers are all sync in
@@ -130,16 +171,19 @@ function _refreshAutomationsSection(dialogEl, baseCtx) {
  *
  * @param {object} previewData - Mutable preview taskData object.
  * @param {object} ctx         - Middleware context.
+ * @param {Record<string, boolean>} [automationStates={}] - Dialog checkbox
+ *   states; disabled automations are skipped like in `runMiddleware`.
  */
-function _runPreviewMiddleware(previewData, ctx) {
-  for (const mw of _middleware()) {
-    if (mw.appliesTo && !mw.appliesTo(ctx)) continue;
+function _runPreviewMiddleware(previewData, ctx, automationStates = {}) {
+  _middleware().forEach((mw, idx) => {
+    if (!isMiddlewareEnabled(idx, automationStates)) return;
+    if (mw.appliesTo && !mw.appliesTo(ctx)) return;
     try {
       mw.fn(previewData, ctx);
     } catch {
       // ignore preview errors
     }
-  }
+  });
 }
 
 /**
@@ -526,6 +570,314 @@ function _wireDedicatedFocusAutoSelect(dialogEl) {
   });
 }
 
+/* ------------------------------------------------------------------ */
+/*  Odds panel                                                         */
+/* ------------------------------------------------------------------ */
+
+/** Difficulty last entered in the odds panel, kept for the session. */
+let _oddsDifficulty = 1;
+
+const NPC_CREW_VALUES = {
+  basic: [8, 1],
+  proficient: [9, 2],
+  talented: [10, 3],
+  exceptional: [11, 4],
+};
+
+/**
+ * Read the checked selector in a sheet block and its value input, the same
+ * way the actor-sheet roll path does.
+ *
+ * @param {HTMLElement|null} sheetEl
+ * @param {string} blockSelector - e.g. ".attribute-block"
+ * @param {string} selectorClass - e.g. "attribute"
+ * @returns {{ key: string|null, value: number }}
+ */
+function _readSheetSelector(sheetEl, blockSelector, selectorClass) {
+  const checked = Array.from(
+    sheetEl?.querySelectorAll(`${blockSelector} .selector.${selectorClass}`) ??
+      [],
+  ).find((cb) => cb.checked);
+  if (!checked) return { key: null, value: 0 };
+  const key = checked.id.replace(".selector", "");
+  return {
+    key,
+    value: parseInt(sheetEl.querySelector(`#${key}`)?.value, 10) || 0,
+  };
+}
+
+/**
+ * Assemble preview taskData from the dialog (and the actor's sheet) and run
+ * the automations that the roll itself would run, so the odds reflect
+ * talent changes to the pool and complication range.
+ *
+ * @param {HTMLElement} dialogEl
+ * @param {object}      baseCtx         - Seed context (actor, selectedSystem…).
+ * @param {boolean}     hasShipAssistUI
+ * @returns {object} Arguments for `computeTaskOdds` (without difficulty),
+ *   plus any `difficultyModifier` set by automations.
+ */
+function _buildOddsInput(dialogEl, baseCtx, hasShipAssistUI) {
+  const actor = baseCtx.actor;
+  const sheetEl = actor?.sheet?.element ?? null;
+  const form =
+    dialogEl.querySelector("#dice-pool-form")?.closest("form") ??
+    dialogEl.querySelector("form");
+  const checked = (sel) => dialogEl.querySelector(sel)?.checked ?? false;
+
+  // Attribute / discipline come from the dialog's own selects (Action
+  // Chooser, roll API), the incidental NPC inputs, or the actor's sheet.
+  const attrSelect = dialogEl.querySelector("#attribute");
+  const discSelect = dialogEl.querySelector("#discipline");
+  const incidentalAttr = dialogEl.querySelector("#incidental-attribute-value");
+  const incidentalDep = dialogEl.querySelector("#incidental-department-value");
+  const fromSheet = !attrSelect && !incidentalAttr;
+  const attribute = attrSelect
+    ? {
+        key: attrSelect.value,
+        value: actor?.system?.attributes?.[attrSelect.value]?.value ?? 0,
+      }
+    : incidentalAttr
+      ? { key: null, value: parseInt(incidentalAttr.value, 10) || 0 }
+      : _readSheetSelector(sheetEl, ".attribute-block", "attribute");
+  const discipline = discSelect
+    ? {
+        key: discSelect.value,
+        value: actor?.system?.disciplines?.[discSelect.value]?.value ?? 0,
+      }
+    : incidentalDep
+      ? { key: null, value: parseInt(incidentalDep.value, 10) || 0 }
+      : _readSheetSelector(sheetEl, ".discipline-block", "discipline");
+  let system = _readSheetSelector(sheetEl, ".systems-block", "system");
+  let department = _readSheetSelector(
+    sheetEl,
+    ".departments-block",
+    "department",
+  );
+
+  const taskData = {
+    selectedAttribute: attribute.key,
+    selectedAttributeValue: attribute.value,
+    selectedDiscipline: discipline.key,
+    selectedDisciplineValue: discipline.value,
+    dicePool:
+      parseInt(dialogEl.querySelector("#dicePoolSlider")?.value, 10) || 1,
+    usingFocus: checked("#usingFocus"),
+    usingDedicatedFocus: checked("#usingDedicatedFocus"),
+    usingDetermination:
+      checked("#usingDetermination") ||
+      Boolean(dialogEl.querySelector("#determinationValueId")?.value),
+    usingReservePower: checked("#usingReservePower"),
+    complicationRange:
+      parseInt(dialogEl.querySelector("#complicationRange")?.value, 10) || 1,
+    skillLevel: dialogEl.querySelector("[name='skillLevel']")?.value ?? "",
+  };
+
+  if (
+    fromSheet &&
+    sheetEl?.querySelector('.rollrepnotdis input[type="checkbox"]')?.checked
+  ) {
+    taskData.selectedDisciplineValue =
+      parseInt(sheetEl.querySelector("#total-rep")?.value, 10) || 0;
+  }
+
+  // Ship assist: NPC crew on a starship sheet, or a ship helping a character.
+  const isShipAssist = checked("#starshipAssisting");
+  let starship = null;
+  if (isShipAssist && taskData.skillLevel) {
+    [taskData.selectedAttributeValue, taskData.selectedDisciplineValue] =
+      NPC_CREW_VALUES[taskData.skillLevel] ?? NPC_CREW_VALUES.basic;
+    starship = actor;
+  } else if (isShipAssist) {
+    starship = game.actors.get(dialogEl.querySelector("#starship")?.value);
+    const sysKey = dialogEl.querySelector("#system")?.value ?? null;
+    const depKey = dialogEl.querySelector("#department")?.value ?? null;
+    system = {
+      key: sysKey,
+      value: starship?.system?.systems?.[sysKey]?.value ?? 0,
+    };
+    department = {
+      key: depKey,
+      value: starship?.system?.departments?.[depKey]?.value ?? 0,
+    };
+  }
+  Object.assign(taskData, {
+    selectedSystem: system.key ?? baseCtx.selectedSystem ?? null,
+    selectedSystemValue: system.value,
+    selectedDepartment: department.key ?? baseCtx.selectedDepartment ?? null,
+    selectedDepartmentValue: department.value,
+  });
+
+  // Same rule as the roll: the starship-sheet path already applied its
+  // automations to the dialog defaults unless NPC crew is rolling.
+  if (hasShipAssistUI || isShipAssist) {
+    const automationStates = {};
+    dialogEl.querySelectorAll("[data-middleware-index]").forEach((cb) => {
+      automationStates[cb.dataset.middlewareIndex] = cb.checked;
+    });
+    _runPreviewMiddleware(
+      taskData,
+      {
+        actor: isShipAssist && taskData.skillLevel ? starship : actor,
+        starship: isShipAssist ? starship : null,
+        formData: form ? new FormData(form) : null,
+        isShipAssist,
+        selectedAttribute: taskData.selectedAttribute,
+        selectedDiscipline: taskData.selectedDiscipline,
+        selectedSystem: taskData.selectedSystem,
+        selectedDepartment: taskData.selectedDepartment,
+        baseComplicationRange: taskData.complicationRange,
+      },
+      automationStates,
+    );
+  }
+
+  const focusMultiplier = taskData.usingDedicatedFocus ? 2 : 1;
+  const difficultyModifier = Number(taskData.difficultyModifier) || 0;
+  if (!isShipAssist) {
+    const disDep =
+      taskData.selectedDisciplineValue + taskData.selectedDepartmentValue;
+    return {
+      difficultyModifier,
+      dicePool: taskData.dicePool,
+      target:
+        taskData.selectedAttributeValue + taskData.selectedSystemValue + disDep,
+      critTarget: taskData.usingFocus ? disDep * focusMultiplier : 1,
+      complicationRange: taskData.complicationRange,
+      determination: taskData.usingDetermination || taskData.usingReservePower,
+    };
+  }
+
+  const hasShipLeg = starship && taskData.selectedSystem !== "none";
+  return {
+    difficultyModifier,
+    dicePool: taskData.dicePool,
+    target: taskData.selectedAttributeValue + taskData.selectedDisciplineValue,
+    critTarget: taskData.usingFocus
+      ? taskData.selectedDisciplineValue * focusMultiplier
+      : 1,
+    complicationRange:
+      taskData.characterComplicationRange ?? taskData.complicationRange,
+    determination: taskData.usingDetermination,
+    ship: hasShipLeg
+      ? {
+          dicePool: taskData.shipDicePool ?? 1,
+          target:
+            taskData.selectedSystemValue + taskData.selectedDepartmentValue,
+          critTarget: taskData.selectedDepartmentValue,
+          complicationRange:
+            taskData.shipComplicationRange ?? taskData.complicationRange,
+          determination: taskData.usingReservePower,
+        }
+      : null,
+  };
+}
+
+/**
+ * Recompute and display the odds for the dialog's current settings.
+ *
+ * @param {HTMLElement} dialogEl
+ * @param {object}      baseCtx
+ * @param {boolean}     hasShipAssistUI
+ */
+function _refreshOddsPanel(dialogEl, baseCtx, hasShipAssistUI) {
+  const panel = dialogEl.querySelector(".sta-utils-dice-odds");
+  if (!panel) return;
+
+  let odds;
+  try {
+    const { difficultyModifier, ...input } = _buildOddsInput(
+      dialogEl,
+      baseCtx,
+      hasShipAssistUI,
+    );
+    odds = computeTaskOdds({
+      ...input,
+      difficulty: Math.max(0, _oddsDifficulty + difficultyModifier),
+    });
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Dice pool odds preview failed`, err);
+    return;
+  }
+
+  const percent = (p) => `${Math.round(p * 100)}%`;
+  const values = {
+    success: percent(odds.successChance),
+    expectedSuccesses: odds.expectedSuccesses.toFixed(1),
+    expectedMomentum: odds.expectedMomentum.toFixed(1),
+    complication: percent(odds.complicationChance),
+  };
+  for (const [key, value] of Object.entries(values)) {
+    const cell = panel.querySelector(`[data-odds="${key}"]`);
+    if (cell) cell.textContent = value;
+  }
+}
+
+/**
+ * Add the live odds panel to the bottom of the dice pool form and keep it
+ * in sync with every dialog control and the actor sheet's selectors.
+ *
+ * @param {HTMLElement} dialogEl
+ * @param {object}      baseCtx
+ * @param {boolean}     hasShipAssistUI
+ */
+function _installOddsPanel(dialogEl, baseCtx, hasShipAssistUI) {
+  if (!shouldShowDicePoolOdds()) return;
+  const form = dialogEl.querySelector("#dice-pool-form");
+  if (!form || dialogEl.querySelector(".sta-utils-dice-odds")) return;
+
+  const label = (key) => game.i18n.localize(`sta-utils.dicePool.odds.${key}`);
+  const stat = (key) => `
+      <div class="sta-utils-dice-odds-stat">
+        <span class="sta-utils-dice-odds-value" data-odds="${key}"></span>
+        <span class="sta-utils-dice-odds-label">${label(key)}</span>
+      </div>`;
+
+  // The difficulty input has no name so it never reaches the roll FormData.
+  form.insertAdjacentHTML(
+    "beforeend",
+    `<div class="sta-utils-dice-odds">
+      <div class="sta-utils-dice-odds-header">
+        <span><i class="fa-solid fa-chart-simple"></i> ${label("title")}</span>
+        <label for="sta-utils-odds-difficulty">${label("difficulty")}</label>
+        <input class="numeric-entry" type="number" min="0" max="20"
+               id="sta-utils-odds-difficulty" value="${_oddsDifficulty}">
+      </div>
+      <div class="sta-utils-dice-odds-grid">
+        ${["success", "expectedSuccesses", "expectedMomentum", "complication"]
+          .map(stat)
+          .join("")}
+      </div>
+    </div>`,
+  );
+
+  // Only a Difficulty entered for this roll is recorded with it; the
+  // value carried over from an earlier dialog is just a preview.
+  dialogEl
+    .querySelector("#sta-utils-odds-difficulty")
+    .addEventListener("input", (event) => {
+      _oddsDifficulty = Math.max(0, parseInt(event.target.value, 10) || 0);
+      dialogEl.dataset.staUtilsDifficultyEntered = "true";
+    });
+
+  // Delegated, so it also covers the automations section when rebuilt.
+  // Runs after the controls' own listeners have updated dependent fields.
+  const refresh = () => _refreshOddsPanel(dialogEl, baseCtx, hasShipAssistUI);
+  dialogEl.addEventListener("input", refresh);
+  dialogEl.addEventListener("change", refresh);
+
+  // The sheet path reads attribute / discipline from the sheet checkboxes.
+  const sheetEl = baseCtx.actor?.sheet?.element;
+  if (sheetEl) {
+    sheetEl.addEventListener("change", (event) => {
+      if (!form.isConnected) return;
+      if (event.target.matches?.(".selector")) refresh();
+    });
+  }
+
+  refresh();
+}
+
 /* ------------------------------------------------------------------ */
 /*  Public API                                                         */
 /* ------------------------------------------------------------------ */
@@ -533,8 +885,8 @@ function _wireDedicatedFocusAutoSelect(dialogEl) {
 /**
  * Show the standard STA-Utils dice pool dialog.
  *
- * Renders automations, momentum/threat helper, reserve-power checkbox,
- * and ship-assist wiring — all in one place.
+ * Renders automations, momentum/threat helper, odds panel, reserve-power
+ * checkbox, and ship-assist wiring — all in one place.
  *
  * @param {object} opts
  * @param {string} opts.html              - Pre-rendered dialog content HTML.
@@ -553,9 +905,13 @@ function _wireDedicatedFocusAutoSelect(dialogEl) {
  *   title. Defaults to the localized "sta.apps.dicepoolwindow" value.
  * @param {Function|null} [opts.onRender=null] - Optional callback invoked
  *   after the dialog's internal render wiring is complete.
- * @returns {Promise<{ formData: FormData, automationStates: Record<string, boolean> } | null>}
- *   Resolved with the collected form data and automation checkbox states,
- *   or `null` if the dialog was cancelled.
+ * @param {number|null} [opts.difficulty=null] - The task's Difficulty when
+ *   it is known (e.g. set by a roll request).  Fills in the odds panel.
+ * @returns {Promise<{ formData: FormData, automationStates: Record<string, boolean>, determinationValueId: string, difficulty: number|null } | null>}
+ *   Resolved with the collected form data, automation checkbox states and
+ *   the Difficulty — `opts.difficulty`, or the one entered in the odds
+ *   panel for this roll; null when neither — or `null` if the dialog was
+ *   cancelled.
  */
 export async function showDicePoolDialog(opts) {
   const {
@@ -568,11 +924,22 @@ export async function showDicePoolDialog(opts) {
     title = null,
     onRender = null,
     dialogWidth = 350,
+    difficulty = null,
   } = opts;
 
   const api = foundry.applications.api;
+  // Players submit the roll for approval when the GM requires it and is
+  // around to give it (see dice-pool-broadcast.mjs for the gate itself).
+  const needsApproval =
+    isRollApprovalRequired() && !game.user.isGM && !!game.users.activeGM;
   let _automationStates = {};
   let _determinationValueId = "";
+  let _difficulty = null;
+  const knownDifficulty =
+    difficulty != null && Number.isFinite(Number(difficulty))
+      ? Math.max(0, Math.trunc(Number(difficulty)))
+      : null;
+  if (knownDifficulty !== null) _oddsDifficulty = knownDifficulty;
 
   const formData = await api.DialogV2.wait({
     window: {
@@ -586,6 +953,7 @@ export async function showDicePoolDialog(opts) {
     classes: ["dialogue"],
     render: (event, dialog) => {
       const el = dialog.element;
+      if (needsApproval) el.dataset.staUtilsApproval = "required";
 
       // --- Pre-select group ship in dropdown (before anything else reads it) ---
       // Only set the select value; leave the checkbox unchecked and section
@@ -746,6 +1114,27 @@ export async function showDicePoolDialog(opts) {
       // --- Attribute/discipline ↔ sheet checkbox sync ---
       _wireAttributeDialogSync(el, applicabilityContext.actor);
 
+      // --- Attribute / discipline changes re-evaluate automations ---
+      // Some talents only apply to a particular attribute or discipline.
+      const refreshForSelection = () => {
+        _refreshAutomationsSection(el, applicabilityContext);
+        dialog.setPosition({ height: "auto" });
+      };
+      for (const sel of ["#attribute", "#discipline"]) {
+        el.querySelector(sel)?.addEventListener("change", refreshForSelection);
+      }
+      applicabilityContext.actor?.sheet?.element?.addEventListener(
+        "change",
+        (ev) => {
+          if (!el.isConnected) return;
+          if (
+            ev.target.matches?.(".selector.attribute, .selector.discipline")
+          ) {
+            refreshForSelection();
+          }
+        },
+      );
+
       // --- Live-update reserve power checkbox on external actor changes ---
       // Registered here so that editing the ship while the dialog is open
       // updates the checkbox without re-rendering the dialog or losing state.
@@ -792,12 +1181,19 @@ export async function showDicePoolDialog(opts) {
           );
         }
       }
+
+      // --- Live odds panel ---
+      // Installed last so it sees any values the onRender callback filled in.
+      _installOddsPanel(el, applicabilityContext, hasShipAssistUI);
+      dialog.setPosition({ height: "auto" });
     },
     buttons: [
       {
         action: "roll",
         default: true,
-        label: game.i18n.localize("sta.apps.rolldice"),
+        label: needsApproval
+          ? t("sta-utils.dicePoolMonitor.approval.submit")
+          : game.i18n.localize("sta.apps.rolldice"),
         callback: (event, button, dialog) => {
           // Capture automation checkbox states before the dialog closes
           dialog.element
@@ -814,6 +1210,11 @@ export async function showDicePoolDialog(opts) {
             _determinationValueId = deterSelect.value || "";
           }
 
+          // Record the Difficulty only when it is known for this roll.
+          _difficulty = dialog.element.dataset.staUtilsDifficultyEntered
+            ? _oddsDifficulty
+            : knownDifficulty;
+
           // Temporarily enable the reserve-power checkbox so its value
           // is included in the FormData (disabled inputs are excluded
           // per the HTML spec).
@@ -848,5 +1249,6 @@ export async function showDicePoolDialog(opts) {
     formData,
     automationStates: _automationStates,
     determinationValueId: _determinationValueId,
+    difficulty: _difficulty,
   };
 }
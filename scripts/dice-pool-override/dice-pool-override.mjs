@@ -40,6 +40,9 @@ import {
  *                                      allowing the user to disable this automation.
  * @property {boolean}  [showInfo]   - If true, the automation is listed in the
  *                                      dialog as informational (no checkbox).
+ * @property {boolean}  [defaultEnabled] - Initial state of the dialog checkbox
+ *                                      for toggles (default true). Toggles that
+ *                                      start off only run when the user ticks them.
  * @property {Function} fn          - `(taskData, context) => void | Promise<void>`
  * @property {Function} [appliesTo] - `(context) => boolean` — return true when
  *                                     this automation is relevant to the roll.
@@ -59,6 +62,7 @@ const _middleware = [];
  * @param {string}   [opts.description] - Short description of the effect.
  * @param {boolean}  [opts.showToggle]  - Show a checkbox in the dialog (default false).
  * @param {boolean}  [opts.showInfo]    - Show as info-only in the dialog (default false).
+ * @param {boolean}  [opts.defaultEnabled] - Toggle starts checked (default true).
  * @param {Function} [opts.appliesTo]   - `(context) => boolean`
  *
  *   `context` fields:
@@ -67,16 +71,40 @@ const _middleware = [];
  *     formData    – the raw FormData from the dialog (null in pre-dialog)
  *     isShipAssist – boolean
  *     baseComplicationRange – scene/base complication range before middleware
+ * @returns {MiddlewareEntry} The registered entry. Its display fields may be
+ *   updated in place; it must never be removed (dialog checkboxes are keyed
+ *   by index).
  */
 export function registerTaskDataMiddleware(name, fn, opts = {}) {
-  _middleware.push({
+  const entry = {
     name,
     fn,
     description: opts.description ?? "",
     showToggle: opts.showToggle ?? false,
     showInfo: opts.showInfo ?? false,
+    defaultEnabled: opts.defaultEnabled ?? true,
     appliesTo: opts.appliesTo ?? null,
-  });
+  };
+  _middleware.push(entry);
+  return entry;
+}
+
+/**
+ * Whether the middleware at `index` should run, given the dialog's
+ * automation checkbox states. Automations without a recorded state use
+ * their default, so toggles that start off stay off outside the dialog.
+ *
+ * @param {number} index
+ * @param {Record<string, boolean>} [automationStates={}]
+ * @returns {boolean}
+ */
+export function isMiddlewareEnabled(index, automationStates = {}) {
+  const mw = _middleware[index];
+  if (!mw) return false;
+  if (String(index) in automationStates) {
+    return Boolean(automationStates[String(index)]);
+  }
+  return !mw.showToggle || mw.defaultEnabled !== false;
 }
 
 /**
@@ -274,7 +302,8 @@ async function _overriddenAttributeTest(event, _original) {
       baseComplicationRange: calculatedComplicationRange,
     };
 
-    for (const mw of _middleware) {
+    for (const [idx, mw] of _middleware.entries()) {
+      if (!isMiddlewareEnabled(idx)) continue;
       if (mw.appliesTo && !mw.appliesTo(previewCtx)) continue;
       try {
         await mw.fn(previewData, previewCtx);
@@ -502,6 +531,7 @@ async function _overriddenAttributeTest(event, _original) {
     usingReservePower,
     complicationRange,
     skillLevel,
+    difficulty: dialogResult.difficulty,
   };
 
   /* ================================================================ */
@@ -532,11 +562,13 @@ async function _overriddenAttributeTest(event, _original) {
   if (!preDialogApplied || isShipAssist) {
     await runMiddleware(taskData, middlewareContext, _automationStates);
   } else {
-    // Pre-dialog direct-roll path — check if user unchecked any automation.
-    // If so, reset to the scene's original (pre-talent) values and re-run
-    // with the disabled automation excluded.
-    const hasDisabled = Object.values(_automationStates).some((v) => !v);
-    if (hasDisabled) {
+    // Pre-dialog direct-roll path — check if user flipped any automation
+    // away from its default. If so, reset to the scene's original
+    // (pre-talent) values and re-run with the chosen automations.
+    const hasChanged = Object.entries(_automationStates).some(
+      ([idx, enabled]) => enabled !== isMiddlewareEnabled(Number(idx)),
+    );
+    if (hasChanged) {
       taskData.complicationRange = _originalComplicationRange;
       taskData.dicePool = _originalDicePool;
       delete taskData.shipDicePool;
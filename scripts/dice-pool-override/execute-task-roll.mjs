@@ -13,8 +13,12 @@
  */
 
 import { MODULE_ID } from "../core/constants.mjs";
-import { getRegisteredMiddleware } from "./dice-pool-override.mjs";
+import {
+  getRegisteredMiddleware,
+  isMiddlewareEnabled,
+} from "./dice-pool-override.mjs";
 import { combineAssistSuccesses } from "./assist-successes.mjs";
+import { buildTaskResult, TASK_RESULT_FLAG } from "./task-result.mjs";
 
 /* ------------------------------------------------------------------ */
 /*  Roll speaker (Character Chat Selector compatibility)               */
@@ -31,10 +35,27 @@ import { combineAssistSuccesses } from "./assist-successes.mjs";
 let _pendingRollActor = null;
 let _pendingRollActorTimer = null;
 
+/**
+ * Structured result of the roll currently being sent to chat, stamped on
+ * the message as `flags["sta-utils"].taskResult` (see task-result.mjs).
+ * Consumed by the same preCreateChatMessage hook as the speaker, with the
+ * same safety timeout in case the chat message is never created.
+ * @type {object|null}
+ */
+let _pendingTaskResult = null;
+let _pendingTaskResultTimer = null;
+
+/** Drop the pending task result and its safety timeout. */
+function _clearPendingTaskResult() {
+  _pendingTaskResult = null;
+  clearTimeout(_pendingTaskResultTimer);
+  _pendingTaskResultTimer = null;
+}
+
 /**
  * Register a preCreateChatMessage hook that stamps every roll chat
  * message with the correct speaker (actor ID, alias, and token if
- * available on the current scene).
+ * available on the current scene) and the structured task result.
  *
  * Called once from installDicePoolOverride().
  *
@@ -46,6 +67,13 @@ let _pendingRollActorTimer = null;
  */
 export function installRollSpeakerHook() {
   Hooks.on("preCreateChatMessage", (doc) => {
+    if (_pendingTaskResult) {
+      doc.updateSource({
+        [`flags.${MODULE_ID}.${TASK_RESULT_FLAG}`]: _pendingTaskResult,
+      });
+      _clearPendingTaskResult();
+    }
+
     if (!_pendingRollActor) return;
     const actor = _pendingRollActor;
 
@@ -101,17 +129,11 @@ export async function runMiddleware(
 ) {
   const _middleware = getRegisteredMiddleware();
 
-  // Build set of middleware indices the user unchecked.
-  const disabled = new Set();
-  for (let i = 0; i < _middleware.length; i++) {
-    if (String(i) in automationStates && !automationStates[String(i)]) {
-      disabled.add(i);
-    }
-  }
-
   for (let i = 0; i < _middleware.length; i++) {
     const { name, fn } = _middleware[i];
-    if (disabled.has(i)) continue;
+    // Skips automations the user unchecked, and toggles that default to
+    // off when no dialog state was recorded for them.
+    if (!isMiddlewareEnabled(i, automationStates)) continue;
     try {
       await fn(taskData, middlewareContext);
     } catch (err) {
@@ -140,6 +162,35 @@ export async function executeTaskRoll(
   const STARoll = window.STARoll;
   const staRoll = new STARoll();
 
+  // Capture the structured result from the data the roller sends to chat.
+  // Reserve Power is folded into Determination below, so remember whether
+  // Determination itself was spent.
+  const usedDetermination = Boolean(taskData.usingDetermination);
+  const sendToChat = staRoll.sendToChat;
+  staRoll.sendToChat = function (rollData, ...args) {
+    try {
+      _pendingTaskResult = buildTaskResult(
+        { ...taskData, usingDetermination: usedDetermination },
+        rollData ?? {},
+        { actor, starship, isShipAssist },
+      );
+      clearTimeout(_pendingTaskResultTimer);
+      _pendingTaskResultTimer = setTimeout(_clearPendingTaskResult, 10_000);
+    } catch (err) {
+      console.warn(`${MODULE_ID} | Failed to build task result`, err);
+    }
+    // Nothing is posted when sending fails, so nothing will consume it.
+    let sent;
+    try {
+      sent = sendToChat.call(this, rollData, ...args);
+    } catch (err) {
+      _clearPendingTaskResult();
+      throw err;
+    }
+    sent?.catch?.(_clearPendingTaskResult);
+    return sent;
+  };
+
   const reputationTarget = Number(taskData.reputationValue ?? 0) || 0;
 
   // The STA system's task result math reads `disDepTarget` before falling
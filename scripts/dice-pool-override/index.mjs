@@ -12,4 +12,14 @@ export {
   runMiddleware,
   installRollSpeakerHook,
 } from "./execute-task-roll.mjs";
+export {
+  registerPostRollAutomation,
+  getPostRollAutomations,
+  getTaskRollResult,
+} from "./post-roll.mjs";
+export {
+  TASK_RESULT_FLAG,
+  getTaskResultFlag,
+  isTaskRollMessage,
+} from "./task-result.mjs";
 export { dicePoolApi } from "./api.mjs";
@@ -0,0 +1,317 @@
+/**
+ * Post-roll Automations
+ *
+ * The counterpart of the pre-roll middleware pipeline: handlers run when a
+ * task roll's chat card is rendered and may add buttons or notes to it.
+ *
+ * Handlers receive a structured {@link TaskRollResult} read from the
+ * message's roll data rather than the rendered card, so they keep working
+ * when the system changes its chat card markup.
+ *
+ * ```js
+ * game.staUtils.dicePool.registerPostRoll(
+ *   "Veteran",
+ *   (result, card) => {
+ *     card.addButton({
+ *       label: "Veteran",
+ *       icon: "fas fa-medal",
+ *       onClick: async () => { ... },
+ *     });
+ *   },
+ *   {
+ *     talent: "Veteran",
+ *     appliesTo: (result) => result.usingDetermination,
+ *   },
+ * );
+ * ```
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t } from "../core/i18n.mjs";
+import { getTaskResultFlag, isTaskRollMessage } from "./task-result.mjs";
+
+/**
+ * @typedef {object} TaskRollResult
+ * @property {ChatMessage} message
+ * @property {Actor|null}  actor              - The speaker's actor.
+ * @property {Item|null}   talent             - The handler's talent on the actor, if any.
+ * @property {string}      rollType           - `"task"` or `"npc"` (ship assist).
+ * @property {string|null} attribute          - Attribute key, when known.
+ * @property {string|null} discipline         - Discipline key, when known.
+ * @property {number}      dicePool           - Number of dice rolled by the character.
+ * @property {number[]}    dice               - Character die results.
+ * @property {number[]}    shipDice           - Assisting ship die results.
+ * @property {number}      successes          - Total successes (ship assist included).
+ * @property {number}      complications      - Number of complications.
+ * @property {number|null} difficulty         - Task Difficulty, when recorded.
+ * @property {boolean}     usingFocus
+ * @property {boolean}     usingDetermination
+ * @property {boolean}     isShipAssist
+ * @property {object|null} data               - The full `taskResult` flag
+ *   (see task-result.mjs), or null for rolls without one.
+ */
+
+/**
+ * @typedef {object} PostRollEntry
+ * @property {string}        name        - Human-readable label.
+ * @property {Function}      fn          - `(result, card) => void`
+ * @property {string}        description
+ * @property {string|null}   talent      - Talent the actor must own.
+ * @property {Function|null} appliesTo   - `(result) => boolean`
+ */
+
+/** @type {PostRollEntry[]} */
+const _postRoll = [];
+
+let _hookInstalled = false;
+
+/* ------------------------------------------------------------------ */
+/*  Registry                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Register a post-roll automation.
+ *
+ * @param {string}   name   - Human-readable label.
+ * @param {Function} fn     - `(result, card) => void`. `card` offers
+ *   `addButton(opts)`, `addNote(html)` and the card `element`.
+ * @param {object}   [opts]
+ * @param {string}   [opts.description] - Short description of the effect.
+ * @param {string}   [opts.talent]      - Only run when the rolling actor owns
+ *   a talent with this name (case-insensitive); it is passed as
+ *   `result.talent`.
+ * @param {Function} [opts.appliesTo]   - `(result) => boolean`
+ * @returns {PostRollEntry}
+ */
+export function registerPostRollAutomation(name, fn, opts = {}) {
+  const entry = {
+    name,
+    fn,
+    description: opts.description ?? "",
+    talent: opts.talent ?? null,
+    appliesTo: opts.appliesTo ?? null,
+  };
+  _postRoll.push(entry);
+  _installPostRollHook();
+  return entry;
+}
+
+/**
+ * Return the live list of post-roll automations.
+ *
+ * @returns {PostRollEntry[]}
+ */
+export function getPostRollAutomations() {
+  return _postRoll;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Roll data                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Read the structured result of a task roll from a chat message.
+ * Prefers the `taskResult` flag written by `executeTaskRoll`; rolls made
+ * without the dice pool override fall back to the STA system's own roll
+ * data under `flags.sta`.
+ *
+ * @param {ChatMessage} message
+ * @returns {TaskRollResult|null} Null for messages that aren't task rolls.
+ */
+export function getTaskRollResult(message) {
+  if (!isTaskRollMessage(message)) return null;
+  const speakerActor =
+    message.actor ?? game.actors.get(message.speaker?.actor) ?? null;
+
+  const flag = getTaskResultFlag(message);
+  if (flag) {
+    return {
+      message,
+      actor: (flag.actorUuid && fromUuidSync(flag.actorUuid)) || speakerActor,
+      talent: null,
+      rollType: flag.rollType,
+      attribute: flag.attribute,
+      discipline: flag.discipline,
+      dicePool: flag.dicePool,
+      dice: flag.dice ?? [],
+      shipDice: flag.shipAssist?.dice ?? [],
+      successes: flag.successes,
+      complications: flag.complications,
+      difficulty: flag.difficulty,
+      usingFocus: flag.usingFocus,
+      usingDetermination: flag.usingDetermination,
+      isShipAssist: !!flag.shipAssist || flag.rollType === "npc",
+      data: flag,
+    };
+  }
+
+  const sta = message.flags.sta;
+  const dice = Array.isArray(sta.diceOutcome)
+    ? sta.diceOutcome.map(Number)
+    : [];
+  const shipDice = Array.isArray(sta.shipdiceOutcome)
+    ? sta.shipdiceOutcome.map(Number)
+    : [];
+
+  return {
+    message,
+    actor: speakerActor,
+    talent: null,
+    rollType: sta.rollType,
+    attribute: sta.selectedAttribute ?? null,
+    discipline: sta.selectedDiscipline ?? null,
+    dicePool: Number(sta.dicePool) || dice.length,
+    dice,
+    shipDice,
+    successes: Number(sta.success) || 0,
+    complications: Number(sta.complication) || 0,
+    difficulty: null,
+    usingFocus: Boolean(sta.usingFocus || sta.withFocus),
+    usingDetermination: Boolean(
+      sta.usingDetermination || sta.withDetermination,
+    ),
+    isShipAssist: sta.rollType === "npc" || shipDice.length > 0,
+    data: null,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Card helpers                                                       */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Build the `card` argument passed to a handler.
+ *
+ * @param {ChatMessage}   message
+ * @param {HTMLElement}   element - The `.chatcard` element.
+ * @param {PostRollEntry} entry
+ */
+function _cardApi(message, element, entry) {
+  const actions = () => element.querySelector(".chat-card-actions") ?? element;
+
+  return {
+    element,
+
+    /**
+     * Append a button to the card.
+     *
+     * @param {object}   opts
+     * @param {string}   opts.label
+     * @param {string}   [opts.icon]       - Font Awesome classes.
+     * @param {string}   [opts.cssClass]   - Extra classes for the button.
+     * @param {boolean}  [opts.authorOnly] - Only the roller or a GM may
+     *   click (default true).
+     * @param {Function} opts.onClick      - `(event, button) => Promise<void>`.
+     *   The button is disabled while it runs and re-enabled if it throws.
+     * @returns {HTMLButtonElement}
+     */
+    addButton({ label, icon, cssClass = "", authorOnly = true, onClick }) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className =
+        `sta-utils-momentum-spend-btn-small sta-utils-post-roll-btn ${cssClass}`.trim();
+      btn.innerHTML = `${icon ? `<i class="${icon}"></i> ` : ""}${label}`;
+
+      btn.addEventListener("click", async (ev) => {
+        ev.preventDefault();
+        if (
+          authorOnly &&
+          !(message.author?.id === game.user?.id || game.user.isGM)
+        ) {
+          ui.notifications.warn(t("sta-utils.talentAutomations.warnNotAuthor"));
+          return;
+        }
+
+        btn.disabled = true;
+        try {
+          await onClick?.(ev, btn);
+        } catch (err) {
+          btn.disabled = false;
+          console.error(
+            `${MODULE_ID} | Post-roll "${entry.name}" failed:`,
+            err,
+          );
+          ui.notifications.error(
+            game.i18n.format("sta-utils.dicePool.postRoll.failed", {
+              name: entry.name,
+            }),
+          );
+        }
+      });
+
+      actions().appendChild(btn);
+      return btn;
+    },
+
+    /**
+     * Append a short note to the card.
+     *
+     * @param {string} html
+     * @returns {HTMLElement}
+     */
+    addNote(html) {
+      const note = document.createElement("div");
+      note.className = "sta-utils-post-roll-note";
+      note.innerHTML = html;
+      actions().appendChild(note);
+      return note;
+    },
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Hook                                                               */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Find the talent a handler requires on the result's actor.
+ *
+ * @param {Actor|null} actor
+ * @param {string}     name
+ * @returns {Item|undefined}
+ */
+function _findTalent(actor, name) {
+  const key = name.trim().toLowerCase();
+  return actor?.items?.find(
+    (i) => i.type === "talent" && i.name.trim().toLowerCase() === key,
+  );
+}
+
+/**
+ * Install the renderChatMessageHTML hook that runs post-roll automations.
+ * Installed on first registration.
+ */
+function _installPostRollHook() {
+  if (_hookInstalled) return;
+  _hookInstalled = true;
+
+  Hooks.on("renderChatMessageHTML", (message, html) => {
+    const root = html instanceof HTMLElement ? html : (html[0] ?? html);
+    if (!root?.querySelector) return;
+
+    const element =
+      root.querySelector(".chatcard") ??
+      root.querySelector(".sta.roll.chat.card");
+    if (!element) return;
+
+    const base = getTaskRollResult(message);
+    if (!base) return;
+
+    for (const entry of _postRoll) {
+      try {
+        const talent = entry.talent
+          ? _findTalent(base.actor, entry.talent)
+          : null;
+        if (entry.talent && !talent) continue;
+        const result = { ...base, talent: talent ?? null };
+        if (entry.appliesTo && !entry.appliesTo(result)) continue;
+        entry.fn(result, _cardApi(message, element, entry));
+      } catch (err) {
+        console.warn(
+          `${MODULE_ID} | Post-roll "${entry.name}" render error`,
+          err,
+        );
+      }
+    }
+  });
+}
@@ -0,0 +1,177 @@
+/**
+ * Structured Task Results
+ *
+ * `executeTaskRoll` stamps every task roll chat message with a
+ * `flags["sta-utils"].taskResult` object describing what was rolled, so
+ * downstream features (and other modules) can read reliable data instead of
+ * parsing the rendered chat card:
+ *
+ * ```js
+ * {
+ *   version: 1,
+ *   rollType: "task",              // STA roll type: "task" | "npc"
+ *   actorUuid: "Actor.abc",
+ *   attribute: "reason", attributeValue: 10,
+ *   discipline: "science", disciplineValue: 4,
+ *   system: null, systemValue: 0,  // starship sheet rolls only
+ *   department: null, departmentValue: 0,
+ *   dicePool: 3,
+ *   target: 14,
+ *   complicationRange: 1,
+ *   dice: [3, 17, 20],
+ *   successes: 2,                  // total, ship assist included
+ *   complications: 1,
+ *   difficulty: 2,                 // null when unknown
+ *   usingFocus: true, usingDedicatedFocus: false,
+ *   usingDetermination: false, usingReservePower: false,
+ *   usingReputation: false,
+ *   shipAssist: null | {
+ *     starshipUuid, system, systemValue, department, departmentValue,
+ *     dicePool, target, complicationRange, dice, usingReservePower,
+ *   },
+ * }
+ * ```
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+
+export const TASK_RESULT_FLAG = "taskResult";
+const TASK_RESULT_VERSION = 1;
+
+/** STA roll types that are task rolls. */
+const TASK_ROLL_TYPES = ["task", "npc"];
+
+/**
+ * Complication range from the system's "complication at or above" value.
+ *
+ * @param {number|undefined} minimum
+ * @returns {number|null}
+ */
+function _rangeFromMinimum(minimum) {
+  const n = Number(minimum);
+  return Number.isFinite(n) && n > 0 ? 21 - n : null;
+}
+
+/** @param {unknown} dice */
+function _dice(dice) {
+  return Array.isArray(dice) ? dice.map(Number) : [];
+}
+
+/**
+ * Build the structured result of a task roll.
+ *
+ * @param {object} taskData - The roll data passed to `executeTaskRoll`.
+ * @param {object} rollData - The data the STA roller sends to chat
+ *   (dice outcomes, successes, complications, targets).
+ * @param {object} opts
+ * @param {Actor}   [opts.actor]
+ * @param {Actor}   [opts.starship]
+ * @param {boolean} opts.isShipAssist
+ * @returns {object}
+ */
+export function buildTaskResult(
+  taskData,
+  rollData,
+  { actor, starship, isShipAssist },
+) {
+  const num = (v) => Number(v) || 0;
+  const dice = _dice(rollData.diceOutcome);
+  const shipDice = _dice(rollData.shipdiceOutcome);
+  const baseRange =
+    num(taskData.characterComplicationRange ?? taskData.complicationRange) || 1;
+
+  const result = {
+    version: TASK_RESULT_VERSION,
+    rollType: rollData.rollType ?? (isShipAssist ? "npc" : "task"),
+    actorUuid: actor?.uuid ?? null,
+    attribute: taskData.selectedAttribute ?? null,
+    attributeValue: num(taskData.selectedAttributeValue),
+    discipline: taskData.selectedDiscipline ?? null,
+    disciplineValue: num(taskData.selectedDisciplineValue),
+    system: null,
+    systemValue: 0,
+    department: null,
+    departmentValue: 0,
+    dicePool: num(taskData.dicePool) || dice.length,
+    target: 0,
+    complicationRange:
+      _rangeFromMinimum(rollData.complicationMinimumValue) ?? baseRange,
+    dice,
+    successes: num(rollData.success),
+    complications: num(rollData.complication),
+    difficulty:
+      taskData.difficulty == null
+        ? null
+        : Math.max(
+            0,
+            num(taskData.difficulty) + num(taskData.difficultyModifier),
+          ),
+    usingFocus: Boolean(taskData.usingFocus),
+    usingDedicatedFocus: Boolean(taskData.usingDedicatedFocus),
+    usingDetermination: Boolean(taskData.usingDetermination),
+    usingReservePower: Boolean(taskData.usingReservePower),
+    usingReputation: Boolean(taskData.useReputationInstead),
+    shipAssist: null,
+  };
+
+  if (isShipAssist) {
+    if (taskData.selectedSystem && taskData.selectedSystem !== "none") {
+      result.shipAssist = {
+        starshipUuid: starship?.uuid ?? null,
+        system: taskData.selectedSystem,
+        systemValue: num(taskData.selectedSystemValue),
+        department: taskData.selectedDepartment ?? null,
+        departmentValue: num(taskData.selectedDepartmentValue),
+        dicePool: num(taskData.shipDicePool) || shipDice.length || 1,
+        target:
+          num(rollData.checkTargetship) ||
+          num(taskData.selectedSystemValue) +
+            num(taskData.selectedDepartmentValue),
+        complicationRange:
+          _rangeFromMinimum(rollData.shipComplicationMinimumValue) ??
+          (num(taskData.shipComplicationRange) || baseRange),
+        dice: shipDice,
+        usingReservePower: Boolean(taskData.usingReservePower),
+      };
+    }
+    // Reserve Power only ever applies to the ship's dice here.
+    result.usingReservePower = false;
+  } else {
+    // Starship sheet rolls use System + Department as the main leg.
+    result.system = taskData.selectedSystem || null;
+    result.systemValue = num(taskData.selectedSystemValue);
+    result.department = taskData.selectedDepartment || null;
+    result.departmentValue = num(taskData.selectedDepartmentValue);
+  }
+
+  result.target =
+    num(rollData.checkTarget) ||
+    result.attributeValue +
+      result.disciplineValue +
+      result.systemValue +
+      result.departmentValue;
+
+  return result;
+}
+
+/**
+ * The structured result stored on a chat message, if any.
+ *
+ * @param {ChatMessage} message
+ * @returns {object|null}
+ */
+export function getTaskResultFlag(message) {
+  return message?.getFlag?.(MODULE_ID, TASK_RESULT_FLAG) ?? null;
+}
+
+/**
+ * Whether a chat message is a task roll: one stamped by `executeTaskRoll`,
+ * or a system task roll made without the dice pool override.
+ *
+ * @param {ChatMessage} message
+ * @returns {boolean}
+ */
+export function isTaskRollMessage(message) {
+  if (getTaskResultFlag(message)) return true;
+  return TASK_ROLL_TYPES.includes(message?.flags?.sta?.rollType);
+}
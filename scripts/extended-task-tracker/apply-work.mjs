@@ -0,0 +1,360 @@
+/**
+ * Extended Task Tracker — Apply Work from task rolls
+ *
+ * Appends an "Apply to Extended Task" button to STA task roll chat cards.
+ * Clicking it lets the GM pick a tracker; Work is computed from the roll
+ * (discipline rating + surplus successes − resistance), written through
+ * `TrackerDatabase.update` so linked actors stay in sync, and an audit line
+ * is posted to chat listing any breakthroughs the new progress passed.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { BreakthroughDialog } from "./breakthrough-dialog.mjs";
+
+const APPLIED_FLAG = "extendedTaskWork";
+
+/* ------------------------------------------------------------------ */
+/*  Work math                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Compute the Work a task roll scores against an extended task.
+ *
+ * A failed task (fewer successes than the tracker's Difficulty) scores no
+ * Work. A successful one scores the discipline rating plus any bonus Work
+ * (by default the surplus successes), reduced by Resistance.
+ *
+ * @param {object} opts
+ * @param {number} opts.successes       - Successes generated by the roll.
+ * @param {number} opts.difficulty      - The tracker's Difficulty.
+ * @param {number} opts.disciplineValue - Discipline rating used for the roll.
+ * @param {number} [opts.bonus]         - Extra Work; defaults to surplus successes.
+ * @param {number} [opts.resistance=0]  - The tracker's Resistance.
+ * @returns {{ succeeded: boolean, work: number }}
+ */
+export function computeWork({
+  successes,
+  difficulty,
+  disciplineValue,
+  bonus,
+  resistance = 0,
+}) {
+  const hits = Number(successes) || 0;
+  const target = Number(difficulty) || 0;
+  if (hits < target) return { succeeded: false, work: 0 };
+  const extra = bonus ?? Math.max(0, hits - target);
+  const work = Math.max(
+    0,
+    (Number(disciplineValue) || 0) +
+      (Number(extra) || 0) -
+      (Number(resistance) || 0),
+  );
+  return { succeeded: true, work };
+}
+
+/**
+ * Return the breakthrough (or setback) positions passed when progress moves
+ * from `from` to `to`.
+ *
+ * @param {object} tracker
+ * @param {number} from
+ * @param {number} to
+ * @returns {number[]}
+ */
+export function crossedBreakthroughs(tracker, from, to) {
+  if (tracker.isTimedChallenge) return [];
+  return (tracker.breakthroughs ?? []).filter(
+    (position) => position > from && position <= to,
+  );
+}
+
+/* ------------------------------------------------------------------ */
+/*  Roll data                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Read successes and the discipline rating from a task roll message.
+ * The STA system stores its roll data under `flags.sta`.
+ *
+ * @param {ChatMessage} message
+ * @returns {{ successes: number, disciplineValue: number }}
+ */
+function _readRoll(message) {
+  const staFlags = message.flags?.sta ?? {};
+  return {
+    successes: Number(staFlags.success) || 0,
+    disciplineValue:
+      Number(staFlags.selectedDisciplineValue ?? staFlags.disDepTarget) || 0,
+  };
+}
+
+/** Trackers that can receive Work (not timed challenges or consequences). */
+function _eligibleTrackers(db) {
+  return db.contents.filter((t) => !t.isTimedChallenge && !t.isConsequence);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Chat hook                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Install the `renderChatMessageHTML` hook that adds the
+ * "Apply to Extended Task" button to task roll cards (GM only).
+ *
+ * @param {import("./tracker-database.mjs").TrackerDatabase} db
+ */
+export function installApplyWorkChatHook(db) {
+  Hooks.on("renderChatMessageHTML", (message, html) => {
+    try {
+      if (!game.user?.isGM) return;
+      const root = html instanceof HTMLElement ? html : (html[0] ?? html);
+      if (!root?.querySelector) return;
+
+      const card =
+        root.querySelector(".chatcard") ??
+        root.querySelector(".sta.roll.chat.card");
+      if (!card) return;
+
+      // Only task rolls (not item/weapon stat cards)
+      if (!card.querySelector(".flavor.task")) return;
+      if (card.querySelector(".sta-utils-apply-work-btn")) return;
+      if (!_eligibleTrackers(db).length) return;
+
+      const applied = message.getFlag(MODULE_ID, APPLIED_FLAG);
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className =
+        "sta-utils-momentum-spend-btn-small sta-utils-apply-work-btn";
+      if (applied) {
+        btn.disabled = true;
+        btn.innerHTML = `<i class="fas fa-check"></i> ${game.i18n.format(
+          "sta-utils.extendedTaskTracker.applyWork.applied",
+          { work: applied.work, name: applied.trackerName },
+        )}`;
+      } else {
+        btn.innerHTML = `<i class="fas fa-bars-progress"></i> ${game.i18n.localize(
+          "sta-utils.extendedTaskTracker.applyWork.button",
+        )}`;
+        btn.addEventListener("click", async (ev) => {
+          ev.preventDefault();
+          btn.disabled = true;
+          try {
+            const done = await applyRollToTracker(db, message);
+            if (!done) btn.disabled = false;
+          } catch (err) {
+            btn.disabled = false;
+            console.warn(`${MODULE_ID} | Apply Work failed`, err);
+          }
+        });
+      }
+
+      const footer = card.querySelector(".chat-card-actions") ?? card;
+      footer.appendChild(btn);
+    } catch (err) {
+      console.warn(`${MODULE_ID} | Apply Work render error`, err);
+    }
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/*  Apply flow                                                         */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Prompt for a tracker, apply the roll's Work to it and post an audit line.
+ *
+ * @param {import("./tracker-database.mjs").TrackerDatabase} db
+ * @param {ChatMessage} message - The task roll chat message.
+ * @returns {Promise<boolean>} Whether Work was applied.
+ */
+export async function applyRollToTracker(db, message) {
+  const trackers = _eligibleTrackers(db);
+  if (!trackers.length) {
+    ui.notifications.warn(
+      game.i18n.localize("sta-utils.extendedTaskTracker.applyWork.noTrackers"),
+    );
+    return false;
+  }
+
+  const { successes, disciplineValue } = _readRoll(message);
+  const choice = await _promptApply(trackers, successes, disciplineValue);
+  if (!choice) return false;
+
+  const tracker = db.get(choice.trackerId);
+  if (!tracker) return false;
+
+  const { succeeded, work } = computeWork({
+    successes,
+    difficulty: tracker.difficulty,
+    disciplineValue: choice.disciplineValue,
+    bonus: choice.bonus,
+    resistance: tracker.resistance,
+  });
+  const from = tracker.value;
+  const to = Math.clamp(from + work, 0, tracker.max);
+
+  if (to !== from) {
+    await db.update({ id: tracker.id, value: to }, { messageId: message.id });
+  }
+
+  await message.setFlag(MODULE_ID, APPLIED_FLAG, {
+    trackerId: tracker.id,
+    trackerName: tracker.name,
+    work,
+  });
+
+  const crossed = crossedBreakthroughs(tracker, from, to);
+  const speaker = message.speaker?.alias ?? message.author?.name ?? "";
+  const lines = [
+    succeeded
+      ? game.i18n.format("sta-utils.extendedTaskTracker.applyWork.auditLine", {
+          speaker,
+          work,
+          from,
+          to,
+          max: tracker.max,
+        })
+      : game.i18n.format(
+          "sta-utils.extendedTaskTracker.applyWork.auditFailed",
+          { speaker, successes, difficulty: tracker.difficulty },
+        ),
+  ];
+  if (crossed.length) {
+    lines.push(
+      game.i18n.format(
+        "sta-utils.extendedTaskTracker.applyWork.auditBreakthrough",
+        { count: crossed.length },
+      ),
+    );
+  }
+  if (to >= tracker.max && from < tracker.max) {
+    lines.push(
+      game.i18n.localize("sta-utils.extendedTaskTracker.applyWork.complete"),
+    );
+  }
+
+  await ChatMessage.create({
+    content: `<div class="sta-utils-chat-card sta-utils-chat-card--orange">
+        <h3><i class="fa-solid fa-bars-progress"></i> ${tracker.name}</h3>
+        ${lines.map((line) => `<p>${line}</p>`).join("")}
+      </div>`,
+    speaker: ChatMessage.getSpeaker(),
+    whisper: tracker.private ? ChatMessage.getWhisperRecipients("GM") : [],
+  });
+
+  if (crossed.length) new BreakthroughDialog().render({ force: true });
+  return true;
+}
+
+/**
+ * Show the tracker picker with a live Work preview.
+ *
+ * @returns {Promise<{ trackerId: string, disciplineValue: number, bonus: number } | null>}
+ */
+async function _promptApply(trackers, successes, disciplineValue) {
+  const options = trackers
+    .map((t) => `<option value="${t.id}">${t.name}</option>`)
+    .join("");
+
+  const content = `
+    <div class="sta-utils-apply-work">
+      <div class="form-group">
+        <label>${game.i18n.localize("sta-utils.extendedTaskTracker.applyWork.tracker")}</label>
+        <select name="trackerId">${options}</select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("sta-utils.extendedTaskTracker.applyWork.discipline")}</label>
+        <input type="number" name="disciplineValue" value="${disciplineValue}" min="0" step="1" />
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("sta-utils.extendedTaskTracker.applyWork.bonus")}</label>
+        <input type="number" name="bonus" value="0" min="0" step="1" />
+      </div>
+      <p class="notes sta-utils-apply-work-preview"></p>
+    </div>`;
+
+  const read = (el) => ({
+    trackerId: el.querySelector("[name=trackerId]")?.value ?? "",
+    disciplineValue: Number(el.querySelector("[name=disciplineValue]")?.value),
+    bonus: Number(el.querySelector("[name=bonus]")?.value),
+  });
+
+  return foundry.applications.api.DialogV2.wait({
+    window: {
+      title: game.i18n.localize(
+        "sta-utils.extendedTaskTracker.applyWork.title",
+      ),
+      icon: "fa-solid fa-bars-progress",
+    },
+    position: { width: 380 },
+    content,
+    render: (_event, dialog) => {
+      const el = dialog.element;
+      const select = el.querySelector("[name=trackerId]");
+      const bonusInput = el.querySelector("[name=bonus]");
+      const preview = el.querySelector(".sta-utils-apply-work-preview");
+
+      // Default bonus Work to the surplus successes for the chosen tracker.
+      const resetBonus = () => {
+        const tracker = trackers.find((t) => t.id === select.value);
+        bonusInput.value = String(
+          Math.max(0, successes - (tracker?.difficulty ?? 0)),
+        );
+      };
+      const updatePreview = () => {
+        const values = read(el);
+        const tracker = trackers.find((t) => t.id === values.trackerId);
+        if (!tracker) return;
+        const { succeeded, work } = computeWork({
+          successes,
+          difficulty: tracker.difficulty,
+          disciplineValue: values.disciplineValue,
+          bonus: values.bonus,
+          resistance: tracker.resistance,
+        });
+        preview.textContent = succeeded
+          ? game.i18n.format(
+              "sta-utils.extendedTaskTracker.applyWork.preview",
+              {
+                successes,
+                difficulty: tracker.difficulty,
+                resistance: tracker.resistance,
+                work,
+              },
+            )
+          : game.i18n.format(
+              "sta-utils.extendedTaskTracker.applyWork.previewFailed",
+              { successes, difficulty: tracker.difficulty },
+            );
+      };
+
+      select.addEventListener("change", () => {
+        resetBonus();
+        updatePreview();
+      });
+      for (const input of el.querySelectorAll("input")) {
+        input.addEventListener("input", updatePreview);
+      }
+      resetBonus();
+      updatePreview();
+    },
+    buttons: [
+      {
+        action: "apply",
+        label: game.i18n.localize(
+          "sta-utils.extendedTaskTracker.applyWork.apply",
+        ),
+        icon: "fas fa-check",
+        default: true,
+        callback: (_event, _button, dialog) => read(dialog.element),
+      },
+      {
+        action: "cancel",
+        label: game.i18n.localize("Cancel"),
+        icon: "fas fa-times",
+        callback: () => null,
+      },
+    ],
+    rejectClose: false,
+  });
+}
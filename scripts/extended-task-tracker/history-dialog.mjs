@@ -0,0 +1,118 @@
+import { MODULE_ID } from "../core/constants.mjs";
+
+const fapi = foundry.applications.api;
+
+/**
+ * ApplicationV2 popout listing every recorded change to one tracker,
+ * newest first, with the acting user and any linked chat message.
+ */
+export class TrackerHistoryDialog extends fapi.HandlebarsApplicationMixin(
+  fapi.Application,
+) {
+  /**
+   * @param {import("./tracker-database.mjs").TrackerDatabase} db
+   * @param {string} trackerId
+   * @param {object} [options]
+   */
+  constructor(db, trackerId, options = {}) {
+    super({ id: `extended-task-history-${trackerId}`, ...options });
+    this.db = db;
+    this.trackerId = trackerId;
+  }
+
+  static DEFAULT_OPTIONS = {
+    classes: ["sta-tracker-dialog", "sta-tracker-history-dialog"],
+    position: {
+      width: 460,
+      height: 480,
+    },
+    window: {
+      icon: "fa-solid fa-clock-rotate-left",
+      title: "sta-utils.extendedTaskTracker.history.title",
+      resizable: true,
+    },
+    actions: {
+      openMessage: TrackerHistoryDialog.#onOpenMessage,
+      undo: TrackerHistoryDialog.#onUndo,
+      redo: TrackerHistoryDialog.#onRedo,
+    },
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/extended-task-history.hbs`,
+      scrollable: [".sta-history-list"],
+    },
+  };
+
+  get title() {
+    const tracker = this.db.get(this.trackerId);
+    const base = game.i18n.localize(
+      "sta-utils.extendedTaskTracker.history.title",
+    );
+    return tracker ? `${base}: ${tracker.name}` : base;
+  }
+
+  async _prepareContext() {
+    const history = this.db.history.get(this.trackerId);
+    const entries = history.log
+      .slice()
+      .reverse()
+      .map((entry) => ({
+        id: entry.id,
+        kind: entry.kind,
+        kindLabel: game.i18n.localize(
+          `sta-utils.extendedTaskTracker.history.kinds.${entry.kind}`,
+        ),
+        time: new Date(entry.time).toLocaleString(game.i18n.lang),
+        user:
+          game.users.get(entry.userId)?.name ??
+          game.i18n.localize(
+            "sta-utils.extendedTaskTracker.history.unknownUser",
+          ),
+        value: entry.changes.value
+          ? { from: entry.changes.value[0], to: entry.changes.value[1] }
+          : null,
+        fields: Object.entries(entry.changes)
+          .filter(([field]) => field !== "value")
+          .map(([field, [from, to]]) => ({
+            label: game.i18n.localize(
+              `sta-utils.extendedTaskTracker.history.fields.${field}`,
+            ),
+            from: Array.isArray(from) ? from.join(", ") : String(from ?? "—"),
+            to: Array.isArray(to) ? to.join(", ") : String(to ?? "—"),
+          })),
+        messageId:
+          entry.messageId && game.messages.get(entry.messageId)
+            ? entry.messageId
+            : null,
+      }));
+
+    return {
+      entries,
+      canUndo: history.undo.length > 0,
+      canRedo: history.redo.length > 0,
+      editable: game.user.isGM,
+    };
+  }
+
+  /* -------------------------------------------------- */
+  /*  Actions                                           */
+  /* -------------------------------------------------- */
+
+  static #onOpenMessage(_event, target) {
+    const message = game.messages.get(target.dataset.messageId);
+    if (!message) return;
+    new foundry.applications.sidebar.apps.ChatPopout({ message }).render({
+      force: true,
+    });
+  }
+
+  static async #onUndo() {
+    await this.db.undo(this.trackerId);
+  }
+
+  static async #onRedo() {
+    await this.db.redo(this.trackerId);
+  }
+}
@@ -2,10 +2,24 @@
 export { TrackerDatabase } from "./tracker-database.mjs";
 export { TrackerPanel } from "./tracker-panel.mjs";
 export { TrackerDialog, COLOR_PRESETS } from "./tracker-dialog.mjs";
+export { TrackerHistoryDialog } from "./history-dialog.mjs";
+export {
+  exportTrackers,
+  importTrackers,
+  getTemplates,
+  saveTemplate,
+} from "./tracker-templates.mjs";
+export { computeWork, applyRollToTracker } from "./apply-work.mjs";
+export { advanceIntervals } from "./timed-challenge.mjs";
 
 import { MODULE_ID } from "../core/constants.mjs";
 import { TrackerDatabase } from "./tracker-database.mjs";
 import { TrackerPanel } from "./tracker-panel.mjs";
+import { installApplyWorkChatHook } from "./apply-work.mjs";
+import { HISTORY_SETTING_KEY } from "./tracker-history.mjs";
+import { TrackerHistoryDialog } from "./history-dialog.mjs";
+import { TEMPLATE_SETTING_KEY } from "./tracker-templates.mjs";
+import { onWorldTimeAdvanced } from "./timed-challenge.mjs";
 
 const SETTING_KEY = "extendedTaskTrackers";
 
@@ -25,6 +39,22 @@ export function initExtendedTaskTracker() {
     default: {},
   });
 
+  // --- Hidden per-tracker change history (undo / redo + log) ---
+  game.settings.register(MODULE_ID, HISTORY_SETTING_KEY, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  // --- Hidden template library for the new-tracker form ---
+  game.settings.register(MODULE_ID, TEMPLATE_SETTING_KEY, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
   // --- Singletons ---
   const db = new TrackerDatabase();
   const panel = new TrackerPanel(db);
@@ -49,9 +79,22 @@ export function initExtendedTaskTracker() {
   Hooks.on("updateSetting", (setting) => {
     if (setting.key === `${MODULE_ID}.${SETTING_KEY}`) {
       db.refresh();
+    } else if (setting.key === `${MODULE_ID}.${HISTORY_SETTING_KEY}`) {
+      if (canvas?.ready) panel.refresh();
+      for (const app of foundry.applications.instances.values()) {
+        if (app instanceof TrackerHistoryDialog) app.render();
+      }
     }
   });
 
+  // Registered at init time so it catches task roll cards rendered from the
+  // chat log cache before the ready hook fires.
+  installApplyWorkChatHook(db);
+
+  Hooks.on("updateWorldTime", (_worldTime, delta) => {
+    onWorldTimeAdvanced(db, delta);
+  });
+
   Hooks.on("updateActor", (actor) => {
     if (actor.type !== "extendedtask") return;
     if (db.isSyncingToActor) return;
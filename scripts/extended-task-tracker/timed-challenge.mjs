@@ -0,0 +1,152 @@
+/**
+ * Extended Task Tracker — Timed challenge countdown
+ *
+ * Timed trackers carry an interval budget (`intervals`). Each interval spent
+ * increments `intervalsUsed`, either from the panel's "next interval" button
+ * or automatically when Foundry world time advances by `intervalSeconds`.
+ * When the budget runs out a consequence card is posted and the tracker's
+ * Impact is added to the linked consequence tracker (`consequenceId`).
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+
+/**
+ * Whether a tracker counts down intervals at all.
+ *
+ * @param {object} tracker
+ * @returns {boolean}
+ */
+export function hasIntervalBudget(tracker) {
+  return Boolean(tracker?.isTimedChallenge) && Number(tracker.intervals) > 0;
+}
+
+/**
+ * Intervals left before time runs out.
+ *
+ * @param {object} tracker
+ * @returns {number}
+ */
+export function intervalsRemaining(tracker) {
+  return Math.max(
+    0,
+    (Number(tracker.intervals) || 0) - (Number(tracker.intervalsUsed) || 0),
+  );
+}
+
+/**
+ * Spend intervals on a timed tracker and trigger its consequence when the
+ * budget reaches zero.
+ *
+ * @param {import("./tracker-database.mjs").TrackerDatabase} db
+ * @param {string} id
+ * @param {number} [count=1]
+ * @param {object} [extra] - Additional tracker fields written in the same update.
+ */
+export async function advanceIntervals(db, id, count = 1, extra = {}) {
+  const tracker = db.get(id);
+  if (!hasIntervalBudget(tracker)) return;
+  const before = intervalsRemaining(tracker);
+  if (before <= 0) return;
+
+  const intervalsUsed = Math.min(
+    tracker.intervals,
+    (Number(tracker.intervalsUsed) || 0) + count,
+  );
+  await db.update({ id, ...extra, intervalsUsed });
+
+  if (intervalsUsed >= tracker.intervals) {
+    await triggerTimeout(db, { ...tracker, intervalsUsed });
+  }
+}
+
+/**
+ * `updateWorldTime` handler: convert elapsed world time into spent intervals
+ * for every timed tracker with an interval length. Runs on the active GM only
+ * so the countdown is applied once.  Seconds short of a full interval are
+ * stored as `intervalCarry`: with the spent intervals when there are any,
+ * otherwise in one write for all trackers.
+ *
+ * @param {import("./tracker-database.mjs").TrackerDatabase} db
+ * @param {number} delta - Seconds the world clock moved.
+ */
+export async function onWorldTimeAdvanced(db, delta) {
+  if (!game.users.activeGM?.isSelf || !(delta > 0)) return;
+
+  const carries = {};
+  for (const tracker of db.contents) {
+    const seconds = Number(tracker.intervalSeconds) || 0;
+    if (!hasIntervalBudget(tracker) || seconds <= 0) continue;
+    if (intervalsRemaining(tracker) <= 0) continue;
+
+    const elapsed = (Number(tracker.intervalCarry) || 0) + delta;
+    const spent = Math.floor(elapsed / seconds);
+    const intervalCarry = elapsed % seconds;
+    if (spent > 0) {
+      await advanceIntervals(db, tracker.id, spent, { intervalCarry });
+    } else {
+      carries[tracker.id] = intervalCarry;
+    }
+  }
+  await db.setIntervalCarries(carries);
+}
+
+/**
+ * Post the "time's up" consequence card and add the tracker's Impact to the
+ * linked consequence tracker.
+ *
+ * @param {import("./tracker-database.mjs").TrackerDatabase} db
+ * @param {object} tracker - The timed tracker that ran out of time.
+ */
+async function triggerTimeout(db, tracker) {
+  const consequence = tracker.consequenceId
+    ? db.get(tracker.consequenceId)
+    : null;
+  const impact = Number(tracker.impact) || 0;
+
+  const lines = [
+    game.i18n.format("sta-utils.extendedTaskTracker.timed.timeoutBody", {
+      name: tracker.name,
+      impact,
+    }),
+  ];
+  let to = null;
+  if (consequence) {
+    to = Math.clamp(consequence.value + impact, 0, consequence.max);
+    lines.push(
+      game.i18n.format("sta-utils.extendedTaskTracker.timed.timeoutLinked", {
+        consequence: consequence.name,
+        from: consequence.value,
+        to,
+        max: consequence.max,
+      }),
+    );
+  }
+
+  const message = await ChatMessage.create({
+    content: `<div class="sta-utils-chat-card sta-utils-chat-card--red">
+        <h3><i class="fa-solid fa-hourglass-end"></i> ${game.i18n.format(
+          "sta-utils.extendedTaskTracker.timed.timeoutTitle",
+          { name: tracker.name },
+        )}</h3>
+        ${lines.map((line) => `<p>${line}</p>`).join("")}
+      </div>`,
+    speaker: ChatMessage.getSpeaker(),
+    whisper: tracker.private ? ChatMessage.getWhisperRecipients("GM") : [],
+    flags: {
+      [MODULE_ID]: {
+        timedChallengeTimeout: {
+          trackerId: tracker.id,
+          consequenceId: consequence?.id ?? null,
+          impact,
+        },
+      },
+    },
+  });
+
+  if (consequence && to !== consequence.value) {
+    await db.update(
+      { id: consequence.id, value: to },
+      { messageId: message?.id },
+    );
+  }
+}
@@ -4,6 +4,7 @@ import {
   MIN_BREAKTHROUGH_TRACK_SIZE,
   normalizeTrackerBreakthroughs,
 } from "./breakthrough-positions.mjs";
+import { TrackerHistory } from "./tracker-history.mjs";
 
 const SETTING_KEY = "extendedTaskTrackers";
 
@@ -22,6 +23,11 @@ const DEFAULT_TRACKER = {
   breakthrough1: null,
   breakthrough2: null,
   hideBreakthroughsFromPlayers: false,
+  intervals: 0,
+  intervalsUsed: 0,
+  intervalSeconds: 0,
+  intervalCarry: 0,
+  consequenceId: null,
 };
 
 /**
@@ -33,6 +39,9 @@ const DEFAULT_TRACKER = {
 export class TrackerDatabase extends Collection {
   #isSyncingToActor = false;
 
+  /** Per-tracker change log and undo / redo stacks. */
+  history = new TrackerHistory();
+
   get isSyncingToActor() {
     return this.#isSyncingToActor;
   }
@@ -60,13 +69,45 @@ export class TrackerDatabase extends Collection {
     // so there is nothing to write back. Subsequent updates handle sync.
   }
 
+  /**
+   * Add several trackers in a single setting write (used by JSON import).
+   * Imported trackers always get fresh ids and are never linked to actors.
+   *
+   * @param {object[]} entries
+   */
+  async importTrackers(entries) {
+    const trackers = this.#getData();
+    for (const entry of entries) {
+      const newData = normalizeTrackerBreakthroughs({
+        ...DEFAULT_TRACKER,
+        ...entry,
+        id: foundry.utils.randomID(),
+        actorId: null,
+      });
+      if (!this.#verifyData(newData)) continue;
+      newData.value = Math.clamp(Number(newData.value) || 0, 0, newData.max);
+      trackers[newData.id] = newData;
+    }
+    await game.settings.set(MODULE_ID, SETTING_KEY, trackers);
+  }
+
   delete(id) {
     const trackers = this.#getData();
     delete trackers[id];
     game.settings.set(MODULE_ID, SETTING_KEY, trackers);
+    this.history.delete(id);
   }
 
-  async update(data) {
+  /**
+   * Update a tracker and record the change in its history.
+   *
+   * @param {object} data - Partial tracker data including `id`.
+   * @param {object} [options]
+   * @param {string} [options.messageId] - Chat message that caused the change.
+   * @param {string} [options.userId]    - Acting user, when serving a player query.
+   * @param {"edit"|"undo"|"redo"} [options.kind="edit"]
+   */
+  async update(data, { messageId, userId, kind = "edit" } = {}) {
     const trackers = this.#getData();
     const existing = trackers[data.id];
     if (!existing) return;
@@ -76,7 +117,11 @@ export class TrackerDatabase extends Collection {
       data,
     );
     if (Object.hasOwn(data, "breakthroughs")) {
-      merged.breakthroughs = [...data.breakthroughs];
+      // The list wins over the legacy fields, including an empty list,
+      // which normalization would otherwise read as "not set".
+      merged.breakthroughs = [...(data.breakthroughs ?? [])];
+      merged.breakthrough1 = null;
+      merged.breakthrough2 = null;
     } else if (
       Object.hasOwn(data, "breakthrough1") ||
       Object.hasOwn(data, "breakthrough2")
@@ -86,8 +131,24 @@ export class TrackerDatabase extends Collection {
     const newData = normalizeTrackerBreakthroughs(merged);
     if (!this.#verifyData(newData)) return;
     newData.value = Math.clamp(newData.value, 0, newData.max);
+    // A countdown that is reset, advanced by hand or given a new interval
+    // length starts its next interval from zero.
+    if (
+      !Object.hasOwn(data, "intervalCarry") &&
+      (newData.intervalsUsed !== existing.intervalsUsed ||
+        newData.intervalSeconds !== existing.intervalSeconds)
+    ) {
+      newData.intervalCarry = 0;
+    }
 
     if (game.user.hasPermission("SETTINGS_MODIFY")) {
+      // History is written first so the panel re-render triggered by the
+      // tracker setting already sees the new undo / redo state.
+      await this.history.record(
+        newData.id,
+        TrackerHistory.diff(existing, newData),
+        { kind, userId, messageId },
+      );
       Object.assign(existing, newData);
       existing.value = newData.value;
       await game.settings.set(MODULE_ID, SETTING_KEY, trackers);
@@ -98,6 +159,8 @@ export class TrackerDatabase extends Collection {
         await gm.query("sta-utils-extended-task", {
           action: "update",
           tracker: { id: newData.id, value: newData.value },
+          userId: game.user.id,
+          messageId,
         });
       } else {
         ui.notifications.warn(
@@ -109,8 +172,40 @@ export class TrackerDatabase extends Collection {
     }
   }
 
+  /**
+   * Store the seconds elapsed toward each timed tracker's next interval,
+   * in a single setting write and without a history entry.
+   *
+   * @param {Record<string, number>} carries - Tracker id to seconds.
+   */
+  async setIntervalCarries(carries) {
+    const trackers = this.#getData();
+    let changed = false;
+    for (const [id, seconds] of Object.entries(carries)) {
+      if (!trackers[id] || trackers[id].intervalCarry === seconds) continue;
+      trackers[id].intervalCarry = seconds;
+      changed = true;
+    }
+    if (changed) await game.settings.set(MODULE_ID, SETTING_KEY, trackers);
+  }
+
   clearAll() {
     game.settings.set(MODULE_ID, SETTING_KEY, {});
+    this.history.clearAll();
+  }
+
+  /** Revert the newest recorded change to a tracker. */
+  async undo(id) {
+    const data = this.history.peek(id, "undo");
+    if (!data) return;
+    await this.update({ id, ...data }, { kind: "undo" });
+  }
+
+  /** Re-apply the newest undone change to a tracker. */
+  async redo(id) {
+    const data = this.history.peek(id, "redo");
+    if (!data) return;
+    await this.update({ id, ...data }, { kind: "redo" });
   }
 
   move(id, idx) {
@@ -145,7 +240,10 @@ export class TrackerDatabase extends Collection {
     if (action === "update") {
       if (!game.user.isGM) return;
       const tracker = data.tracker;
-      await this.update({ id: tracker.id, value: tracker.value });
+      await this.update(
+        { id: tracker.id, value: tracker.value },
+        { userId: data.userId, messageId: data.messageId },
+      );
       return { ok: true };
     }
   };
@@ -199,7 +297,11 @@ export class TrackerDatabase extends Collection {
       data,
     );
     if (Object.hasOwn(data, "breakthroughs")) {
-      merged.breakthroughs = [...data.breakthroughs];
+      // The list wins over the legacy fields, including an empty list,
+      // which normalization would otherwise read as "not set".
+      merged.breakthroughs = [...(data.breakthroughs ?? [])];
+      merged.breakthrough1 = null;
+      merged.breakthrough2 = null;
     } else if (
       Object.hasOwn(data, "breakthrough1") ||
       Object.hasOwn(data, "breakthrough2")
@@ -208,6 +310,11 @@ export class TrackerDatabase extends Collection {
     }
     const newData = normalizeTrackerBreakthroughs(merged);
     newData.value = Math.clamp(newData.value, 0, newData.max);
+    await this.history.record(
+      newData.id,
+      TrackerHistory.diff(existing, newData),
+      { kind: "actor" },
+    );
     Object.assign(existing, newData);
     await game.settings.set(MODULE_ID, SETTING_KEY, trackers);
   }
@@ -8,6 +8,11 @@ import {
   percentageToPips,
   pipsToPercentage,
 } from "./breakthrough-positions.mjs";
+import {
+  deleteTemplate,
+  getTemplates,
+  saveTemplate,
+} from "./tracker-templates.mjs";
 
 const PRESET_SIZES = [5, 10, 15, 20, 25, 30];
 
@@ -146,6 +151,13 @@ export class TrackerDialog extends fapi.HandlebarsApplicationMixin(
       ],
     );
     const isConsequence = this.entry?.isConsequence ?? false;
+    const consequenceTrackers = (window.extendedTaskDb?.contents ?? [])
+      .filter((t) => t.isConsequence && t.id !== this.entry?.id)
+      .map((t) => ({
+        id: t.id,
+        name: t.name,
+        selected: t.id === this.entry?.consequenceId,
+      }));
     return {
       entry: this.entry,
       maxSize: MAX_TRACK_SIZE,
@@ -156,6 +168,11 @@ export class TrackerDialog extends fapi.HandlebarsApplicationMixin(
       defaultDifficulty: this.entry?.difficulty ?? 1,
       defaultResistance: this.entry?.resistance ?? 0,
       defaultImpact: this.entry?.impact ?? 3,
+      defaultIntervals: this.entry?.intervals ?? 0,
+      defaultIntervalMinutes: Math.round(
+        (this.entry?.intervalSeconds ?? 0) / 60,
+      ),
+      consequenceTrackers,
       isConsequence,
       isTimedChallenge: this.entry?.isTimedChallenge ?? false,
       trackerType,
@@ -178,6 +195,7 @@ export class TrackerDialog extends fapi.HandlebarsApplicationMixin(
             ...p,
             name: game.i18n.localize(p.nameKey),
           })),
+      templates: this.entry ? [] : getTemplates(),
     };
   }
 
@@ -200,6 +218,7 @@ export class TrackerDialog extends fapi.HandlebarsApplicationMixin(
     const actorRow = html.querySelector(".actor-row");
     const maxInput = html.querySelector("[name='max']");
     const breakthroughSettings = html.querySelector(".breakthrough-settings");
+    const timedSettings = html.querySelector(".timed-settings");
     const breakthroughList = html.querySelector(".breakthrough-position-list");
     const breakthroughCountInput = html.querySelector(
       "[name='breakthroughCount']",
@@ -312,6 +331,7 @@ export class TrackerDialog extends fapi.HandlebarsApplicationMixin(
       if (actorRow) actorRow.style.display = isTimed ? "none" : "";
       if (breakthroughSettings)
         breakthroughSettings.style.display = isTimed ? "none" : "";
+      if (timedSettings) timedSettings.style.display = isTimed ? "" : "none";
       if (maxInput) {
         maxInput.min = isTimed ? "1" : String(MIN_BREAKTHROUGH_TRACK_SIZE);
         if (!isTimed && getMax() < MIN_BREAKTHROUGH_TRACK_SIZE) {
@@ -601,6 +621,89 @@ export class TrackerDialog extends fapi.HandlebarsApplicationMixin(
     for (const button of html.querySelectorAll(".preset-btn")) {
       button.addEventListener("click", updatePreview);
     }
+
+    // Saved templates: fill every field, including breakthrough positions.
+    const templateSelect = html.querySelector(".template-select");
+    templateSelect?.addEventListener("change", () => {
+      const template = getTemplates().find(
+        (t) => t.id === templateSelect.value,
+      );
+      if (!template) return;
+      const setValue = (name, value) => {
+        const input = html.querySelector(`[name='${name}']`);
+        if (input && value !== undefined) input.value = value;
+      };
+      setValue("name", template.name);
+      setValue("max", template.max);
+      if (inputElement) inputElement.value = String(template.max);
+      setValue("difficulty", template.difficulty ?? 1);
+      setValue("resistance", template.resistance ?? 0);
+      setValue("impact", template.impact ?? 3);
+      setValue("colorId", template.colorId);
+      setValue("intervals", template.intervals ?? 0);
+      setValue(
+        "intervalMinutes",
+        Math.round((template.intervalSeconds ?? 0) / 60),
+      );
+      if (typeSelect) {
+        typeSelect.value = template.isTimedChallenge
+          ? "timed"
+          : template.isConsequence
+            ? "consequence"
+            : "task";
+      }
+      const privateInput = html.querySelector("[name='private']");
+      if (privateInput) privateInput.checked = Boolean(template.private);
+      const hideInput = html.querySelector(
+        "[name='hideBreakthroughsFromPlayers']",
+      );
+      if (hideInput) {
+        hideInput.checked = Boolean(template.hideBreakthroughsFromPlayers);
+      }
+      syncMode();
+      if (!template.isTimedChallenge) {
+        const positions = normalizeBreakthroughPositionList(
+          getMax(),
+          template.breakthroughs ?? [],
+        );
+        while (breakthroughInputs.length < positions.length) {
+          breakthroughList.appendChild(
+            breakthroughInputs.at(-1).row.cloneNode(true),
+          );
+          collectBreakthroughInputs();
+        }
+        applyPositions(positions);
+      }
+      updatePreview();
+    });
+    html
+      .querySelector(".template-delete-btn")
+      ?.addEventListener("click", async () => {
+        const option = templateSelect?.selectedOptions[0];
+        if (!option?.value) return;
+        await deleteTemplate(option.value);
+        option.remove();
+        templateSelect.value = "";
+      });
+    html
+      .querySelector(".template-save-btn")
+      ?.addEventListener("click", async () => {
+        const formData = new foundry.applications.ux.FormDataExtended(html);
+        const template = await saveTemplate(
+          prepareTrackerData(formData.object),
+        );
+        ui.notifications.info(
+          game.i18n.format("sta-utils.extendedTaskTracker.templates.saved", {
+            name: template.name,
+          }),
+        );
+        if (!templateSelect) return;
+        const option =
+          templateSelect.querySelector(`option[value="${template.id}"]`) ??
+          templateSelect.appendChild(document.createElement("option"));
+        option.value = template.id;
+        option.textContent = template.name;
+      });
     breakthroughSettings?.addEventListener("change", (event) => {
       const row = event.target.closest(".breakthrough-position-row");
       if (!row) return;
@@ -650,44 +753,7 @@ export class TrackerDialog extends fapi.HandlebarsApplicationMixin(
       return;
     }
 
-    const data = formData.object;
-    data.isConsequence = data.trackerType === "consequence";
-    data.isTimedChallenge = data.trackerType === "timed";
-    delete data.trackerType;
-    data.max = Math.clamp(
-      data.max,
-      data.isTimedChallenge ? 1 : MIN_BREAKTHROUGH_TRACK_SIZE,
-      MAX_TRACK_SIZE,
-    );
-    if (data.isTimedChallenge) {
-      data.breakthroughs = [];
-    } else {
-      const breakthroughCount = Math.clamp(
-        Number(data.breakthroughCount) || 1,
-        1,
-        MAX_BREAKTHROUGH_COUNT,
-      );
-      const positions = Array.from({ length: breakthroughCount }, (_, index) =>
-        data[`breakthrough${index}Unit`] === "percent"
-          ? percentageToPips(data[`breakthrough${index}`], data.max)
-          : data[`breakthrough${index}`],
-      );
-      data.breakthroughs = normalizeBreakthroughPositionList(
-        data.max,
-        positions,
-      );
-    }
-    for (let index = 0; index < MAX_BREAKTHROUGH_COUNT; index++) {
-      delete data[`breakthrough${index}`];
-      delete data[`breakthrough${index}Unit`];
-    }
-    delete data.breakthroughCount;
-    data.difficulty = Math.clamp(data.difficulty ?? 1, 1, 10);
-    data.resistance = data.isTimedChallenge
-      ? 0
-      : Math.clamp(data.resistance ?? 0, 0, 5);
-    data.impact = Math.clamp(data.impact ?? 3, 1, 10);
-    data.actorId = data.actorId || null;
+    const data = prepareTrackerData(formData.object);
     if (this.entry) {
       data.id = this.entry.id;
       data.value = Math.clamp(data.value, 0, data.max);
@@ -696,3 +762,67 @@ export class TrackerDialog extends fapi.HandlebarsApplicationMixin(
     this.complete(data);
   }
 }
+
+/**
+ * Convert the dialog's raw form values into tracker data: resolve the
+ * tracker type, clamp numeric fields and turn the breakthrough rows into a
+ * normalized `breakthroughs` list.
+ *
+ * @param {object} data - `FormDataExtended#object` of the tracker form.
+ * @returns {object}
+ */
+function prepareTrackerData(data) {
+  data.isConsequence = data.trackerType === "consequence";
+  data.isTimedChallenge = data.trackerType === "timed";
+  delete data.trackerType;
+  data.max = Math.clamp(
+    data.max,
+    data.isTimedChallenge ? 1 : MIN_BREAKTHROUGH_TRACK_SIZE,
+    MAX_TRACK_SIZE,
+  );
+  if (data.isTimedChallenge) {
+    data.breakthroughs = [];
+  } else {
+    const breakthroughCount = Math.clamp(
+      Number(data.breakthroughCount) || 1,
+      1,
+      MAX_BREAKTHROUGH_COUNT,
+    );
+    const positions = Array.from({ length: breakthroughCount }, (_, index) =>
+      data[`breakthrough${index}Unit`] === "percent"
+        ? percentageToPips(data[`breakthrough${index}`], data.max)
+        : data[`breakthrough${index}`],
+    );
+    data.breakthroughs = normalizeBreakthroughPositionList(data.max, positions);
+  }
+  for (let index = 0; index < MAX_BREAKTHROUGH_COUNT; index++) {
+    delete data[`breakthrough${index}`];
+    delete data[`breakthrough${index}Unit`];
+  }
+  delete data.breakthroughCount;
+  data.difficulty = Math.clamp(data.difficulty ?? 1, 1, 10);
+  data.resistance = data.isTimedChallenge
+    ? 0
+    : Math.clamp(data.resistance ?? 0, 0, 5);
+  data.impact = Math.clamp(data.impact ?? 3, 1, 10);
+  data.actorId = data.actorId || null;
+  if (data.isTimedChallenge) {
+    data.intervals = Math.clamp(Number(data.intervals) || 0, 0, 99);
+    data.intervalSeconds = Math.max(0, Number(data.intervalMinutes) || 0) * 60;
+    data.consequenceId = data.consequenceId || null;
+    if (data.intervalsUsed !== undefined) {
+      data.intervalsUsed = Math.clamp(
+        Number(data.intervalsUsed) || 0,
+        0,
+        data.intervals,
+      );
+    }
+  } else {
+    data.intervals = 0;
+    data.intervalSeconds = 0;
+    data.consequenceId = null;
+    delete data.intervalsUsed;
+  }
+  delete data.intervalMinutes;
+  return data;
+}
@@ -0,0 +1,157 @@
+import { MODULE_ID } from "../core/constants.mjs";
+
+export const HISTORY_SETTING_KEY = "extendedTaskTrackerHistory";
+
+/** Maximum log entries (and undo / redo steps) kept per tracker. */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Tracker fields captured by the change log. `actorId` and `colorId` are
+ * deliberately left out — linking an actor or recolouring a bar is not
+ * something a GM expects Undo to reverse.
+ */
+const TRACKED_FIELDS = [
+  "name",
+  "value",
+  "max",
+  "difficulty",
+  "resistance",
+  "impact",
+  "breakthroughs",
+  "private",
+  "isConsequence",
+  "isTimedChallenge",
+  "hideBreakthroughsFromPlayers",
+  "intervals",
+  "intervalsUsed",
+  "intervalSeconds",
+];
+
+const EMPTY_HISTORY = { log: [], undo: [], redo: [] };
+
+/**
+ * Bounded per-tracker change history stored in a hidden world setting.
+ *
+ * Every tracker has a `log` (what changed, who changed it, when, and an
+ * optional linked chat message) plus `undo` / `redo` stacks of change sets.
+ * Only users with SETTINGS_MODIFY write here; player edits are recorded by
+ * the GM that services their query.
+ */
+export class TrackerHistory {
+  /**
+   * Diff two tracker snapshots over the tracked fields.
+   *
+   * @param {object} before
+   * @param {object} after
+   * @returns {Record<string, [any, any]>|null} `{ field: [old, new] }`, or null if nothing changed.
+   */
+  static diff(before, after) {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+      const a = before?.[field] ?? null;
+      const b = after?.[field] ?? null;
+      if (JSON.stringify(a) !== JSON.stringify(b)) {
+        changes[field] = [
+          foundry.utils.duplicate(a),
+          foundry.utils.duplicate(b),
+        ];
+      }
+    }
+    return Object.keys(changes).length ? changes : null;
+  }
+
+  /**
+   * @param {string} trackerId
+   * @returns {{ log: object[], undo: object[], redo: object[] }}
+   */
+  get(trackerId) {
+    const all = game.settings.get(MODULE_ID, HISTORY_SETTING_KEY) ?? {};
+    return foundry.utils.mergeObject(
+      foundry.utils.deepClone(EMPTY_HISTORY),
+      all[trackerId] ?? {},
+    );
+  }
+
+  canUndo(trackerId) {
+    return this.get(trackerId).undo.length > 0;
+  }
+
+  canRedo(trackerId) {
+    return this.get(trackerId).redo.length > 0;
+  }
+
+  /**
+   * Record a change to a tracker.
+   *
+   * @param {string} trackerId
+   * @param {Record<string, [any, any]>} changes - Output of {@link TrackerHistory.diff}.
+   * @param {object} [options]
+   * @param {"edit"|"undo"|"redo"|"actor"} [options.kind="edit"]
+   * @param {string} [options.userId]    - The user who made the change.
+   * @param {string} [options.messageId] - Chat message that caused the change.
+   */
+  async record(trackerId, changes, { kind = "edit", userId, messageId } = {}) {
+    const isStep = kind === "undo" || kind === "redo";
+    // An undo / redo that turns out to be a no-op still has to move its
+    // change set, otherwise the stack would be stuck on it.
+    if (!changes && !isStep) return;
+    const all = game.settings.get(MODULE_ID, HISTORY_SETTING_KEY) ?? {};
+    const history = this.get(trackerId);
+
+    if (changes) {
+      history.log.push({
+        id: foundry.utils.randomID(),
+        time: Date.now(),
+        userId: userId ?? game.user.id,
+        kind,
+        changes,
+        messageId: messageId ?? null,
+      });
+    }
+
+    // A fresh edit invalidates anything that could previously be redone.
+    // Undo / redo move their change set between the two stacks instead.
+    if (kind === "edit" || kind === "actor") {
+      history.undo.push(changes);
+      history.redo = [];
+    } else if (kind === "undo") {
+      history.redo.push(history.undo.pop());
+    } else if (kind === "redo") {
+      history.undo.push(history.redo.pop());
+    }
+
+    for (const key of Object.keys(EMPTY_HISTORY)) {
+      history[key] = history[key].filter(Boolean).slice(-HISTORY_LIMIT);
+    }
+    all[trackerId] = history;
+    await game.settings.set(MODULE_ID, HISTORY_SETTING_KEY, all);
+  }
+
+  /**
+   * Build the tracker update that reverses (or re-applies) the newest step.
+   *
+   * @param {string} trackerId
+   * @param {"undo"|"redo"} direction
+   * @returns {object|null} Partial tracker data, or null if the stack is empty.
+   */
+  peek(trackerId, direction) {
+    const history = this.get(trackerId);
+    const changes = history[direction].at(-1);
+    if (!changes) return null;
+    const side = direction === "undo" ? 0 : 1;
+    return Object.fromEntries(
+      Object.entries(changes).map(([field, pair]) => [field, pair[side]]),
+    );
+  }
+
+  async delete(trackerId) {
+    const all = game.settings.get(MODULE_ID, HISTORY_SETTING_KEY) ?? {};
+    if (!(trackerId in all)) return;
+    delete all[trackerId];
+    await game.settings.set(MODULE_ID, HISTORY_SETTING_KEY, all);
+  }
+
+  async clearAll() {
+    await game.settings.set(MODULE_ID, HISTORY_SETTING_KEY, {});
+  }
+}
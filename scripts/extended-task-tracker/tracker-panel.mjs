@@ -2,6 +2,13 @@ import { MODULE_ID } from "../core/constants.mjs";
 import { TrackerDatabase } from "./tracker-database.mjs";
 import { TrackerDialog, COLOR_PRESETS } from "./tracker-dialog.mjs";
 import { BreakthroughDialog } from "./breakthrough-dialog.mjs";
+import { TrackerHistoryDialog } from "./history-dialog.mjs";
+import { exportTrackers, importTrackers } from "./tracker-templates.mjs";
+import {
+  advanceIntervals,
+  hasIntervalBudget,
+  intervalsRemaining,
+} from "./timed-challenge.mjs";
 import { pipsToPercentage } from "./breakthrough-positions.mjs";
 
 const fapi = foundry.applications.api;
@@ -42,6 +49,13 @@ export class TrackerPanel extends fapi.HandlebarsApplicationMixin(
       clearAll: TrackerPanel.#onClearAll,
       openLinkedActor: TrackerPanel.#onOpenLinkedActor,
       saveToActor: TrackerPanel.#onSaveToActor,
+      undoEntry: TrackerPanel.#onUndoEntry,
+      redoEntry: TrackerPanel.#onRedoEntry,
+      historyEntry: TrackerPanel.#onHistoryEntry,
+      exportEntry: TrackerPanel.#onExportEntry,
+      exportAll: TrackerPanel.#onExportAll,
+      importTrackers: TrackerPanel.#onImportTrackers,
+      nextInterval: TrackerPanel.#onNextInterval,
     },
   };
 
@@ -152,6 +166,11 @@ export class TrackerPanel extends fapi.HandlebarsApplicationMixin(
         slashes,
         rows,
         editable: game.user.isGM,
+        canUndo: game.user.isGM && this.db.history.canUndo(data.id),
+        canRedo: game.user.isGM && this.db.history.canRedo(data.id),
+        hasIntervals: hasIntervalBudget(data),
+        intervalsRemaining: intervalsRemaining(data),
+        timeExpired: hasIntervalBudget(data) && intervalsRemaining(data) <= 0,
         visible: !data.private || game.user.isGM,
       };
     });
@@ -570,4 +589,38 @@ export class TrackerPanel extends fapi.HandlebarsApplicationMixin(
       await this.db.update({ id: entry.id, actorId: actor.id });
     }
   }
+
+  static async #onUndoEntry(event) {
+    const id = event.target.closest("[data-id]").dataset.id;
+    await this.db.undo(id);
+  }
+
+  static async #onRedoEntry(event) {
+    const id = event.target.closest("[data-id]").dataset.id;
+    await this.db.redo(id);
+  }
+
+  static #onHistoryEntry(event) {
+    const id = event.target.closest("[data-id]").dataset.id;
+    if (!this.db.get(id)) return;
+    new TrackerHistoryDialog(this.db, id).render({ force: true });
+  }
+
+  static #onExportEntry(event) {
+    const id = event.target.closest("[data-id]").dataset.id;
+    exportTrackers(this.db, [id]);
+  }
+
+  static #onExportAll() {
+    exportTrackers(this.db);
+  }
+
+  static async #onImportTrackers() {
+    await importTrackers(this.db);
+  }
+
+  static async #onNextInterval(event) {
+    const id = event.target.closest("[data-id]").dataset.id;
+    await advanceIntervals(this.db, id);
+  }
 }
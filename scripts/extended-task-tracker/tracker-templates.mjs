@@ -0,0 +1,216 @@
+import { MODULE_ID } from "../core/constants.mjs";
+import { normalizeTrackerBreakthroughs } from "./breakthrough-positions.mjs";
+
+export const TEMPLATE_SETTING_KEY = "extendedTaskTemplates";
+
+const EXPORT_TYPE = "sta-utils.extendedTaskTrackers";
+const EXPORT_VERSION = 1;
+
+/**
+ * Tracker fields that travel between worlds. Runtime state (`value`,
+ * `intervalsUsed`) is only exported for trackers, never stored on templates;
+ * world-specific links such as `actorId` and `consequenceId` are always
+ * dropped.
+ */
+export const PORTABLE_FIELDS = [
+  "name",
+  "max",
+  "difficulty",
+  "resistance",
+  "impact",
+  "isConsequence",
+  "isTimedChallenge",
+  "breakthroughs",
+  "hideBreakthroughsFromPlayers",
+  "private",
+  "colorId",
+  "intervals",
+  "intervalSeconds",
+];
+
+/**
+ * Strip a tracker down to its portable fields.
+ *
+ * @param {object} tracker
+ * @param {object} [options]
+ * @param {boolean} [options.withValue=false] - Keep the current progress.
+ * @returns {object}
+ */
+export function toPortable(tracker, { withValue = false } = {}) {
+  const data = {};
+  for (const field of PORTABLE_FIELDS) {
+    if (tracker[field] !== undefined) {
+      data[field] = foundry.utils.deepClone(tracker[field]);
+    }
+  }
+  if (withValue) {
+    data.value = tracker.value ?? 0;
+    data.intervalsUsed = tracker.intervalsUsed ?? 0;
+  }
+  return normalizeTrackerBreakthroughs(data);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Template library                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * All saved templates, sorted by name.
+ *
+ * @returns {object[]}
+ */
+export function getTemplates() {
+  const templates = game.settings.get(MODULE_ID, TEMPLATE_SETTING_KEY) ?? {};
+  return Object.values(templates).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save tracker data as a named template. A template with the same name is
+ * replaced rather than duplicated.
+ *
+ * @param {object} data - Tracker data (from the dialog form or a tracker).
+ * @returns {Promise<object>} The stored template.
+ */
+export async function saveTemplate(data) {
+  const templates = game.settings.get(MODULE_ID, TEMPLATE_SETTING_KEY) ?? {};
+  const template = toPortable(data);
+  template.name = String(template.name ?? "").trim() || "Extended Task";
+  template.id =
+    Object.values(templates).find((t) => t.name === template.name)?.id ??
+    foundry.utils.randomID();
+  templates[template.id] = template;
+  await game.settings.set(MODULE_ID, TEMPLATE_SETTING_KEY, templates);
+  return template;
+}
+
+export async function deleteTemplate(id) {
+  const templates = game.settings.get(MODULE_ID, TEMPLATE_SETTING_KEY) ?? {};
+  delete templates[id];
+  await game.settings.set(MODULE_ID, TEMPLATE_SETTING_KEY, templates);
+}
+
+/* ------------------------------------------------------------------ */
+/*  JSON export / import                                               */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Download trackers as JSON. With no ids the whole set is exported along
+ * with the template library.
+ *
+ * @param {import("./tracker-database.mjs").TrackerDatabase} db
+ * @param {string[]} [ids] - Limit the export to these trackers.
+ */
+export function exportTrackers(db, ids) {
+  const trackers = ids
+    ? ids.map((id) => db.get(id)).filter(Boolean)
+    : db.contents;
+  const payload = {
+    type: EXPORT_TYPE,
+    version: EXPORT_VERSION,
+    trackers: trackers.map((t) => toPortable(t, { withValue: true })),
+  };
+  if (!ids) payload.templates = getTemplates().map((t) => toPortable(t));
+
+  const slug =
+    trackers.length === 1 && ids
+      ? trackers[0].name.slugify({ strict: true }) || "tracker"
+      : "trackers";
+  foundry.utils.saveDataToFile(
+    JSON.stringify(payload, null, 2),
+    "text/json",
+    `extended-task-${slug}.json`,
+  );
+}
+
+/**
+ * Parse and validate an export payload.
+ *
+ * @param {string} text
+ * @returns {{ trackers: object[], templates: object[] }}
+ * @throws {Error} When the file is not a tracker export.
+ */
+export function parseExport(text) {
+  const payload = JSON.parse(text);
+  const templates = payload?.templates ?? [];
+  const isEntryList = (list) =>
+    Array.isArray(list) &&
+    list.every((entry) => foundry.utils.getType(entry) === "Object");
+  if (
+    payload?.type !== EXPORT_TYPE ||
+    !isEntryList(payload.trackers) ||
+    !isEntryList(templates)
+  ) {
+    throw new Error(
+      game.i18n.localize("sta-utils.extendedTaskTracker.transfer.invalidFile"),
+    );
+  }
+  return {
+    trackers: payload.trackers.map((t) => toPortable(t, { withValue: true })),
+    templates: templates.map((t) => toPortable(t)),
+  };
+}
+
+/**
+ * Ask for an exported JSON file and add its trackers (and templates) to
+ * this world.
+ *
+ * @param {import("./tracker-database.mjs").TrackerDatabase} db
+ */
+export async function importTrackers(db) {
+  const file = await foundry.applications.api.DialogV2.wait({
+    window: {
+      title: game.i18n.localize(
+        "sta-utils.extendedTaskTracker.transfer.importTitle",
+      ),
+      icon: "fa-solid fa-file-import",
+    },
+    content: `<div class="form-group">
+        <label>${game.i18n.localize("sta-utils.extendedTaskTracker.transfer.file")}</label>
+        <input type="file" name="file" accept=".json,application/json" />
+      </div>`,
+    buttons: [
+      {
+        action: "import",
+        label: game.i18n.localize(
+          "sta-utils.extendedTaskTracker.transfer.import",
+        ),
+        icon: "fas fa-file-import",
+        default: true,
+        callback: (_event, _button, dialog) =>
+          dialog.element.querySelector("[name=file]")?.files?.[0] ?? null,
+      },
+      {
+        action: "cancel",
+        label: game.i18n.localize("Cancel"),
+        icon: "fas fa-times",
+        callback: () => null,
+      },
+    ],
+    rejectClose: false,
+  });
+  if (!file) return;
+
+  let data;
+  try {
+    data = parseExport(await foundry.utils.readTextFromFile(file));
+  } catch (err) {
+    ui.notifications.error(
+      err instanceof SyntaxError
+        ? game.i18n.localize(
+            "sta-utils.extendedTaskTracker.transfer.invalidFile",
+          )
+        : err.message,
+    );
+    return;
+  }
+
+  await db.importTrackers(data.trackers);
+  for (const template of data.templates) await saveTemplate(template);
+
+  ui.notifications.info(
+    game.i18n.format("sta-utils.extendedTaskTracker.transfer.imported", {
+      trackers: data.trackers.length,
+      templates: data.templates.length,
+    }),
+  );
+}
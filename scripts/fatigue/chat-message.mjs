@@ -1,11 +1,15 @@
 /**
  * Chat Message — Fatigue Notice
  *
- * When a chat message is created from an STA roll, checks if the speaker's actor
- * has a fatigue trait and appends a fatigue notice to the message.
+ * When a chat message is created from an STA task roll, checks if the rolling
+ * actor has a fatigue trait and appends a fatigue notice to the message.
  */
 
 import { MODULE_ID } from "../core/constants.mjs";
+import {
+  getTaskResultFlag,
+  isTaskRollMessage,
+} from "../dice-pool-override/index.mjs";
 import { isTraitFatigue } from "./item-flags.mjs";
 
 /**
@@ -17,21 +21,21 @@ export function installCreateChatMessageHook() {
     // Only the message author should append the notice to avoid permission errors.
     if (message.author?.id !== game.user?.id) return;
 
+    // Only task rolls (read from the roll data, not the card markup).
+    if (!isTaskRollMessage(message)) return;
     const html = message.content ?? "";
-    if (message.flags?.sta?.rollType === "acclaim") return;
-
-    // STA v2.5.0 changed chat card class from "sta roll chat card" to "chatcard"
-    const isStaChatCard =
-      html.includes('class="sta roll chat card"') ||
-      html.includes('class="chatcard"');
-    if (!isStaChatCard) return;
 
     // Check if character is fatigued and add notice to chat message
     try {
+      const actorUuid = getTaskResultFlag(message)?.actorUuid;
       const speakerActorId = message.speaker?.actor;
-      const actor = speakerActorId ? game.actors?.get?.(speakerActorId) : null;
+      const actor = actorUuid
+        ? fromUuidSync(actorUuid)
+        : speakerActorId
+          ? game.actors?.get?.(speakerActorId)
+          : null;
 
-      if (actor) {
+      if (actor?.items) {
         // Check for trait with isFatigue flag set to true
         const isFatigued = actor.items.some((item) => {
           return item.type === "trait" && isTraitFatigue(item);
@@ -72,6 +72,14 @@ const LAUNCHER_SECTIONS = [
         available: () => !!game.staUtils?.warpCalculator,
         call: () => game.staUtils.warpCalculator.open(),
       },
+      {
+        id: "warpRoutePlanner",
+        labelKey: "sta-utils.launcher.warpRoutePlanner",
+        icon: "fa-route",
+        gmOnly: false,
+        available: () => !!game.staUtils?.warpCalculator,
+        call: () => game.staUtils.warpCalculator.openRoutePlanner(),
+      },
       {
         id: "perform-task",
         labelKey: "sta-utils.launcher.performTask",
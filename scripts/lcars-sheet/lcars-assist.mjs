@@ -125,6 +125,7 @@ export async function performAssistRoll(event) {
     usingReservePower: false,
     complicationRange,
     skillLevel: "",
+    difficulty: dialogResult.difficulty,
   };
 
   /* ---- Middleware ---- */
@@ -1,2 +1,17 @@
 // Momentum Spend - adds a "Spend Momentum" button to task roll chat cards
 export { installMomentumSpendHook } from "./momentum-spend.mjs";
+export {
+  registerSpendEffect,
+  applySpendEffects,
+} from "./momentum-spend-effects.mjs";
+export {
+  MOMENTUM_SPEND_CATALOG_SETTING,
+  getSpendCatalog,
+  getSpendLookup,
+  getSpendTabs,
+  saveSpendCatalog,
+} from "./momentum-spend-catalog.mjs";
+export {
+  MomentumSpendCatalogEditor,
+  openMomentumSpendCatalogEditor,
+} from "./momentum-spend-catalog-editor.mjs";
@@ -0,0 +1,225 @@
+/**
+ * Momentum Spend – Catalog editor
+ *
+ * GM settings menu for the world's momentum spend catalog (see
+ * momentum-spend-catalog.mjs): enable, relabel, re-cost and reorder spends,
+ * and add spends and tabs for homebrew or supplements.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t } from "../core/i18n.mjs";
+import {
+  getDefaultSpendCatalog,
+  getSpendCatalog,
+  getSpendName,
+  getTabLabel,
+  saveSpendCatalog,
+  slugifySpendId,
+} from "./momentum-spend-catalog.mjs";
+
+const fapi = foundry.applications.api;
+
+/** Ids of the built-in spends and tabs, which can be disabled but not deleted. */
+const BUILTIN_IDS = (() => {
+  const catalog = getDefaultSpendCatalog();
+  return {
+    tabs: new Set(catalog.tabs.map((tab) => tab.id)),
+    spends: new Set(catalog.spends.map((spend) => spend.id)),
+  };
+})();
+
+/**
+ * Settings menu for editing the momentum spend catalog.
+ */
+export class MomentumSpendCatalogEditor extends fapi.HandlebarsApplicationMixin(
+  fapi.ApplicationV2,
+) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-momentum-spend-catalog`,
+    classes: ["sta-utils", "sta-spend-catalog-editor", "standard-form"],
+    tag: "form",
+    position: { width: 760, height: "auto" },
+    window: {
+      icon: "fa-solid fa-coins",
+      title: "sta-utils.momentumSpend.catalog.title",
+      resizable: true,
+    },
+    form: {
+      handler: MomentumSpendCatalogEditor.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      addSpend: MomentumSpendCatalogEditor.#onAddSpend,
+      deleteSpend: MomentumSpendCatalogEditor.#onDeleteSpend,
+      moveSpend: MomentumSpendCatalogEditor.#onMoveSpend,
+      addTab: MomentumSpendCatalogEditor.#onAddTab,
+      deleteTab: MomentumSpendCatalogEditor.#onDeleteTab,
+      resetCatalog: MomentumSpendCatalogEditor.#onReset,
+    },
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/momentum-spend-catalog-editor.hbs`,
+      root: true,
+    },
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.catalog = getSpendCatalog();
+  }
+
+  async _prepareContext() {
+    const tabChoices = Object.fromEntries(
+      this.catalog.tabs.map((tab) => [tab.id, getTabLabel(tab)]),
+    );
+    return {
+      tabs: this.catalog.tabs.map((tab, index) => ({
+        ...tab,
+        index,
+        builtin: BUILTIN_IDS.tabs.has(tab.id),
+        placeholder: BUILTIN_IDS.tabs.has(tab.id)
+          ? getTabLabel({ ...tab, label: "" })
+          : t("sta-utils.momentumSpend.catalog.customTab"),
+      })),
+      spends: this.catalog.spends.map((spend, index) => ({
+        ...spend,
+        index,
+        builtin: BUILTIN_IDS.spends.has(spend.id),
+        enabled: !spend.disabled,
+        placeholder: getSpendName({ ...spend, label: "" }),
+        isFirst: index === 0,
+        isLast: index === this.catalog.spends.length - 1,
+      })),
+      tabChoices,
+    };
+  }
+
+  /**
+   * Read the catalog currently entered in the form. Rows are in the order
+   * of `this.catalog`, so fields the form doesn't show are carried over.
+   *
+   * @param {object} [object] - Already-parsed form values.
+   * @returns {{ version: number, tabs: object[], spends: object[] }}
+   */
+  _readCatalog(object) {
+    const data = foundry.utils.expandObject(
+      object ??
+        new foundry.applications.ux.FormDataExtended(this.element).object,
+    );
+    const tabs = this.catalog.tabs.map((tab, index) => ({
+      ...tab,
+      label: data.tabs?.[index]?.label ?? tab.label,
+    }));
+    const spends = this.catalog.spends.map((spend, index) => {
+      const row = data.spends?.[index] ?? {};
+      return {
+        ...spend,
+        id: row.id ?? spend.id,
+        label: row.label ?? spend.label,
+        description: row.description ?? spend.description,
+        costPer: row.costPer ?? spend.costPer,
+        repeatable: row.repeatable ?? spend.repeatable,
+        maxCount: row.maxCount ?? spend.maxCount,
+        tab: row.tab ?? spend.tab,
+        disabled: row.enabled == null ? spend.disabled : !row.enabled,
+      };
+    });
+    return { ...this.catalog, tabs, spends };
+  }
+
+  /**
+   * A catalog id not yet used by a spend or tab.
+   *
+   * @param {string} base
+   * @returns {string}
+   */
+  _uniqueId(base) {
+    const used = new Set([
+      ...this.catalog.tabs.map((tab) => tab.id),
+      ...this.catalog.spends.map((spend) => spend.id),
+    ]);
+    let id = slugifySpendId(base) || "custom";
+    for (let n = 2; used.has(id); n++) id = `${slugifySpendId(base)}-${n}`;
+    return id;
+  }
+
+  static #onAddSpend() {
+    this.catalog = this._readCatalog();
+    this.catalog.spends.push({
+      id: this._uniqueId(`custom-${foundry.utils.randomID(6)}`),
+      tab: this.catalog.tabs.at(-1).id,
+      label: t("sta-utils.momentumSpend.catalog.newSpend"),
+      description: "",
+      costPer: 1,
+      repeatable: false,
+      maxCount: 1,
+      disabled: false,
+    });
+    this.render();
+  }
+
+  static #onDeleteSpend(_event, target) {
+    const index = Number(target.dataset.index);
+    this.catalog = this._readCatalog();
+    if (BUILTIN_IDS.spends.has(this.catalog.spends[index]?.id)) return;
+    this.catalog.spends.splice(index, 1);
+    this.render();
+  }
+
+  static #onMoveSpend(_event, target) {
+    const index = Number(target.dataset.index);
+    const to = index + Number(target.dataset.direction);
+    this.catalog = this._readCatalog();
+    const { spends } = this.catalog;
+    if (to < 0 || to >= spends.length) return;
+    [spends[index], spends[to]] = [spends[to], spends[index]];
+    this.render();
+  }
+
+  static #onAddTab() {
+    this.catalog = this._readCatalog();
+    this.catalog.tabs.push({
+      id: this._uniqueId(`custom-${foundry.utils.randomID(6)}`),
+      label: t("sta-utils.momentumSpend.catalog.newTab"),
+    });
+    this.render();
+  }
+
+  static #onDeleteTab(_event, target) {
+    const index = Number(target.dataset.index);
+    this.catalog = this._readCatalog();
+    const tab = this.catalog.tabs[index];
+    if (!tab || BUILTIN_IDS.tabs.has(tab.id)) return;
+    this.catalog.tabs.splice(index, 1);
+    // Spends on the removed tab move to the first tab.
+    for (const spend of this.catalog.spends) {
+      if (spend.tab === tab.id) spend.tab = this.catalog.tabs[0].id;
+    }
+    this.render();
+  }
+
+  static async #onReset() {
+    const confirmed = await fapi.DialogV2.confirm({
+      window: { title: t("sta-utils.momentumSpend.catalog.reset") },
+      content: `<p>${t("sta-utils.momentumSpend.catalog.resetConfirm")}</p>`,
+    });
+    if (!confirmed) return;
+    this.catalog = getDefaultSpendCatalog();
+    this.render();
+  }
+
+  static async #onSubmit(_event, _form, formData) {
+    this.catalog = this._readCatalog(formData.object);
+    await saveSpendCatalog(this.catalog);
+    ui.notifications.info(t("sta-utils.momentumSpend.catalog.saved"));
+  }
+}
+
+/**
+ * Open the momentum spend catalog editor.
+ */
+export function openMomentumSpendCatalogEditor() {
+  new MomentumSpendCatalogEditor().render({ force: true });
+}
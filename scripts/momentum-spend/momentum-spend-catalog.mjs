@@ -0,0 +1,299 @@
+/**
+ * Momentum Spend Catalog
+ *
+ * The world's list of momentum spends and tabs, as shown in the Momentum
+ * Spend dialog and the Action Chooser's suggested spends. The built-in
+ * spends from momentum-spend-data.mjs are the defaults; the GM can disable,
+ * re-cost, relabel and reorder them, and add spends and tabs of their own,
+ * through the catalog editor. The result is stored in the
+ * "momentumSpendCatalog" world setting:
+ *
+ * ```js
+ * {
+ *   version: 1,
+ *   tabs: [{ id: "common", label: "" }, { id: "custom-ab12cd", label: "Social Conflict" }],
+ *   spends: [
+ *     { id: "alterTrait", tab: "common", label: "", costPer: 2,
+ *       repeatable: false, maxCount: 1, disabled: false },
+ *     { id: "persuade", tab: "custom-ab12cd", label: "Persuade",
+ *       description: "…", costPer: 1, repeatable: true, maxCount: 3 },
+ *   ],
+ * }
+ * ```
+ *
+ * An empty label keeps the built-in localized name. Built-in spends missing
+ * from the stored catalog (e.g. added by a module update) are appended to
+ * their default tab.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t, tf } from "../core/i18n.mjs";
+import { SPEND_TABS } from "./momentum-spend-data.mjs";
+
+export const MOMENTUM_SPEND_CATALOG_SETTING = "momentumSpendCatalog";
+const CATALOG_VERSION = 1;
+
+/** Built-in tabs by id. */
+const BUILTIN_TABS = new Map(SPEND_TABS.map((tab) => [tab.id, tab]));
+
+/** Built-in spends by id, with the tab they default to. */
+const BUILTIN_SPENDS = new Map(
+  SPEND_TABS.flatMap((tab) =>
+    tab.spends.map((spend) => [spend.id, { ...spend, tab: tab.id }]),
+  ),
+);
+
+/** Fields of a built-in spend that the catalog can't change. */
+const FIXED_FIELDS = [
+  "i18nKey",
+  "immediate",
+  "escalating",
+  "variable",
+  "costMin",
+  "costMax",
+  "effect",
+];
+
+/* ================================================================== */
+/*  Normalization                                                      */
+/* ================================================================== */
+
+/**
+ * @param {unknown} value
+ * @param {number}  fallback
+ * @returns {number} A non-negative integer.
+ */
+function _count(value, fallback) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Turn free text into a catalog id.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function slugifySpendId(value) {
+  return String(value ?? "")
+    .trim()
+    .replace(/[^A-Za-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Normalize one catalog spend. Built-in spends keep their fixed fields
+ * (localization key, Threat payment, escalation, effect handler).
+ *
+ * @param {object} raw
+ * @param {string} fallbackTab
+ * @returns {object|null} Null when the spend has no id.
+ */
+function _normalizeSpend(raw, fallbackTab) {
+  const id = slugifySpendId(raw?.id);
+  if (!id) return null;
+  const builtin = BUILTIN_SPENDS.get(id);
+
+  const repeatable = Boolean(raw.repeatable ?? builtin?.repeatable);
+  const spend = {
+    id,
+    tab: String(raw.tab || builtin?.tab || fallbackTab),
+    label: String(raw.label ?? "").trim(),
+    description: String(raw.description ?? "").trim(),
+    costPer: _count(raw.costPer, builtin?.costPer ?? 1),
+    repeatable,
+    maxCount: repeatable ? _count(raw.maxCount, builtin?.maxCount ?? 0) : 1,
+    disabled: Boolean(raw.disabled ?? builtin?.disabled),
+  };
+  if (builtin) {
+    for (const key of FIXED_FIELDS) {
+      if (builtin[key] !== undefined) spend[key] = builtin[key];
+    }
+  }
+  return spend;
+}
+
+/**
+ * Normalize a catalog: drop invalid and duplicate entries, keep tab
+ * references valid and fill in any built-in spends or tabs it lacks.
+ *
+ * @param {object} raw
+ * @returns {{ version: number, tabs: object[], spends: object[] }}
+ */
+export function normalizeSpendCatalog(raw) {
+  const tabs = [];
+  const tabIds = new Set();
+  for (const tab of Array.isArray(raw?.tabs) ? raw.tabs : []) {
+    const id = slugifySpendId(tab?.id);
+    if (!id || tabIds.has(id)) continue;
+    tabIds.add(id);
+    tabs.push({ id, label: String(tab.label ?? "").trim() });
+  }
+  for (const id of BUILTIN_TABS.keys()) {
+    if (tabIds.has(id)) continue;
+    tabIds.add(id);
+    tabs.push({ id, label: "" });
+  }
+
+  const spends = [];
+  const spendIds = new Set();
+  for (const entry of Array.isArray(raw?.spends) ? raw.spends : []) {
+    const spend = _normalizeSpend(entry, tabs[0].id);
+    if (!spend || spendIds.has(spend.id)) continue;
+    if (!tabIds.has(spend.tab)) spend.tab = tabs[0].id;
+    spendIds.add(spend.id);
+    spends.push(spend);
+  }
+  for (const builtin of BUILTIN_SPENDS.values()) {
+    if (spendIds.has(builtin.id)) continue;
+    spends.push(_normalizeSpend(builtin, builtin.tab));
+  }
+
+  return { version: CATALOG_VERSION, tabs, spends };
+}
+
+/* ================================================================== */
+/*  Reading & writing                                                  */
+/* ================================================================== */
+
+/**
+ * The built-in catalog, ignoring any world customisation.
+ *
+ * @returns {{ version: number, tabs: object[], spends: object[] }}
+ */
+export function getDefaultSpendCatalog() {
+  return normalizeSpendCatalog({});
+}
+
+/**
+ * The world's spend catalog, including disabled spends.
+ *
+ * @returns {{ version: number, tabs: object[], spends: object[] }}
+ */
+export function getSpendCatalog() {
+  let stored = null;
+  try {
+    stored = game.settings.get(MODULE_ID, MOMENTUM_SPEND_CATALOG_SETTING);
+  } catch (_) {
+    // Setting not registered (e.g. before init) — use the defaults.
+  }
+  return normalizeSpendCatalog(stored);
+}
+
+/**
+ * Store a catalog as the world's spend catalog.
+ *
+ * @param {object} catalog
+ */
+export async function saveSpendCatalog(catalog) {
+  await game.settings.set(
+    MODULE_ID,
+    MOMENTUM_SPEND_CATALOG_SETTING,
+    normalizeSpendCatalog(catalog),
+  );
+}
+
+/**
+ * The enabled spends grouped into tabs, in catalog order. Tabs without an
+ * enabled spend are left out.
+ *
+ * @returns {{ id: string, label: string, i18nKey?: string, spends: object[] }[]}
+ */
+export function getSpendTabs() {
+  const { tabs, spends } = getSpendCatalog();
+  const enabled = spends.filter((spend) => !spend.disabled);
+  const result = tabs
+    .map((tab) => ({
+      ...tab,
+      i18nKey: BUILTIN_TABS.get(tab.id)?.i18nKey,
+      spends: enabled.filter((spend) => spend.tab === tab.id),
+    }))
+    .filter((tab) => tab.spends.length);
+  return result.length
+    ? result
+    : [
+        {
+          ...tabs[0],
+          i18nKey: BUILTIN_TABS.get(tabs[0].id)?.i18nKey,
+          spends: [],
+        },
+      ];
+}
+
+/**
+ * Enabled spends keyed by id.
+ *
+ * @returns {Map<string, object>}
+ */
+export function getSpendLookup() {
+  return new Map(
+    getSpendCatalog()
+      .spends.filter((spend) => !spend.disabled)
+      .map((spend) => [spend.id, spend]),
+  );
+}
+
+/* ================================================================== */
+/*  Labels                                                             */
+/* ================================================================== */
+
+/**
+ * @param {{ id: string, label?: string, i18nKey?: string }} tab
+ * @returns {string}
+ */
+export function getTabLabel(tab) {
+  if (tab.label) return tab.label;
+  const i18nKey = tab.i18nKey ?? BUILTIN_TABS.get(tab.id)?.i18nKey;
+  return i18nKey ? t(`sta-utils.momentumSpend.${i18nKey}`) : tab.id;
+}
+
+/**
+ * @param {object} spend
+ * @returns {string}
+ */
+export function getSpendName(spend) {
+  if (spend.label) return spend.label;
+  return spend.i18nKey
+    ? t(`sta-utils.momentumSpend.spends.${spend.i18nKey}.name`)
+    : spend.id;
+}
+
+/**
+ * @param {object} spend
+ * @returns {string}
+ */
+export function getSpendDescription(spend) {
+  if (spend.description) return spend.description;
+  return spend.i18nKey
+    ? t(`sta-utils.momentumSpend.spends.${spend.i18nKey}.description`)
+    : "";
+}
+
+/**
+ * The cost text for a spend. Built-in spends with their default costing
+ * use the localized text; re-costed and custom spends get a generated one.
+ *
+ * @param {object} spend
+ * @returns {string}
+ */
+export function getSpendCostLabel(spend) {
+  const builtin = BUILTIN_SPENDS.get(spend.id);
+  if (
+    builtin &&
+    builtin.costPer === spend.costPer &&
+    Boolean(builtin.repeatable) === spend.repeatable
+  ) {
+    return t(`sta-utils.momentumSpend.spends.${spend.i18nKey}.cost`);
+  }
+
+  const parts = [];
+  if (spend.immediate)
+    parts.push(t("sta-utils.momentumSpend.catalog.immediate"));
+  if (spend.repeatable) {
+    parts.push(t("sta-utils.momentumSpend.catalog.repeatable"));
+  }
+  parts.push(
+    tf("sta-utils.momentumSpend.catalog.costMomentum", { cost: spend.costPer }),
+  );
+  return parts.join(", ");
+}
@@ -4,6 +4,12 @@
  * Defines the three categories of momentum spends and their options.
  * Each spend has: id, i18n key prefix, cost display string, whether
  * it's repeatable (counter vs one‑shot), and a max count (0 = unlimited).
+ * Spends with a mechanical effect name the handler that applies it once
+ * the spend is confirmed (see momentum-spend-effects.mjs).
+ *
+ * These are the built-in defaults. The dialog and Action Chooser read the
+ * GM-editable catalog from momentum-spend-catalog.mjs, which layers the
+ * world's customisations over them.
  */
 
 /**
@@ -17,28 +23,32 @@
  * @property {boolean} [variable] If true the spend has a variable cost range.
  * @property {number} [costMin]   Minimum cost (for variable-cost spends).
  * @property {number} [costMax]   Maximum cost (for variable-cost spends).
+ * @property {string} [effect]    Key of the effect handler applied on submit.
+ * @property {boolean} [disabled] Hidden unless enabled in the spend catalog.
  */
 
 /** Common Momentum Spends */
 export const COMMON_SPENDS = [
-  // {
-  //   id: "createOpportunity",
-  //   i18nKey: "createOpportunity",
-  //   costPer: 1,
-  //   repeatable: true,
-  //   maxCount: 6,
-  //   variable: true,
-  //   costMin: 1,
-  //   costMax: 6,
-  //   immediate: true,
-  //   escalating: true,
-  // },
+  {
+    id: "createOpportunity",
+    i18nKey: "createOpportunity",
+    costPer: 1,
+    repeatable: true,
+    maxCount: 6,
+    variable: true,
+    costMin: 1,
+    costMax: 6,
+    immediate: true,
+    escalating: true,
+    disabled: true,
+  },
   {
     id: "alterTrait",
     i18nKey: "alterTrait",
     costPer: 2,
     repeatable: false,
     maxCount: 1,
+    effect: "trait",
   },
   {
     id: "reduceTime",
@@ -56,6 +66,7 @@ export const COMMON_SPENDS = [
     variable: true,
     costMin: 1,
     costMax: 0,
+    effect: "obtainInformation",
   },
   {
     id: "recoveringStress",
@@ -63,6 +74,7 @@ export const COMMON_SPENDS = [
     costPer: 2,
     repeatable: true,
     maxCount: 3,
+    effect: "recoverStress",
   },
 ];
 
@@ -75,18 +87,19 @@ export const PERSONAL_CONFLICT_SPENDS = [
     repeatable: true,
     maxCount: 0,
   },
-  // {
-  //   id: "buyD20s",
-  //   i18nKey: "buyD20s",
-  //   costPer: 1,
-  //   repeatable: true,
-  //   maxCount: 3,
-  //   variable: true,
-  //   costMin: 1,
-  //   costMax: 3,
-  //   immediate: true,
-  //   escalating: true,
-  // },
+  {
+    id: "buyD20s",
+    i18nKey: "buyD20s",
+    costPer: 1,
+    repeatable: true,
+    maxCount: 3,
+    variable: true,
+    costMin: 1,
+    costMax: 3,
+    immediate: true,
+    escalating: true,
+    disabled: true,
+  },
   {
     id: "disarm",
     i18nKey: "disarm",
@@ -125,6 +138,7 @@ export const PERSONAL_CONFLICT_SPENDS = [
     costPer: 2,
     repeatable: true,
     maxCount: 3,
+    effect: "recoverStress",
   },
   {
     id: "pc_alterTrait",
@@ -132,6 +146,7 @@ export const PERSONAL_CONFLICT_SPENDS = [
     costPer: 2,
     repeatable: false,
     maxCount: 1,
+    effect: "trait",
   },
   {
     id: "pc_obtainInformation",
@@ -142,6 +157,7 @@ export const PERSONAL_CONFLICT_SPENDS = [
     variable: true,
     costMin: 1,
     costMax: 0,
+    effect: "obtainInformation",
   },
 ];
 
@@ -153,6 +169,7 @@ export const STARSHIP_COMBAT_SPENDS = [
     costPer: 2,
     repeatable: true,
     maxCount: 0,
+    effect: "attackCalculator",
   },
   {
     id: "devastatingAttack",
@@ -160,6 +177,7 @@ export const STARSHIP_COMBAT_SPENDS = [
     costPer: 2,
     repeatable: false,
     maxCount: 1,
+    effect: "attackCalculator",
   },
   {
     id: "sc_keepInitiative",
@@ -189,6 +207,7 @@ export const STARSHIP_COMBAT_SPENDS = [
     costPer: 2,
     repeatable: false,
     maxCount: 1,
+    effect: "trait",
   },
   {
     id: "sc_obtainInformation",
@@ -199,6 +218,7 @@ export const STARSHIP_COMBAT_SPENDS = [
     variable: true,
     costMin: 1,
     costMax: 0,
+    effect: "obtainInformation",
   },
 ];
 
@@ -0,0 +1,180 @@
+/**
+ * Momentum Spend Effects
+ *
+ * Applies the mechanical effect of confirmed momentum spends. Spends name
+ * their handler with the `effect` key in momentum-spend-data.mjs; all
+ * selected spends sharing a handler are applied together, so Added Damage
+ * and Devastating Attack open a single attack calculator.
+ *
+ * Gated behind the "autoApplyMomentumSpends" world setting.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t, tf } from "../core/i18n.mjs";
+import { openAttackCalculator } from "../attack-calculator/index.mjs";
+import { getTaskRollResult } from "../dice-pool-override/index.mjs";
+import { openTraitsDialog } from "../launcher/index.mjs";
+import { getSpendLookup, getSpendName } from "./momentum-spend-catalog.mjs";
+
+/** Maximum Stress removed by Recover Stress on a single task. */
+const MAX_STRESS_RECOVERED = 3;
+
+/**
+ * Effect handlers by key.
+ * Each handler is `(ctx) => Promise<void>` where `ctx` is
+ * `{ message, result, spends: [{ spend, count }], count }`.
+ * @type {Map<string, Function>}
+ */
+const _effects = new Map();
+
+/**
+ * Register (or replace) the handler for an effect key.
+ *
+ * @param {string}   key
+ * @param {Function} fn - `(ctx) => Promise<void>`
+ */
+export function registerSpendEffect(key, fn) {
+  _effects.set(key, fn);
+}
+
+/**
+ * Apply the effects of every selected spend that has one.
+ *
+ * @param {ChatMessage} message    - The task roll the momentum came from.
+ * @param {Record<string, number>} selections - Spend id → count, with
+ *   Threat-paid counts under `"spendId:threat"`.
+ */
+export async function applySpendEffects(message, selections) {
+  const groups = new Map();
+  for (const spend of getSpendLookup().values()) {
+    if (!spend.effect) continue;
+    const count =
+      (selections[spend.id] ?? 0) +
+      (spend.immediate ? (selections[spend.id + ":threat"] ?? 0) : 0);
+    if (count <= 0) continue;
+    if (!groups.has(spend.effect)) groups.set(spend.effect, []);
+    groups.get(spend.effect).push({ spend, count });
+  }
+
+  const result = getTaskRollResult(message);
+  for (const [key, spends] of groups) {
+    const fn = _effects.get(key);
+    if (!fn) continue;
+    try {
+      await fn({
+        message,
+        result,
+        spends,
+        count: spends.reduce((sum, s) => sum + s.count, 0),
+      });
+    } catch (err) {
+      console.error(`${MODULE_ID} | Momentum spend effect "${key}":`, err);
+      ui.notifications.error(
+        tf("sta-utils.momentumSpend.effects.failed", {
+          name: getSpendName(spends[0].spend),
+        }),
+      );
+    }
+  }
+}
+
+/* ================================================================== */
+/*  Built-in effects                                                   */
+/* ================================================================== */
+
+/** Count selected for one spend id within an effect group. */
+function _countOf(spends, id) {
+  return spends.find((s) => s.spend.id === id)?.count ?? 0;
+}
+
+// Added Damage / Devastating Attack — pre-fill the attack calculator.
+registerSpendEffect("attackCalculator", async ({ spends }) => {
+  // Resolves when the calculator closes; don't hold up the submit.
+  openAttackCalculator({
+    increaseDamageCount: _countOf(spends, "addedDamage"),
+    devastatingCount: _countOf(spends, "devastatingAttack"),
+  });
+});
+
+// Create/Change Trait — open the scene traits dialog.
+registerSpendEffect("trait", async () => {
+  openTraitsDialog("sceneTraits");
+});
+
+// Recover Stress — remove Stress from the single targeted character, or
+// from the character who rolled.
+registerSpendEffect("recoverStress", async ({ result, count }) => {
+  const targeted = Array.from(game.user.targets ?? []);
+  const actor =
+    (targeted.length === 1 ? targeted[0].actor : null) ?? result?.actor;
+  const stress = actor?.system?.stress;
+  if (!actor || !stress) {
+    ui.notifications.warn(t("sta-utils.momentumSpend.effects.stressNoActor"));
+    return;
+  }
+  if (!actor.isOwner) {
+    ui.notifications.warn(
+      tf("sta-utils.momentumSpend.effects.stressNotOwner", {
+        name: actor.name,
+      }),
+    );
+    return;
+  }
+
+  const current = Number(stress.value) || 0;
+  const next = Math.max(0, current - Math.min(count, MAX_STRESS_RECOVERED));
+  if (next === current) return;
+  await actor.update({ "system.stress.value": next });
+  ui.notifications.info(
+    tf("sta-utils.momentumSpend.effects.stressRecovered", {
+      name: actor.name,
+      amount: current - next,
+      value: next,
+      max: Number(stress.max) || 0,
+    }),
+  );
+});
+
+// Obtain Information — ask one question per Momentum and post them.
+registerSpendEffect("obtainInformation", async ({ result, count }) => {
+  const inputs = Array.from(
+    { length: count },
+    (_, i) => `
+      <div class="form-group">
+        <label>${tf("sta-utils.momentumSpend.effects.questionLabel", { n: i + 1 })}</label>
+        <div class="form-fields">
+          <input type="text" name="question${i}" ${i === 0 ? "autofocus" : ""}>
+        </div>
+      </div>`,
+  ).join("");
+
+  const questions = await foundry.applications.api.DialogV2.prompt({
+    window: {
+      title: t("sta-utils.momentumSpend.spends.obtainInformation.name"),
+      icon: "fa-solid fa-circle-question",
+    },
+    content: `<p class="hint">${t("sta-utils.momentumSpend.effects.questionHint")}</p>${inputs}`,
+    ok: {
+      label: t("sta-utils.momentumSpend.effects.questionAsk"),
+      icon: "fa-solid fa-paper-plane",
+      callback: (_event, button) =>
+        Array.from(button.form.querySelectorAll("input[name^='question']"))
+          .map((input) => input.value.trim())
+          .filter(Boolean),
+    },
+    rejectClose: false,
+  });
+  if (!questions?.length) return;
+
+  const actor = result?.actor ?? null;
+  await ChatMessage.create({
+    content: `
+      <div class="sta-utils-chat-card sta-utils-chat-card--orange">
+        <h3><i class="fas fa-circle-question"></i> ${t("sta-utils.momentumSpend.effects.questionCard")}</h3>
+        <ol>${questions.map((q) => `<li>${foundry.utils.escapeHTML(q)}</li>`).join("")}</ol>
+      </div>`,
+    speaker: actor
+      ? ChatMessage.getSpeaker({ actor })
+      : ChatMessage.getSpeaker(),
+  });
+});
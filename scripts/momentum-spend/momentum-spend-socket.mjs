@@ -51,8 +51,14 @@ export function unregisterReadOnlyDialog(messageId) {
  * @param {string} messageId    The chat message ID.
  * @param {Object} selections   Map of spendId -> count.
  * @param {number} totalCost    Current total momentum cost.
+ * @param {number} [rollMomentum] Momentum available from the roll.
  */
-export function broadcastSelections(messageId, selections, totalCost) {
+export function broadcastSelections(
+  messageId,
+  selections,
+  totalCost,
+  rollMomentum,
+) {
   const socket = getModuleSocket();
   if (!socket) return;
   try {
@@ -62,6 +68,7 @@ export function broadcastSelections(messageId, selections, totalCost) {
       userName: game.user.name,
       selections,
       totalCost,
+      rollMomentum,
     });
   } catch (err) {
     console.warn(`${MODULE_ID} | Momentum Spend broadcast failed`, err);
@@ -92,13 +99,18 @@ export function broadcastClose(messageId) {
 /**
  * Handle an incoming momentum spend update from the author.
  * Called by the socket RPC handler.
- * @param {Object} msg  { messageId, userId, userName, selections, totalCost }
+ * @param {Object} msg  { messageId, userId, userName, selections, totalCost, rollMomentum }
  */
 export function handleMomentumSpendUpdate(msg) {
   const entry = _readOnlyDialogs.get(msg.messageId);
   if (entry?.refreshFn) {
     try {
-      entry.refreshFn(msg.selections, msg.totalCost, msg.userName);
+      entry.refreshFn(
+        msg.selections,
+        msg.totalCost,
+        msg.userName,
+        msg.rollMomentum,
+      );
     } catch (err) {
       console.warn(
         `${MODULE_ID} | Momentum Spend read-only update failed`,
@@ -11,16 +11,38 @@
  *   socket broadcast.
  * - On submit the spend summary is appended to the original chat message
  *   and the full‑size button is replaced by a smaller re‑open button.
- * - If the "Auto‑deduct Momentum" world setting is enabled, the shared
- *   momentum pool is reduced automatically.
+ * - Costs are paid from the Momentum generated on the roll first and then
+ *   from the group pool. "Bank the Rest" saves the roll's unspent Momentum
+ *   to the group pool, up to its maximum of 6.
+ * - If the "Auto‑deduct Momentum" world setting is enabled, the pool's
+ *   share of the cost is deducted automatically.
+ * - Players can't write the pools themselves, so the active GM's client
+ *   does it for them.
+ * - If the "Auto‑apply Momentum Spends" world setting is enabled, spends
+ *   with a mechanical effect are applied (see momentum-spend-effects.mjs).
  *
  * Gated behind the "enableMomentumSpend" world setting.
  */
 
 import { MODULE_ID } from "../core/constants.mjs";
 import { t, tf } from "../core/i18n.mjs";
-import { isAutoDeductMomentumEnabled } from "../core/settings.mjs";
-import { SPEND_TABS } from "./momentum-spend-data.mjs";
+import {
+  isAutoApplyMomentumSpendsEnabled,
+  isAutoDeductMomentumEnabled,
+} from "../core/settings.mjs";
+import { getModuleSocket } from "../core/socket.mjs";
+import {
+  getTaskRollResult,
+  isTaskRollMessage,
+} from "../dice-pool-override/index.mjs";
+import {
+  getSpendCostLabel,
+  getSpendDescription,
+  getSpendName,
+  getSpendTabs,
+  getTabLabel,
+} from "./momentum-spend-catalog.mjs";
+import { applySpendEffects } from "./momentum-spend-effects.mjs";
 import {
   broadcastSelections,
   broadcastClose,
@@ -28,6 +50,15 @@ import {
   unregisterReadOnlyDialog,
 } from "./momentum-spend-socket.mjs";
 
+/** Maximum size of the group Momentum pool. */
+const MAX_GROUP_MOMENTUM = 6;
+
+/**
+ * Message flag recording how much of the roll's Momentum earlier spends
+ * used or banked: `{ rollUsed: number }`.
+ */
+const LEDGER_FLAG = "momentumLedger";
+
 /* ================================================================== */
 /*  Public API                                                         */
 /* ================================================================== */
@@ -51,6 +82,21 @@ export function installMomentumSpendHook() {
   console.log(`${MODULE_ID} | Momentum Spend hook installed`);
 }
 
+/**
+ * Set a group pool on behalf of a player who can't modify world settings.
+ * Runs on the GM client via the "setGroupPool" socket RPC.
+ *
+ * @param {object} msg
+ * @param {"momentum"|"threat"} msg.key - The STA system setting to set.
+ * @param {number} msg.value
+ */
+export async function setGroupPoolAsGM({ key, value }) {
+  if (!["momentum", "threat"].includes(key)) return;
+  if (!Number.isInteger(value) || value < 0) return;
+  if (key === "momentum" && value > MAX_GROUP_MOMENTUM) return;
+  await game.settings.set("sta", key, value);
+}
+
 /* ================================================================== */
 /*  Button injection                                                   */
 /* ================================================================== */
@@ -60,6 +106,9 @@ export function installMomentumSpendHook() {
  * button at the bottom of the card.
  */
 function _injectButton(message, html) {
+  // Only task rolls, not item stat cards or challenge rolls.
+  if (!isTaskRollMessage(message)) return;
+
   const root = html instanceof HTMLElement ? html : (html[0] ?? html);
   if (!root?.querySelector) return;
 
@@ -68,9 +117,6 @@ function _injectButton(message, html) {
     root.querySelector(".sta.roll.chat.card");
   if (!card) return;
 
-  // Only target task rolls (`.flavor.task`), not item stat cards.
-  if (!card.querySelector(".flavor.task")) return;
-
   // Avoid double‑injection.
   if (card.querySelector(".sta-utils-momentum-spend-btn")) return;
 
@@ -119,10 +165,64 @@ function _getThreat() {
   }
 }
 
+/**
+ * Set a group pool.  Users who can't modify world settings ask the active
+ * GM to write it.
+ *
+ * @param {"momentum"|"threat"} key
+ * @param {number} value
+ */
+async function _setGroupPool(key, value) {
+  if (game.user.hasPermission("SETTINGS_MODIFY")) {
+    await game.settings.set("sta", key, value);
+    return;
+  }
+  const socket = getModuleSocket();
+  if (!socket) {
+    throw new Error(`Socket not available; cannot set the ${key} pool`);
+  }
+  await socket.executeAsGM("setGroupPool", { key, value });
+}
+
 function _isAuthorOrGM(message) {
   return message.author?.id === game.user?.id || game.user.isGM;
 }
 
+/**
+ * Momentum generated on the roll and not yet spent or banked: successes
+ * beyond the task's Difficulty, less what earlier spends used. Zero when
+ * the Difficulty wasn't recorded; the roller can enter it in the dialog.
+ *
+ * @param {ChatMessage} message
+ * @returns {number}
+ */
+function _rollMomentum(message) {
+  const result = getTaskRollResult(message);
+  if (result?.difficulty == null) return 0;
+  const generated = Math.max(0, result.successes - result.difficulty);
+  const used = Number(message.getFlag(MODULE_ID, LEDGER_FLAG)?.rollUsed) || 0;
+  return Math.max(0, generated - used);
+}
+
+/**
+ * Split a Momentum cost between the roll and the group pool, paying from
+ * the roll first.
+ *
+ * @param {number} cost         Momentum cost of the selected spends.
+ * @param {number} rollMomentum Momentum available from the roll.
+ * @param {number} pool         Momentum in the group pool.
+ * @returns {{ fromRoll: number, fromPool: number, leftover: number, bankable: number }}
+ *   `leftover` is the roll's unspent Momentum; `bankable` the part of it
+ *   that fits in the pool.
+ */
+function _splitCost(cost, rollMomentum, pool) {
+  const fromRoll = Math.min(cost, rollMomentum);
+  const fromPool = cost - fromRoll;
+  const leftover = rollMomentum - fromRoll;
+  const room = Math.max(0, MAX_GROUP_MOMENTUM - Math.max(0, pool - fromPool));
+  return { fromRoll, fromPool, leftover, bankable: Math.min(leftover, room) };
+}
+
 /**
  * Compute total momentum cost and threat to add from a selections map.
  * Threat keys are stored as `"spendId:threat"`.
@@ -137,7 +237,7 @@ function _isAuthorOrGM(message) {
 function _totalCost(selections) {
   let momentum = 0;
   let threat = 0;
-  for (const tab of SPEND_TABS) {
+  for (const tab of getSpendTabs()) {
     for (const spend of tab.spends) {
       const mCount = selections[spend.id] ?? 0;
       const tCount = spend.immediate
@@ -171,27 +271,25 @@ function _totalCost(selections) {
 /* ================================================================== */
 
 function _renderTabs(activeTab) {
-  return SPEND_TABS.map(
-    (tab) => `
+  return getSpendTabs()
+    .map(
+      (tab) => `
     <button type="button"
       class="sta-utils-ms-tab-btn ${tab.id === activeTab ? "active" : ""}"
       data-tab="${tab.id}">
-      ${t(`sta-utils.momentumSpend.${tab.i18nKey}`)}
+      ${foundry.utils.escapeHTML(getTabLabel(tab))}
     </button>`,
-  ).join("");
+    )
+    .join("");
 }
 
 function _renderSpendRows(spends, selections, readOnly) {
   return spends
     .map((spend) => {
       const mCount = selections[spend.id] ?? 0;
-      const name = t(`sta-utils.momentumSpend.spends.${spend.i18nKey}.name`);
-      const desc = t(
-        `sta-utils.momentumSpend.spends.${spend.i18nKey}.description`,
-      );
-      const costLabel = t(
-        `sta-utils.momentumSpend.spends.${spend.i18nKey}.cost`,
-      );
+      const name = foundry.utils.escapeHTML(getSpendName(spend));
+      const desc = foundry.utils.escapeHTML(getSpendDescription(spend));
+      const costLabel = getSpendCostLabel(spend);
 
       let controls;
 
@@ -276,14 +374,18 @@ function _renderSpendRows(spends, selections, readOnly) {
     .join("");
 }
 
-function _renderContent(activeTab, selections, readOnly) {
-  const currentTab =
-    SPEND_TABS.find((t) => t.id === activeTab) ?? SPEND_TABS[0];
+function _renderContent(activeTab, selections, readOnly, rollMomentum = 0) {
+  const tabs = getSpendTabs();
+  const currentTab = tabs.find((t) => t.id === activeTab) ?? tabs[0];
   const momentum = _getMomentum();
   const threatPool = _getThreat();
   const cost = _totalCost(selections);
-  const overBudget = cost.momentum > momentum;
+  const split = _splitCost(cost.momentum, rollMomentum, momentum);
+  const overBudget = split.fromPool > momentum;
   const hasThreat = cost.threat > 0;
+  const rollValue = readOnly
+    ? `<strong>${rollMomentum}</strong>`
+    : `<input type="number" class="sta-utils-ms-roll-momentum" value="${rollMomentum}" min="0" step="1" />`;
 
   return `
     <div class="sta-utils-ms-dialog ${readOnly ? "sta-utils-ms-readonly" : ""}">
@@ -293,11 +395,25 @@ function _renderContent(activeTab, selections, readOnly) {
       </div>
       <hr />
       <div class="sta-utils-ms-summary">
-        <span>${t("sta-utils.momentumSpend.momentumAvailable")}: <strong>${momentum}</strong></span>
+        <span>${t("sta-utils.momentumSpend.momentumFromRoll")}: ${rollValue}</span>
+        <span>${t("sta-utils.momentumSpend.momentumInPool")}: <strong>${momentum}</strong></span>
+      </div>
+      <div class="sta-utils-ms-summary">
         <span class="${overBudget ? "sta-utils-ms-over" : ""}">
           ${t("sta-utils.momentumSpend.momentumCost")}: <strong>${cost.momentum}</strong>
         </span>
+        <span class="sta-utils-ms-split">
+          ${tf("sta-utils.momentumSpend.paidFrom", { roll: split.fromRoll, pool: split.fromPool })}
+        </span>
       </div>
+      ${
+        split.leftover > 0
+          ? `<div class="sta-utils-ms-summary sta-utils-ms-leftover">
+              <span>${tf("sta-utils.momentumSpend.leftover", { n: split.leftover })}</span>
+              <span>${tf("sta-utils.momentumSpend.bankable", { n: split.bankable, max: MAX_GROUP_MOMENTUM })}</span>
+            </div>`
+          : ""
+      }
       <div class="sta-utils-ms-summary">
         <span>${t("sta-utils.momentumSpend.threatPool")}: <strong>${threatPool}</strong></span>
         ${hasThreat ? `<span class="sta-utils-ms-threat-cost">${t("sta-utils.momentumSpend.threatToAdd")}: <strong>${cost.threat}</strong></span>` : ""}
@@ -318,17 +434,21 @@ function _bindEvents(
   readOnly,
   onTabSwitch,
   onSelectionChange,
+  ledger = null,
 ) {
   const el = dialog.element;
   if (!el) return;
 
-  // Submit button enable/disable
+  // Submit / bank button enable/disable
   if (!readOnly) {
+    const cost = _totalCost(selections);
+    const pool = _getMomentum();
+    const split = _splitCost(cost.momentum, ledger?.rollMomentum ?? 0, pool);
+    const overBudget = split.fromPool > pool;
     const okBtn = el.querySelector("button[data-action='ok']");
-    if (okBtn) {
-      const cost = _totalCost(selections);
-      okBtn.disabled = cost.momentum > _getMomentum();
-    }
+    if (okBtn) okBtn.disabled = overBudget;
+    const bankBtn = el.querySelector("button[data-action='bank']");
+    if (bankBtn) bankBtn.disabled = overBudget || split.bankable <= 0;
   }
 
   // Tab buttons — only a local refresh, no broadcast
@@ -342,6 +462,18 @@ function _bindEvents(
 
   if (readOnly) return;
 
+  // Momentum generated on the roll — editable when the Difficulty is unknown
+  const rollInput = el.querySelector(".sta-utils-ms-roll-momentum");
+  if (rollInput && ledger) {
+    rollInput.addEventListener("change", () => {
+      ledger.rollMomentum = Math.max(
+        0,
+        Math.floor(Number(rollInput.value)) || 0,
+      );
+      onSelectionChange();
+    });
+  }
+
   // +/- buttons — selection change, broadcast
   el.querySelectorAll(".sta-utils-ms-minus").forEach((btn) => {
     btn.addEventListener("click", (ev) => {
@@ -358,9 +490,9 @@ function _bindEvents(
       const key = btn.dataset.id;
       const isThreat = key.endsWith(":threat");
       const spendId = isThreat ? key.slice(0, -7) : key;
-      const spend = SPEND_TABS.flatMap((t) => t.spends).find(
-        (s) => s.id === spendId,
-      );
+      const spend = getSpendTabs()
+        .flatMap((t) => t.spends)
+        .find((s) => s.id === spendId);
       if (!spend) return;
 
       // For immediate spends, maxCount applies to the combined total
@@ -414,8 +546,8 @@ function _bindEvents(
  */
 function _defaultTab(message) {
   const tab = message.flags?.[MODULE_ID]?.momentumTab;
-  if (tab === "personalConflict" || tab === "starshipCombat") return tab;
-  return "common";
+  const tabs = getSpendTabs();
+  return tabs.some((t) => t.id === tab) ? tab : tabs[0].id;
 }
 
 async function _openSpendDialog(message) {
@@ -431,6 +563,7 @@ async function _openSpendDialog(message) {
 async function _openInteractiveDialog(message) {
   const selections = {};
   const activeTab = { value: _defaultTab(message) };
+  const ledger = { rollMomentum: _rollMomentum(message) };
 
   // Local-only refresh (tab switches) — no broadcast
   function localRefresh() {
@@ -441,6 +574,7 @@ async function _openInteractiveDialog(message) {
       false,
       localRefresh,
       selectionRefresh,
+      ledger,
     );
   }
 
@@ -453,9 +587,15 @@ async function _openInteractiveDialog(message) {
       false,
       localRefresh,
       selectionRefresh,
+      ledger,
     );
     const cost = _totalCost(selections);
-    broadcastSelections(message.id, selections, cost.momentum + cost.threat);
+    broadcastSelections(
+      message.id,
+      selections,
+      cost.momentum + cost.threat,
+      ledger.rollMomentum,
+    );
   }
 
   let dialogRef = null;
@@ -474,6 +614,7 @@ async function _openInteractiveDialog(message) {
           false,
           localRefresh,
           selectionRefresh,
+          ledger,
         );
       } catch (_) {}
     }
@@ -486,7 +627,12 @@ async function _openInteractiveDialog(message) {
         title: t("sta-utils.momentumSpend.dialogTitle"),
         icon: "fa-solid fa-coins",
       },
-      content: _renderContent(activeTab.value, selections, false),
+      content: _renderContent(
+        activeTab.value,
+        selections,
+        false,
+        ledger.rollMomentum,
+      ),
       render: (event, dialog) => {
         dialogRef = dialog;
         dialog.element?.classList?.add("sta-utils-ms-lcars");
@@ -497,6 +643,7 @@ async function _openInteractiveDialog(message) {
           false,
           localRefresh,
           selectionRefresh,
+          ledger,
         );
       },
       buttons: [
@@ -505,7 +652,20 @@ async function _openInteractiveDialog(message) {
           label: t("sta-utils.momentumSpend.submit"),
           icon: "fa-solid fa-check",
           callback: () => {
-            _submitSpend(message, selections);
+            _submitSpend(message, selections, {
+              rollMomentum: ledger.rollMomentum,
+            });
+          },
+        },
+        {
+          action: "bank",
+          label: t("sta-utils.momentumSpend.bankRest"),
+          icon: "fa-solid fa-piggy-bank",
+          callback: () => {
+            _submitSpend(message, selections, {
+              rollMomentum: ledger.rollMomentum,
+              bank: true,
+            });
           },
         },
         {
@@ -528,19 +688,27 @@ async function _openInteractiveDialog(message) {
 async function _openReadOnlyDialog(message) {
   let roSelections = {};
   const activeTab = { value: _defaultTab(message) };
+  const ledger = { rollMomentum: _rollMomentum(message) };
 
   function refresh() {
-    _refreshDialog(dialogRef, activeTab, roSelections, true, refresh);
+    _refreshDialog(
+      dialogRef,
+      activeTab,
+      roSelections,
+      true,
+      refresh,
+      null,
+      ledger,
+    );
   }
 
   let dialogRef = null;
 
   // Socket will call this to update the display
-  function onRemoteUpdate(selections) {
+  function onRemoteUpdate(selections, _totalCost, _userName, rollMomentum) {
     roSelections = { ...selections };
-    if (dialogRef) {
-      _refreshDialog(dialogRef, activeTab, roSelections, true, refresh);
-    }
+    if (rollMomentum != null) ledger.rollMomentum = rollMomentum;
+    if (dialogRef) refresh();
   }
 
   // React to external momentum/threat pool changes
@@ -550,7 +718,7 @@ async function _openReadOnlyDialog(message) {
       dialogRef
     ) {
       try {
-        _refreshDialog(dialogRef, activeTab, roSelections, true, refresh);
+        refresh();
       } catch (_) {}
     }
   };
@@ -564,7 +732,12 @@ async function _openReadOnlyDialog(message) {
         title: `${t("sta-utils.momentumSpend.dialogTitle")} — ${t("sta-utils.momentumSpend.readOnly")}`,
         icon: "fa-solid fa-eye",
       },
-      content: _renderContent(activeTab.value, roSelections, true),
+      content: _renderContent(
+        activeTab.value,
+        roSelections,
+        true,
+        ledger.rollMomentum,
+      ),
       render: (event, dialog) => {
         dialogRef = dialog;
         dialog.element?.classList?.add("sta-utils-ms-lcars");
@@ -597,6 +770,7 @@ function _refreshDialog(
   readOnly,
   callerTabRefreshFn,
   callerSelectionRefreshFn,
+  ledger = null,
 ) {
   if (!dialog) return;
   const el = dialog.element;
@@ -608,6 +782,7 @@ function _refreshDialog(
       activeTabRef.value,
       selections,
       readOnly,
+      ledger?.rollMomentum ?? 0,
     );
   }
   const onTabSwitch =
@@ -621,6 +796,7 @@ function _refreshDialog(
     readOnly,
     onTabSwitch,
     onSelectionChange,
+    ledger,
   );
 }
 
@@ -628,15 +804,37 @@ function _refreshDialog(
 /*  Submit                                                             */
 /* ================================================================== */
 
-async function _submitSpend(message, selections) {
+/**
+ * Pay for the selected spends, optionally bank the roll's leftover
+ * Momentum, and post one summary of where the Momentum came from and went.
+ *
+ * @param {ChatMessage} message
+ * @param {Record<string, number>} selections
+ * @param {object}  [opts]
+ * @param {number}  [opts.rollMomentum] - Momentum available from the roll.
+ * @param {boolean} [opts.bank]         - Bank the roll's unspent Momentum.
+ */
+async function _submitSpend(
+  message,
+  selections,
+  { rollMomentum = 0, bank = false } = {},
+) {
   const cost = _totalCost(selections);
-  if (cost.momentum <= 0 && cost.threat <= 0) return;
+  const pool = _getMomentum();
+  const split = _splitCost(cost.momentum, rollMomentum, pool);
+  const autoDeduct = isAutoDeductMomentumEnabled();
+  // Without auto-deduct the pool keeps its share of the cost, so less fits.
+  const basePool = autoDeduct ? Math.max(0, pool - split.fromPool) : pool;
+  const banked = bank
+    ? Math.min(split.leftover, Math.max(0, MAX_GROUP_MOMENTUM - basePool))
+    : 0;
+  if (cost.momentum <= 0 && cost.threat <= 0 && banked <= 0) return;
 
   // Build a human‑readable summary
   const mLabel = t("sta-utils.momentumSpend.momentum");
   const tLabel = t("sta-utils.momentumSpend.threat");
   const lines = [];
-  for (const tab of SPEND_TABS) {
+  for (const tab of getSpendTabs()) {
     for (const spend of tab.spends) {
       const mCount = selections[spend.id] ?? 0;
       const tCount = spend.immediate
@@ -644,7 +842,7 @@ async function _submitSpend(message, selections) {
         : 0;
       if (mCount <= 0 && tCount <= 0) continue;
 
-      const name = t(`sta-utils.momentumSpend.spends.${spend.i18nKey}.name`);
+      const name = foundry.utils.escapeHTML(getSpendName(spend));
       const totalCount = mCount + tCount;
 
       // Compute per-spend cost respecting escalating pricing
@@ -673,16 +871,84 @@ async function _submitSpend(message, selections) {
     }
   }
 
-  // Build total line
+  // Auto‑deduct momentum / auto‑add threat if enabled; banking always
+  // adds to the pool since the roller asked for it.  Nothing counts as
+  // banked unless the pool write went through.
+  let newPool = basePool + banked;
+  let bankedApplied = 0;
+  try {
+    if (newPool !== pool) {
+      await _setGroupPool("momentum", newPool);
+    }
+    bankedApplied = banked;
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Failed to update the Momentum pool`, err);
+    newPool = pool;
+  }
+  try {
+    if (autoDeduct && cost.threat > 0) {
+      const currentThreat = _getThreat();
+      await _setGroupPool("threat", currentThreat + cost.threat);
+    }
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Failed to update the Threat pool`, err);
+  }
+  try {
+    game.STATracker?.render(true);
+  } catch (err) {
+    console.warn("Failed to render STA Tracker after momentum spend", err);
+  }
+
+  // Record what the roll's Momentum paid for, so a second spend from the
+  // same roll can't use it again.
+  const rollUsed = split.fromRoll + bankedApplied;
+  if (rollUsed > 0 && message.isOwner) {
+    const previous =
+      Number(message.getFlag(MODULE_ID, LEDGER_FLAG)?.rollUsed) || 0;
+    await message
+      .setFlag(MODULE_ID, LEDGER_FLAG, { rollUsed: previous + rollUsed })
+      .catch((err) =>
+        console.warn(`${MODULE_ID} | Failed to record momentum ledger`, err),
+      );
+  }
+
+  // Build total and reconciliation lines
   const totalParts = [];
   if (cost.momentum > 0) totalParts.push(`${cost.momentum} ${mLabel}`);
   if (cost.threat > 0) totalParts.push(`${cost.threat} ${tLabel}`);
 
+  const ledgerParts = [];
+  if (split.fromRoll > 0) {
+    ledgerParts.push(
+      tf("sta-utils.momentumSpend.summaryFromRoll", { n: split.fromRoll }),
+    );
+  }
+  if (split.fromPool > 0) {
+    ledgerParts.push(
+      tf("sta-utils.momentumSpend.summaryFromPool", { n: split.fromPool }),
+    );
+  }
+  if (bankedApplied > 0) {
+    ledgerParts.push(
+      tf("sta-utils.momentumSpend.summaryBanked", { n: bankedApplied }),
+    );
+  }
+  const lost = split.leftover - bankedApplied;
+  if (lost > 0) {
+    ledgerParts.push(tf("sta-utils.momentumSpend.summaryUnspent", { n: lost }));
+  }
+
   const summaryHtml = `
     <div class="sta-utils-chat-card sta-utils-chat-card--orange">
       <h3><i class="fas fa-coins"></i> ${t("sta-utils.momentumSpend.spendMomentum")}</h3>
-      <ul>${lines.map((l) => `<li>${l}</li>`).join("")}</ul>
-      <span class="sta-utils-ms-total">${totalParts.join(" | ")}</span>
+      ${lines.length ? `<ul>${lines.map((l) => `<li>${l}</li>`).join("")}</ul>` : ""}
+      ${totalParts.length ? `<span class="sta-utils-ms-total">${totalParts.join(" | ")}</span>` : ""}
+      ${ledgerParts.length ? `<p class="sta-utils-ms-ledger">${ledgerParts.join(" · ")}</p>` : ""}
+      ${
+        newPool !== pool
+          ? `<p class="sta-utils-ms-ledger">${tf("sta-utils.momentumSpend.summaryPool", { from: pool, to: newPool })}</p>`
+          : ""
+      }
     </div>`;
 
   // Post as a new chat message
@@ -691,25 +957,8 @@ async function _submitSpend(message, selections) {
     speaker: ChatMessage.getSpeaker(),
   });
 
-  // Auto‑deduct momentum / auto‑add threat if enabled
-  if (isAutoDeductMomentumEnabled()) {
-    try {
-      if (cost.momentum > 0) {
-        const current = _getMomentum();
-        const newValue = Math.max(0, current - cost.momentum);
-        await game.settings.set("sta", "momentum", newValue);
-      }
-      if (cost.threat > 0) {
-        const currentThreat = _getThreat();
-        await game.settings.set("sta", "threat", currentThreat + cost.threat);
-      }
-      try {
-        game.STATracker?.render(true);
-      } catch (err) {
-        console.warn("Failed to render STA Tracker after momentum spend", err);
-      }
-    } catch (err) {
-      console.warn(`${MODULE_ID} | Failed to update pools`, err);
-    }
+  // Apply the mechanical effect of spends that have one
+  if (isAutoApplyMomentumSpendsEnabled()) {
+    await applySpendEffects(message, selections);
   }
 }
@@ -1,17 +1,126 @@
-import { RollRequestDialog } from "./roll-request-dialog.mjs";
-import { t } from "../core/i18n.mjs";
+import { RollRequestDialog, sendRollRequest } from "./roll-request-dialog.mjs";
+import {
+  deleteRollRequestPreset,
+  getRollRequestPreset,
+  getRollRequestPresets,
+  registerRollRequestEnricher,
+  saveRollRequestPreset,
+} from "./roll-request-presets.mjs";
+import { t, tf } from "../core/i18n.mjs";
 
 /**
  * Open the GM Roll Request dialog.
  * Only usable by the GM.
+ *
+ * @param {object|string} [preset] - A preset, or its id or name, to fill
+ *   the dialog in from.
  */
-export function openRollRequestDialog() {
+export function openRollRequestDialog(preset) {
   if (!game.user.isGM) {
     ui.notifications.warn(t("sta-utils.rollRequest.warnGmOnly"));
     return;
   }
-  const app = new RollRequestDialog();
+  const resolved =
+    typeof preset === "string" ? _findPreset(preset) : (preset ?? null);
+  if (typeof preset === "string" && !resolved) return;
+  const app = new RollRequestDialog({ preset: resolved ?? undefined });
   app.render(true);
 }
 
+/**
+ * Send a preset's roll request without opening the dialog.
+ *
+ * Goes to the players owning the selected tokens (rolling as those
+ * tokens' characters), or to every connected player when no player token
+ * is selected.
+ *
+ * @param {object|string} preset - A preset, or its id or name.
+ * @param {object} [opts]
+ * @param {{ userId: string, actorId?: string|null }[]} [opts.targets] -
+ *   Explicit rollers instead of the selected tokens.
+ * @returns {Promise<boolean>} Whether any request was sent.
+ */
+export async function sendRollRequestPreset(preset, { targets } = {}) {
+  if (!game.user.isGM) {
+    ui.notifications.warn(t("sta-utils.rollRequest.warnGmOnly"));
+    return false;
+  }
+  const resolved = typeof preset === "string" ? _findPreset(preset) : preset;
+  if (!resolved) return false;
+  return sendRollRequest({
+    ...resolved,
+    targets: targets ?? _selectedTokenTargets(),
+  });
+}
+
+/**
+ * Look up a preset by id or name, warning when it doesn't exist.
+ * @param {string} idOrName
+ * @returns {object|null}
+ */
+function _findPreset(idOrName) {
+  const preset = getRollRequestPreset(idOrName);
+  if (!preset) {
+    ui.notifications.warn(
+      tf("sta-utils.rollRequest.presets.notFound", { name: idOrName }),
+    );
+  }
+  return preset;
+}
+
+/**
+ * Rollers for the selected tokens: each token's character, prompted to the
+ * first connected player who owns it.
+ *
+ * @returns {{ userId: string, actorId: string }[] | undefined} Undefined
+ *   when no selected token belongs to a connected player.
+ */
+function _selectedTokenTargets() {
+  const players = game.users.filter((u) => !u.isGM && u.active);
+  const targets = [];
+  for (const token of canvas.tokens?.controlled ?? []) {
+    const actor = token.actor;
+    const owner = actor
+      ? players.find((u) =>
+          actor.testUserPermission(u, CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER),
+        )
+      : null;
+    if (!owner || targets.some((entry) => entry.actorId === actor.id)) continue;
+    targets.push({ userId: owner.id, actorId: actor.id });
+  }
+  return targets.length ? targets : undefined;
+}
+
+/**
+ * Register the `@RollRequest[...]` enricher.  Called once during `init`.
+ */
+export function registerRollRequestPresetEnricher() {
+  registerRollRequestEnricher((preset, action) =>
+    action === "send"
+      ? sendRollRequestPreset(preset)
+      : openRollRequestDialog(preset),
+  );
+}
+
+/**
+ * Macro-facing preset API, exposed as `game.staUtils.rollRequestPresets`.
+ *
+ * @example
+ * // Re-use last session's hazard roll on the selected tokens.
+ * game.staUtils.rollRequestPresets.send("Asteroid Field");
+ */
+export const rollRequestPresetApi = {
+  list: getRollRequestPresets,
+  get: getRollRequestPreset,
+  save: saveRollRequestPreset,
+  delete: deleteRollRequestPreset,
+  open: openRollRequestDialog,
+  send: sendRollRequestPreset,
+};
+
+export { ROLL_REQUEST_PRESETS_SETTING } from "./roll-request-presets.mjs";
 export { showRollPrompt } from "./roll-prompt.mjs";
+export {
+  computeBatchOutcome,
+  openRollRequestResults,
+} from "./roll-request-results.mjs";
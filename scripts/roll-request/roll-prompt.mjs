@@ -9,11 +9,18 @@
  *
  * Only one prompt can be open per client at a time; a new incoming
  * request silently replaces the previous one.
+ *
+ * Requests that belong to a tracked batch (see roll-request-results.mjs)
+ * report the outcome back to the requesting GM: the successes and
+ * complications of the resulting task roll, or that the prompt was
+ * dismissed.
  */
 
 import { MODULE_ID } from "../core/constants.mjs";
-import { t } from "../core/i18n.mjs";
+import { t, tf } from "../core/i18n.mjs";
 import { ATTRIBUTE_LABELS } from "../core/gameConstants.mjs";
+import { getModuleSocket } from "../core/socket.mjs";
+import { getTaskRollResult } from "../dice-pool-override/index.mjs";
 
 /* ------------------------------------------------------------------ */
 /*  Constants                                                          */
@@ -28,6 +35,15 @@ const DISCIPLINE_LABELS = {
   science: "Science",
 };
 
+/**
+ * How long to wait for the task roll chat message once the roll has been
+ * started.  The dice pool override posts it right away; the native sheet
+ * fallback only opens the system's roll dialog, so the player may take a
+ * while to confirm it.
+ */
+const CAPTURE_TIMEOUT_MS = 10_000;
+const NATIVE_CAPTURE_TIMEOUT_MS = 120_000;
+
 const Base = foundry.applications.api.HandlebarsApplicationMixin(
   foundry.applications.api.ApplicationV2,
 );
@@ -52,6 +68,8 @@ class RollPromptDialog extends Base {
     super(options);
     this._request = requestData;
     this._actorId = requestData.actorId ?? null;
+    /** Whether the outcome has already been reported to the GM. */
+    this._answered = false;
   }
 
   static DEFAULT_OPTIONS = {
@@ -105,6 +123,7 @@ class RollPromptDialog extends Base {
       difficulty: req.difficulty,
       complicationRange: req.complicationRange ?? 1,
       message: req.message || null,
+      roleLabel: _roleLabel(req),
       hasDicePoolOverride: Boolean(game.staUtils?.dicePool?.rollTask),
     };
   }
@@ -155,31 +174,16 @@ class RollPromptDialog extends Base {
       return;
     }
 
+    this._answered = true;
     await this.close();
 
-    // Prefer the sta-utils enhanced dice pool if available
-    if (game.staUtils?.dicePool?.rollTask) {
-      try {
-        await game.staUtils.dicePool.rollTask({
-          actor,
-          attribute: req.attribute,
-          discipline: req.discipline,
-          complicationRange: req.complicationRange ?? 1,
-        });
-      } catch (err) {
-        console.error(`${MODULE_ID} | RollPromptDialog: rollTask failed`, err);
-      }
-      return;
-    }
-
-    // Fallback: try to use the system's actor sheet to trigger a native roll.
-    // Open the sheet if needed, then fire a synthetic click on the right attribute.
-    try {
-      await _nativeAttributeRoll(actor, req.attribute, req.discipline);
-    } catch (err) {
-      console.error(`${MODULE_ID} | RollPromptDialog: native roll failed`, err);
-      ui.notifications.warn(t("sta-utils.rollRequest.rollFailed"));
-    }
+    const result = await rollRequestedTask(actor, req);
+    _reportResult(
+      req,
+      result
+        ? { state: "rolled", actorName: actor.name, ...result }
+        : { state: "dismissed" },
+    );
   }
 
   /* ---------------------------------------------------------------- */
@@ -188,10 +192,165 @@ class RollPromptDialog extends Base {
 
   async close(options = {}) {
     if (_currentPrompt === this) _currentPrompt = null;
+    if (!this._answered) {
+      this._answered = true;
+      _reportResult(this._request, { state: "dismissed" });
+    }
     return super.close(options);
   }
 }
 
+/* ------------------------------------------------------------------ */
+/*  Roll execution & reporting                                         */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Make the roll a request asks for and capture its result.
+ *
+ * Prefers the sta-utils dice pool dialog, pre-filled with the requested
+ * attribute, discipline and complication range (and a single die when
+ * assisting a group roll).  Falls back to the system's own sheet roll.
+ *
+ * @param {Actor}  actor
+ * @param {object} req - `{ attribute, discipline, difficulty, complicationRange, role }`.
+ * @returns {Promise<{ successes: number, complications: number, messageId: string } | null>}
+ *   Null if the roll was cancelled, failed, or no task roll was posted.
+ */
+export async function rollRequestedTask(actor, req) {
+  // Prefer the sta-utils enhanced dice pool if available
+  if (game.staUtils?.dicePool?.rollTask) {
+    return _captureTaskRoll(
+      actor,
+      async () => {
+        try {
+          return await game.staUtils.dicePool.rollTask({
+            actor,
+            attribute: req.attribute,
+            discipline: req.discipline,
+            complicationRange: req.complicationRange ?? 1,
+            difficulty: req.difficulty,
+            ...(req.role === "assist" ? { dicePool: 1 } : {}),
+          });
+        } catch (err) {
+          console.error(
+            `${MODULE_ID} | RollPromptDialog: rollTask failed`,
+            err,
+          );
+          return null;
+        }
+      },
+      CAPTURE_TIMEOUT_MS,
+    );
+  }
+
+  // Fallback: try to use the system's actor sheet to trigger a native roll.
+  // Open the sheet if needed, then fire a synthetic click on the right attribute.
+  return _captureTaskRoll(
+    actor,
+    async () => {
+      try {
+        await _nativeAttributeRoll(actor, req.attribute, req.discipline);
+        return true;
+      } catch (err) {
+        console.error(
+          `${MODULE_ID} | RollPromptDialog: native roll failed`,
+          err,
+        );
+        ui.notifications.warn(t("sta-utils.rollRequest.rollFailed"));
+        return false;
+      }
+    },
+    NATIVE_CAPTURE_TIMEOUT_MS,
+  );
+}
+
+/**
+ * Run a roll and wait for the task roll chat message it posts for the
+ * actor.
+ *
+ * @param {Actor}    actor
+ * @param {Function} roll    - Starts the roll; resolves falsy if cancelled.
+ * @param {number}   timeout - Milliseconds to wait for the message after
+ *   `roll` resolves.
+ * @returns {Promise<{ successes: number, complications: number, messageId: string } | null>}
+ */
+async function _captureTaskRoll(actor, roll, timeout) {
+  let resolveResult;
+  const posted = new Promise((resolve) => (resolveResult = resolve));
+  const hookId = Hooks.on("createChatMessage", (message) => {
+    if (message.author?.id !== game.user.id) return;
+    const result = getTaskRollResult(message);
+    if (!result || (result.actor && result.actor.id !== actor.id)) return;
+    resolveResult(result);
+  });
+
+  let timer = null;
+  try {
+    if (!(await roll())) return null;
+    const result = await Promise.race([
+      posted,
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(null), timeout);
+      }),
+    ]);
+    if (!result) return null;
+    return {
+      successes: Number(result.successes) || 0,
+      complications: Number(result.complications) || 0,
+      messageId: result.message.id,
+    };
+  } finally {
+    clearTimeout(timer);
+    Hooks.off("createChatMessage", hookId);
+  }
+}
+
+/**
+ * Send the outcome of a batched request back to the GM who sent it.
+ *
+ * @param {object} req     - The request data.
+ * @param {object} outcome - `{ state, successes?, complications?, messageId?, actorName? }`.
+ */
+function _reportResult(req, outcome) {
+  if (!req.batchId) return;
+  const socket = getModuleSocket();
+  if (!socket) return;
+  socket
+    .executeAsUser("rollRequestResult", req.fromUserId, {
+      batchId: req.batchId,
+      requestId: req.requestId,
+      ...outcome,
+    })
+    .catch((err) =>
+      console.warn(`${MODULE_ID} | RollPromptDialog: result not sent`, err),
+    );
+}
+
+/**
+ * The prompt's line describing the player's part in a group or opposed
+ * roll, if any.
+ *
+ * @param {object} req
+ * @returns {string|null}
+ */
+function _roleLabel(req) {
+  switch (req.role) {
+    case "leader":
+      return t("sta-utils.rollRequest.prompt.leader");
+    case "assist":
+      return tf("sta-utils.rollRequest.prompt.assist", {
+        name: req.leaderName ?? "?",
+      });
+    case "challenger":
+    case "defender":
+      return tf("sta-utils.rollRequest.prompt.opposed", {
+        name: req.opponentName ?? "?",
+      });
+    default:
+      return null;
+  }
+}
+
 /* ------------------------------------------------------------------ */
 /*  Native-roll fallback                                               */
 /* ------------------------------------------------------------------ */
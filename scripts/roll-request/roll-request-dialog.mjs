@@ -10,14 +10,28 @@
  *   - Difficulty (0–5, default 1)
  *   - Optional description/message
  *
+ * The request can also be a group roll (one leader, everyone else
+ * assists) or an opposed roll (a player against an NPC or another player).
+ *
  * On submit, a socket RPC is sent to the targeted user(s) which opens
- * the RollPromptDialog on their screen.
+ * the RollPromptDialog on their screen, and the requests are tracked in
+ * the results panel (see roll-request-results.mjs).
  */
 
 import { MODULE_ID } from "../core/constants.mjs";
 import { t, tf } from "../core/i18n.mjs";
 import { ATTRIBUTE_KEYS, ATTRIBUTE_LABELS } from "../core/gameConstants.mjs";
 import { getModuleSocket } from "../core/socket.mjs";
+import {
+  deleteRollRequestPreset,
+  getRollRequestPreset,
+  getRollRequestPresets,
+  saveRollRequestPreset,
+} from "./roll-request-presets.mjs";
+import {
+  openRollRequestResults,
+  trackRollRequestBatch,
+} from "./roll-request-results.mjs";
 
 /* ------------------------------------------------------------------ */
 /*  Constants                                                          */
@@ -41,6 +55,8 @@ const DISCIPLINE_LABELS = {
   science: "Science",
 };
 
+const MODES = ["individual", "group", "opposed"];
+
 const Base = foundry.applications.api.HandlebarsApplicationMixin(
   foundry.applications.api.ApplicationV2,
 );
@@ -50,7 +66,11 @@ const Base = foundry.applications.api.HandlebarsApplicationMixin(
 /* ------------------------------------------------------------------ */
 
 export class RollRequestDialog extends Base {
-  constructor(options = {}) {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.preset] - A roll request preset to fill in.
+   */
+  constructor({ preset, ...options } = {}) {
     super(options);
     this._attribute = "daring";
     this._discipline = "security";
@@ -59,6 +79,26 @@ export class RollRequestDialog extends Base {
     this._targetUserId = "all";
     this._actorId = null;
     this._message = "";
+    this._mode = "individual";
+    this._leaderUserId = null;
+    /** Opposed-roll opponent: `"user:<id>"` or `"actor:<id>"`. */
+    this._opponent = "";
+    this._presetId = "";
+    if (preset) this._applyPreset(preset);
+  }
+
+  /**
+   * Fill the dialog in from a preset.
+   * @param {object} preset
+   */
+  _applyPreset(preset) {
+    this._presetId = preset.id;
+    this._mode = preset.mode;
+    this._attribute = preset.attribute;
+    this._discipline = preset.discipline;
+    this._difficulty = preset.difficulty;
+    this._complicationRange = preset.complicationRange;
+    this._message = preset.message;
   }
 
   static DEFAULT_OPTIONS = {
@@ -83,15 +123,32 @@ export class RollRequestDialog extends Base {
 
   async _prepareContext(_options) {
     const players = _getActivePlayers();
+    const isOpposed = this._mode === "opposed";
 
-    const userOptions = [
-      { id: "all", name: t("sta-utils.rollRequest.allPlayers"), charName: "" },
-      ...players.map((u) => ({
-        id: u.id,
-        name: u.name,
-        charName: u.character?.name ?? "",
-      })),
-    ];
+    // An opposed roll is always made by one specific player.
+    if (isOpposed && !players.some((u) => u.id === this._targetUserId)) {
+      this._targetUserId = players[0]?.id ?? "all";
+      this._actorId = null;
+    }
+    if (!players.some((u) => u.id === this._leaderUserId)) {
+      this._leaderUserId = players[0]?.id ?? null;
+    }
+
+    const playerOptions = players.map((u) => ({
+      id: u.id,
+      name: u.name,
+      charName: u.character?.name ?? "",
+    }));
+    const userOptions = isOpposed
+      ? playerOptions
+      : [
+          {
+            id: "all",
+            name: t("sta-utils.rollRequest.allPlayers"),
+            charName: "",
+          },
+          ...playerOptions,
+        ];
 
     // Build actor list for the currently-selected user
     const actorOptions = _getActorsForUser(this._targetUserId);
@@ -101,7 +158,29 @@ export class RollRequestDialog extends Base {
       this._actorId = actorOptions[0].id;
     }
 
+    const presets = getRollRequestPresets();
+    if (!presets.some((p) => p.id === this._presetId)) this._presetId = "";
+
     return {
+      presets,
+      selectedPresetId: this._presetId,
+      modes: MODES.map((key) => ({
+        key,
+        label: t(`sta-utils.rollRequest.modes.${key}`),
+      })),
+      mode: this._mode,
+      isGroup: this._mode === "group",
+      isOpposed,
+      leaderOptions: playerOptions,
+      selectedLeaderId: this._leaderUserId ?? "",
+      opponentPlayers: playerOptions
+        .filter((u) => u.id !== this._targetUserId)
+        .map((u) => ({ ...u, value: `user:${u.id}` })),
+      opponentNpcs: _getNpcActors().map((a) => ({
+        value: `actor:${a.id}`,
+        name: a.name,
+      })),
+      selectedOpponent: this._opponent,
       userOptions,
       selectedUserId: this._targetUserId,
       actorOptions,
@@ -136,6 +215,52 @@ export class RollRequestDialog extends Base {
     if (root.dataset.rrDialogBound === "1") return;
     root.dataset.rrDialogBound = "1";
 
+    // --- Preset selector ---
+    root
+      .querySelector('select[name="presetId"]')
+      ?.addEventListener("change", async (ev) => {
+        const preset = getRollRequestPreset(ev.target.value);
+        if (preset) this._applyPreset(preset);
+        else this._presetId = "";
+        await this.render({ force: true });
+      });
+
+    root
+      .querySelector('button[data-action="savePreset"]')
+      ?.addEventListener("click", async (ev) => {
+        ev.preventDefault();
+        await this._savePreset();
+      });
+
+    root
+      .querySelector('button[data-action="deletePreset"]')
+      ?.addEventListener("click", async (ev) => {
+        ev.preventDefault();
+        await this._deletePreset();
+      });
+
+    // --- Mode selector ---
+    root
+      .querySelector('select[name="mode"]')
+      ?.addEventListener("change", async (ev) => {
+        this._mode = ev.target.value;
+        await this.render({ force: true });
+      });
+
+    // --- Group leader selector ---
+    root
+      .querySelector('select[name="leaderUserId"]')
+      ?.addEventListener("change", (ev) => {
+        this._leaderUserId = ev.target.value || null;
+      });
+
+    // --- Opposed-roll opponent selector ---
+    root
+      .querySelector('select[name="opponent"]')
+      ?.addEventListener("change", (ev) => {
+        this._opponent = ev.target.value;
+      });
+
     // --- Target user selector ---
     const userSelect = root.querySelector('select[name="targetUserId"]');
     userSelect?.addEventListener("change", async (ev) => {
@@ -201,6 +326,14 @@ export class RollRequestDialog extends Base {
         await this._sendRequest();
       });
 
+    // --- Results panel button ---
+    root
+      .querySelector('button[data-action="results"]')
+      ?.addEventListener("click", (ev) => {
+        ev.preventDefault();
+        openRollRequestResults();
+      });
+
     // --- Cancel button ---
     root
       .querySelector('button[data-action="cancel"]')
@@ -210,81 +343,301 @@ export class RollRequestDialog extends Base {
       });
   }
 
+  /* ---------------------------------------------------------------- */
+  /*  Presets                                                          */
+  /* ---------------------------------------------------------------- */
+
+  /**
+   * Save the current roll as a preset, asking for its name.  Saving under
+   * an existing name replaces that preset.
+   */
+  async _savePreset() {
+    if (this._mode === "opposed") {
+      ui.notifications.warn(t("sta-utils.rollRequest.presets.noOpposed"));
+      return;
+    }
+    const current = getRollRequestPreset(this._presetId);
+    const name = await foundry.applications.api.DialogV2.prompt({
+      window: { title: t("sta-utils.rollRequest.presets.save") },
+      content: `
+        <div class="form-group">
+          <label>${t("sta-utils.rollRequest.presets.name")}</label>
+          <div class="form-fields">
+            <input type="text" name="name" value="${foundry.utils.escapeHTML(current?.name ?? "")}" autofocus>
+          </div>
+        </div>`,
+      ok: {
+        label: t("sta-utils.rollRequest.presets.save"),
+        icon: "fa-solid fa-floppy-disk",
+        callback: (_event, button) => button.form.elements.name.value.trim(),
+      },
+      rejectClose: false,
+    });
+    if (!name) return;
+
+    const preset = await saveRollRequestPreset({
+      ...this._getRequest(),
+      id: current?.name === name ? current.id : undefined,
+      name,
+    });
+    if (!preset) return;
+    this._presetId = preset.id;
+    ui.notifications.info(
+      tf("sta-utils.rollRequest.presets.saved", { name: preset.name }),
+    );
+    await this.render({ force: true });
+  }
+
+  /** Delete the selected preset after confirmation. */
+  async _deletePreset() {
+    const preset = getRollRequestPreset(this._presetId);
+    if (!preset) return;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: t("sta-utils.rollRequest.presets.delete") },
+      content: `<p>${tf("sta-utils.rollRequest.presets.deleteConfirm", {
+        name: foundry.utils.escapeHTML(preset.name),
+      })}</p>`,
+    });
+    if (!confirmed) return;
+    await deleteRollRequestPreset(preset.id);
+    this._presetId = "";
+    await this.render({ force: true });
+  }
+
   /* ---------------------------------------------------------------- */
   /*  Send logic                                                       */
   /* ---------------------------------------------------------------- */
 
   async _sendRequest() {
-    const socket = getModuleSocket();
-    if (!socket) {
-      ui.notifications.error(t("sta-utils.rollRequest.noSocket"));
-      return;
+    const sent = await sendRollRequest(this._getRequest());
+    if (sent) await this.close();
+  }
+
+  /**
+   * The request currently entered in the dialog.
+   * @returns {object} See {@link sendRollRequest}.
+   */
+  _getRequest() {
+    return {
+      mode: this._mode,
+      attribute: this._attribute,
+      discipline: this._discipline,
+      difficulty: this._difficulty,
+      complicationRange: this._complicationRange,
+      message: this._message,
+      targetUserId: this._targetUserId,
+      actorId: this._actorId,
+      leaderUserId: this._leaderUserId,
+      opponent: this._opponent,
+    };
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Sending                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Send a roll request to the players and track it in the results panel.
+ *
+ * @param {object} request
+ * @param {"individual"|"group"|"opposed"} [request.mode="individual"]
+ * @param {string} request.attribute
+ * @param {string} request.discipline
+ * @param {number} request.difficulty
+ * @param {number} [request.complicationRange=1]
+ * @param {string} [request.message]
+ * @param {string} [request.targetUserId="all"] - A user id, or "all".
+ * @param {string|null} [request.actorId] - Character for a single target.
+ * @param {{ userId: string, actorId?: string|null }[]} [request.targets] -
+ *   Explicit rollers; overrides `targetUserId` for individual and group
+ *   requests.
+ * @param {string|null} [request.leaderUserId] - Group roll leader.
+ * @param {string} [request.opponent] - Opposed roll opponent,
+ *   `"user:<id>"` or `"actor:<id>"`.
+ * @returns {Promise<boolean>} Whether any request was sent.
+ */
+export async function sendRollRequest(request) {
+  request = {
+    mode: "individual",
+    complicationRange: 1,
+    targetUserId: "all",
+    ...request,
+  };
+  const socket = getModuleSocket();
+  if (!socket) {
+    ui.notifications.error(t("sta-utils.rollRequest.noSocket"));
+    return false;
+  }
+
+  const participants = _getParticipants(request);
+  if (!participants) return false;
+
+  if (participants.length === 0) {
+    ui.notifications.warn(t("sta-utils.rollRequest.noTargets"));
+    return false;
+  }
+
+  const batchId = foundry.utils.randomID();
+  const leader = participants.find((p) => p.role === "leader");
+  const challenger = participants.find((p) => p.role === "challenger");
+  const defender = participants.find((p) => p.role === "defender");
+  const nameOf = (p) => p?.actorName ?? p?.userName ?? null;
+
+  const entries = [];
+  let sentCount = 0;
+  for (const participant of participants) {
+    const entry = { requestId: foundry.utils.randomID(), ...participant };
+
+    // NPC opponents are rolled by the GM from the results panel.
+    if (participant.npc) {
+      entries.push(entry);
+      continue;
     }
 
-    const targets =
-      this._targetUserId === "all"
-        ? _getActivePlayers()
-        : _getActivePlayers().filter((u) => u.id === this._targetUserId);
+    const requestData = {
+      requestId: entry.requestId,
+      batchId,
+      mode: request.mode,
+      role: participant.role,
+      fromUserId: game.user.id,
+      fromUserName: game.user.name,
+      targetUserId: participant.userId,
+      actorId: participant.actorId,
+      actorName: participant.actorName,
+      attribute: request.attribute,
+      discipline: request.discipline,
+      difficulty: request.difficulty,
+      complicationRange: request.complicationRange,
+      message: (request.message ?? "").trim(),
+      leaderName: nameOf(leader),
+      opponentName: nameOf(
+        participant.role === "challenger" ? defender : challenger,
+      ),
+    };
 
-    if (targets.length === 0) {
-      ui.notifications.warn(t("sta-utils.rollRequest.noTargets"));
-      return;
+    try {
+      await socket.executeAsUser(
+        "rollRequestReceive",
+        participant.userId,
+        requestData,
+      );
+      entries.push(entry);
+      sentCount++;
+    } catch (err) {
+      console.error(
+        `${MODULE_ID} | RollRequestDialog: failed to send to user ${participant.userId}`,
+        err,
+      );
     }
+  }
 
-    let sentCount = 0;
-    for (const user of targets) {
-      // Resolve actor for this user — use explicit selection when "all", otherwise use chosen actor
-      let actorId = null;
-      let actorName = null;
-
-      if (this._targetUserId === "all") {
-        // For "all", use each user's assigned character
-        const char = user.character;
-        if (char) {
-          actorId = char.id;
-          actorName = char.name;
-        }
-      } else {
-        actorId = this._actorId || null;
-        const actor = actorId ? game.actors.get(actorId) : null;
-        actorName = actor?.name ?? null;
-      }
+  if (sentCount > 0) {
+    trackRollRequestBatch({
+      id: batchId,
+      mode: request.mode,
+      attribute: request.attribute,
+      discipline: request.discipline,
+      difficulty: request.difficulty,
+      complicationRange: request.complicationRange,
+      entries,
+    });
+    ui.notifications.info(
+      sentCount === 1
+        ? t("sta-utils.rollRequest.sentOne")
+        : tf("sta-utils.rollRequest.sentMany", { count: sentCount }),
+    );
+  }
+
+  return sentCount > 0;
+}
 
-      const requestData = {
-        requestId: foundry.utils.randomID(),
-        fromUserId: game.user.id,
-        fromUserName: game.user.name,
-        targetUserId: user.id,
-        actorId,
-        actorName,
-        attribute: this._attribute,
-        discipline: this._discipline,
-        difficulty: this._difficulty,
-        complicationRange: this._complicationRange,
-        message: this._message.trim(),
-      };
-
-      try {
-        await socket.executeAsUser("rollRequestReceive", user.id, requestData);
-        sentCount++;
-      } catch (err) {
-        console.error(
-          `${MODULE_ID} | RollRequestDialog: failed to send to user ${user.id}`,
-          err,
-        );
+/**
+ * Work out who rolls, as what and in which role, for a request.
+ * Warns and returns null if an opposed roll has no valid opponent.
+ *
+ * @param {object} request - See {@link sendRollRequest}.
+ * @returns {{ userId: string, userName: string, actorId: string|null, actorName: string|null, role: string, npc: boolean }[] | null}
+ */
+function _getParticipants(request) {
+  const players = _getActivePlayers();
+
+  // Roll as the actor chosen in the dialog ("" for none), or the user's
+  // assigned character when no choice was offered.
+  const asPlayer = (user, role, actorId) => {
+    const actor =
+      actorId === undefined
+        ? user.character
+        : (game.actors.get(actorId) ?? null);
+    return {
+      userId: user.id,
+      userName: user.name,
+      actorId: actor?.id ?? null,
+      actorName: actor?.name ?? null,
+      role,
+      npc: false,
+    };
+  };
+
+  // Explicit rollers (e.g. from selected tokens) replace the player picker.
+  const targeted = request.targets?.length
+    ? request.targets.flatMap(({ userId, actorId }) => {
+        const user = players.find((u) => u.id === userId);
+        return user ? [{ user, actorId }] : [];
+      })
+    : null;
+
+  if (request.mode === "group") {
+    const pool = targeted ?? players.map((user) => ({ user }));
+    const leader =
+      pool.find((p) => p.user.id === request.leaderUserId) ?? pool[0];
+    return pool.map((p) =>
+      asPlayer(p.user, p === leader ? "leader" : "assist", p.actorId),
+    );
+  }
+
+  if (request.mode === "opposed") {
+    const challenger = players.find((u) => u.id === request.targetUserId);
+    if (!challenger) return [];
+
+    const [kind, id] = (request.opponent ?? "").split(":");
+    let defender = null;
+    if (kind === "user") {
+      const user = players.find((u) => u.id === id && u !== challenger);
+      if (user) defender = asPlayer(user, "defender");
+    } else if (kind === "actor") {
+      const actor = game.actors.get(id);
+      if (actor) {
+        defender = {
+          userId: game.user.id,
+          userName: game.user.name,
+          actorId: actor.id,
+          actorName: actor.name,
+          role: "defender",
+          npc: true,
+        };
       }
     }
-
-    if (sentCount > 0) {
-      ui.notifications.info(
-        sentCount === 1
-          ? t("sta-utils.rollRequest.sentOne")
-          : tf("sta-utils.rollRequest.sentMany", { count: sentCount }),
-      );
+    if (!defender) {
+      ui.notifications.warn(t("sta-utils.rollRequest.noOpponent"));
+      return null;
     }
+    return [
+      asPlayer(challenger, "challenger", request.actorId ?? ""),
+      defender,
+    ];
+  }
 
-    await this.close();
+  if (targeted) {
+    return targeted.map((p) => asPlayer(p.user, "roller", p.actorId));
+  }
+  if (request.targetUserId === "all") {
+    // For "all", use each user's assigned character
+    return players.map((u) => asPlayer(u, "roller"));
   }
+  return players
+    .filter((u) => u.id === request.targetUserId)
+    .map((u) => asPlayer(u, "roller", request.actorId ?? ""));
 }
 
 /* ------------------------------------------------------------------ */
@@ -310,6 +663,19 @@ function _getActivePlayers() {
   return game.users.filter((u) => !u.isGM && u.active);
 }
 
+/**
+ * Return non-player characters a player can be opposed by: NPC actors,
+ * and character actors with no player owner.
+ * @returns {Actor[]}
+ */
+function _getNpcActors() {
+  return game.actors
+    .filter(
+      (a) => a.type === "npc" || (a.type === "character" && !a.hasPlayerOwner),
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
 /**
  * Return actor options for a given user id (or "all").
  *
@@ -0,0 +1,239 @@
+/**
+ * Roll Request Presets
+ *
+ * Named roll requests the GM saves once and reuses: from the Roll Request
+ * dialog, from macros (`game.staUtils.rollRequestPresets`) and from
+ * `@RollRequest[...]` links in journal pages — including pages pinned to a
+ * scene as map notes.  Stored in the "rollRequestPresets" world setting:
+ *
+ * ```js
+ * {
+ *   version: 1,
+ *   presets: [
+ *     { id: "a1b2c3", name: "Asteroid Field", mode: "individual",
+ *       attribute: "control", discipline: "conn", difficulty: 2,
+ *       complicationRange: 1, message: "Hold her steady…" },
+ *   ],
+ * }
+ * ```
+ *
+ * Presets only hold the roll itself; who is prompted is decided when the
+ * preset is used.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t, tf } from "../core/i18n.mjs";
+import { ATTRIBUTE_KEYS } from "../core/gameConstants.mjs";
+
+export const ROLL_REQUEST_PRESETS_SETTING = "rollRequestPresets";
+const PRESETS_VERSION = 1;
+
+const DISCIPLINE_KEYS = [
+  "command",
+  "conn",
+  "engineering",
+  "security",
+  "medicine",
+  "science",
+];
+
+/** Modes a preset can use.  Opposed rolls need an opponent picked live. */
+const PRESET_MODES = ["individual", "group"];
+
+/* ------------------------------------------------------------------ */
+/*  Normalization                                                      */
+/* ------------------------------------------------------------------ */
+
+/**
+ * @param {unknown} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback
+ */
+function _clamp(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+/**
+ * Normalize one preset.
+ *
+ * @param {object} raw
+ * @returns {object|null} Null when the preset has no name.
+ */
+export function normalizeRollRequestPreset(raw) {
+  const name = String(raw?.name ?? "").trim();
+  if (!name) return null;
+  return {
+    id: String(raw.id || foundry.utils.randomID()),
+    name,
+    mode: PRESET_MODES.includes(raw.mode) ? raw.mode : "individual",
+    attribute: ATTRIBUTE_KEYS.includes(raw.attribute)
+      ? raw.attribute
+      : "daring",
+    discipline: DISCIPLINE_KEYS.includes(raw.discipline)
+      ? raw.discipline
+      : "security",
+    difficulty: _clamp(raw.difficulty, 0, 5, 1),
+    complicationRange: _clamp(raw.complicationRange, 1, 5, 1),
+    message: String(raw.message ?? "").trim(),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Reading & writing                                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * The world's roll request presets, sorted by name.
+ *
+ * @returns {object[]}
+ */
+export function getRollRequestPresets() {
+  let stored = null;
+  try {
+    stored = game.settings.get(MODULE_ID, ROLL_REQUEST_PRESETS_SETTING);
+  } catch (_) {
+    // Setting not registered (e.g. before init).
+  }
+  const presets = [];
+  const ids = new Set();
+  for (const raw of Array.isArray(stored?.presets) ? stored.presets : []) {
+    const preset = normalizeRollRequestPreset(raw);
+    if (!preset || ids.has(preset.id)) continue;
+    ids.add(preset.id);
+    presets.push(preset);
+  }
+  return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a preset by id, or by name (case-insensitive).
+ *
+ * @param {string} idOrName
+ * @returns {object|null}
+ */
+export function getRollRequestPreset(idOrName) {
+  const key = String(idOrName ?? "").trim();
+  if (!key) return null;
+  const presets = getRollRequestPresets();
+  return (
+    presets.find((p) => p.id === key) ??
+    presets.find((p) => p.name.toLowerCase() === key.toLowerCase()) ??
+    null
+  );
+}
+
+/** @param {object[]} presets */
+async function _store(presets) {
+  await game.settings.set(MODULE_ID, ROLL_REQUEST_PRESETS_SETTING, {
+    version: PRESETS_VERSION,
+    presets,
+  });
+}
+
+/**
+ * Save a preset.  A preset with the same id — or, failing that, the same
+ * name — is replaced.
+ *
+ * @param {object} preset
+ * @returns {Promise<object|null>} The stored preset, or null if invalid.
+ */
+export async function saveRollRequestPreset(preset) {
+  const normalized = normalizeRollRequestPreset(preset);
+  if (!normalized) return null;
+  const presets = getRollRequestPresets();
+  const existing =
+    presets.find((p) => p.id === normalized.id) ??
+    presets.find((p) => p.name.toLowerCase() === normalized.name.toLowerCase());
+  if (existing) normalized.id = existing.id;
+  await _store([...presets.filter((p) => p.id !== normalized.id), normalized]);
+  return normalized;
+}
+
+/**
+ * Delete a preset by id.
+ *
+ * @param {string} id
+ */
+export async function deleteRollRequestPreset(id) {
+  await _store(getRollRequestPresets().filter((p) => p.id !== id));
+}
+
+/* ------------------------------------------------------------------ */
+/*  Enricher                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * `@RollRequest[Preset Name]` opens the Roll Request dialog filled in from
+ * the preset; `@RollRequest[Preset Name|send]` sends it straight away.
+ * An optional `{Label}` replaces the link text.
+ */
+const ENRICHER_PATTERN =
+  /@RollRequest\[([^\]|]+)(?:\|(send|open))?\](?:\{([^}]+)\})?/gi;
+
+/**
+ * Build the link for one `@RollRequest[...]` match.
+ *
+ * @param {RegExpMatchArray} match
+ * @returns {HTMLElement}
+ */
+function _enrichRollRequest(match) {
+  const [, key, action = "open", label] = match;
+  const preset = getRollRequestPreset(key);
+  const send = action.toLowerCase() === "send";
+
+  // Players see the roll as plain text: only the GM can request rolls.
+  const interactive = game.user?.isGM && preset;
+  const el = document.createElement(interactive ? "a" : "span");
+  el.classList.add("sta-utils-roll-request-link");
+  if (!preset) el.classList.add("broken");
+  el.innerHTML = `<i class="fa-solid ${send ? "fa-paper-plane" : "fa-dice-d20"}"></i>`;
+  el.append(label ?? preset?.name ?? key);
+
+  if (interactive) {
+    el.dataset.presetId = preset.id;
+    el.dataset.rollRequestAction = send ? "send" : "open";
+    el.dataset.tooltip = tf(
+      send
+        ? "sta-utils.rollRequest.presets.linkSend"
+        : "sta-utils.rollRequest.presets.linkOpen",
+      { name: preset.name },
+    );
+  } else if (!preset) {
+    el.dataset.tooltip = tf("sta-utils.rollRequest.presets.notFound", {
+      name: key,
+    });
+  }
+  return el;
+}
+
+/**
+ * Register the `@RollRequest[...]` text enricher and the click handler for
+ * its links.  Called once during `init`.
+ *
+ * @param {(preset: object, action: "open"|"send") => unknown} onActivate
+ */
+export function registerRollRequestEnricher(onActivate) {
+  CONFIG.TextEditor.enrichers.push({
+    id: `${MODULE_ID}.rollRequest`,
+    pattern: ENRICHER_PATTERN,
+    enricher: async (match) => _enrichRollRequest(match),
+  });
+
+  document.body.addEventListener("click", (event) => {
+    const link = event.target.closest?.(
+      "a.sta-utils-roll-request-link[data-preset-id]",
+    );
+    if (!link) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const preset = getRollRequestPreset(link.dataset.presetId);
+    if (!preset) {
+      ui.notifications.warn(t("sta-utils.rollRequest.presets.missing"));
+      return;
+    }
+    onActivate(preset, link.dataset.rollRequestAction);
+  });
+}
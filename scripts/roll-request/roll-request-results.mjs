@@ -0,0 +1,316 @@
+/**
+ * Roll Request Results — GM Side
+ *
+ * Tracks every roll request the GM sends as a "batch" and shows them in a
+ * live results panel: who has been asked, whether they have rolled or
+ * dismissed the prompt, their successes and complications, and the
+ * combined outcome for the batch's mode:
+ *
+ *   - individual: each target rolls on their own against the difficulty.
+ *   - group:      one leader rolls; everyone else assists with a single
+ *                 die.  Assist successes only count if the leader scores
+ *                 at least one success.
+ *   - opposed:    a challenger rolls against a defender (another player or
+ *                 an NPC the GM rolls from the panel).  If both succeed,
+ *                 the side with more Momentum wins; ties go to the defender.
+ *
+ * Players report back through the `rollRequestResult` socket RPC.  Batches
+ * live in memory on the requesting GM's client only.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t, tf } from "../core/i18n.mjs";
+import { rollRequestedTask } from "./roll-prompt.mjs";
+
+const fapi = foundry.applications.api;
+
+/** Open batches by id, most recent last. @type {Map<string, object>} */
+const _batches = new Map();
+
+/** The open results panel, if any. */
+let _panel = null;
+
+/* ------------------------------------------------------------------ */
+/*  Batch tracking                                                     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Start tracking a batch of roll requests and show the results panel.
+ *
+ * @param {object} batch
+ * @param {string} batch.id
+ * @param {"individual"|"group"|"opposed"} batch.mode
+ * @param {number} batch.difficulty
+ * @param {string} batch.attribute
+ * @param {string} batch.discipline
+ * @param {object[]} batch.entries - One per roller:
+ *   `{ requestId, userId, userName, actorId, actorName, role, npc }`, where
+ *   `role` is "roller", "leader", "assist", "challenger" or "defender".
+ */
+export function trackRollRequestBatch(batch) {
+  _batches.set(batch.id, {
+    ...batch,
+    createdAt: Date.now(),
+    entries: batch.entries.map((entry) => ({
+      ...entry,
+      state: "pending",
+      successes: null,
+      complications: null,
+      messageId: null,
+    })),
+  });
+  openRollRequestResults();
+}
+
+/**
+ * Record a player's answer to a roll request.
+ * Handler for the `rollRequestResult` socket RPC.
+ *
+ * @param {object} data
+ * @param {string} data.batchId
+ * @param {string} data.requestId
+ * @param {"rolled"|"dismissed"} data.state
+ * @param {number} [data.successes]
+ * @param {number} [data.complications]
+ * @param {string} [data.messageId]
+ * @param {string} [data.actorName] - The character actually rolled as.
+ */
+export function recordRollRequestResult(data) {
+  const entry = _batches
+    .get(data.batchId)
+    ?.entries.find((e) => e.requestId === data.requestId);
+  if (!entry) return;
+
+  entry.state = data.state === "rolled" ? "rolled" : "dismissed";
+  entry.successes =
+    entry.state === "rolled" ? Number(data.successes) || 0 : null;
+  entry.complications =
+    entry.state === "rolled" ? Number(data.complications) || 0 : null;
+  entry.messageId = data.messageId ?? null;
+  if (data.actorName) entry.actorName = data.actorName;
+
+  _panel?.render();
+}
+
+/* ------------------------------------------------------------------ */
+/*  Outcome                                                            */
+/* ------------------------------------------------------------------ */
+
+/** @param {object[]} entries */
+function _sum(entries, key) {
+  return entries.reduce((total, e) => total + (Number(e[key]) || 0), 0);
+}
+
+/** Display name for an entry. */
+function _entryName(entry) {
+  return entry.actorName || entry.userName || "?";
+}
+
+/**
+ * The combined outcome of a batch.
+ *
+ * @param {object} batch
+ * @returns {{ pending: boolean, status: "pending"|"success"|"failure"|"neutral", label: string, complications: number }}
+ */
+export function computeBatchOutcome(batch) {
+  const { mode, entries } = batch;
+  const difficulty = Number(batch.difficulty) || 0;
+  const rolled = entries.filter((e) => e.state === "rolled");
+  const pending = entries.some((e) => e.state === "pending");
+  const complications = _sum(rolled, "complications");
+  const passes = (e) => e.state === "rolled" && e.successes >= difficulty;
+
+  if (mode === "group") {
+    const leader = entries.find((e) => e.role === "leader");
+    if (!leader || leader.state === "pending") {
+      return {
+        pending: true,
+        status: "pending",
+        label: t("sta-utils.rollRequest.results.waitingLeader"),
+        complications,
+      };
+    }
+    const assists =
+      leader.successes > 0
+        ? _sum(
+            rolled.filter((e) => e.role === "assist"),
+            "successes",
+          )
+        : 0;
+    const successes = (leader.successes ?? 0) + assists;
+    const success = leader.state === "rolled" && successes >= difficulty;
+    return {
+      pending,
+      status: pending ? "pending" : success ? "success" : "failure",
+      label: success
+        ? tf("sta-utils.rollRequest.results.groupSuccess", {
+            successes,
+            momentum: successes - difficulty,
+          })
+        : tf("sta-utils.rollRequest.results.groupFailure", { successes }),
+      complications,
+    };
+  }
+
+  if (mode === "opposed") {
+    const challenger = entries.find((e) => e.role === "challenger");
+    const defender = entries.find((e) => e.role === "defender");
+    if (pending || !challenger || !defender) {
+      return {
+        pending: true,
+        status: "pending",
+        label: t("sta-utils.rollRequest.results.waitingBoth"),
+        complications,
+      };
+    }
+    const challengerPasses = passes(challenger);
+    const defenderPasses = passes(defender);
+    let winner = null;
+    if (challengerPasses && defenderPasses) {
+      // Both succeed: more Momentum wins, ties go to the defender.
+      winner =
+        challenger.successes > defender.successes ? challenger : defender;
+    } else if (challengerPasses) winner = challenger;
+    else if (defenderPasses) winner = defender;
+
+    return {
+      pending: false,
+      status:
+        winner === challenger ? "success" : winner ? "failure" : "neutral",
+      label: winner
+        ? tf("sta-utils.rollRequest.results.opposedWinner", {
+            name: _entryName(winner),
+          })
+        : t("sta-utils.rollRequest.results.opposedNeither"),
+      complications,
+    };
+  }
+
+  return {
+    pending,
+    status: pending ? "pending" : "neutral",
+    label: tf("sta-utils.rollRequest.results.individual", {
+      passed: entries.filter(passes).length,
+      total: entries.length,
+    }),
+    complications,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Application                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Live panel listing the GM's roll request batches and their results.
+ */
+export class RollRequestResults extends fapi.HandlebarsApplicationMixin(
+  fapi.ApplicationV2,
+) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-roll-request-results`,
+    classes: ["sta-utils", "sta-roll-request-results"],
+    position: { width: 420, height: "auto" },
+    window: {
+      icon: "fa-solid fa-list-check",
+      title: "sta-utils.rollRequest.results.title",
+      resizable: true,
+    },
+    actions: {
+      rollNpc: RollRequestResults.#onRollNpc,
+      clearBatch: RollRequestResults.#onClearBatch,
+      clearFinished: RollRequestResults.#onClearFinished,
+    },
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/roll-request-results.hbs`,
+    },
+  };
+
+  async _prepareContext() {
+    const batches = [..._batches.values()].reverse().map((batch) => {
+      const outcome = computeBatchOutcome(batch);
+      const difficulty = Number(batch.difficulty) || 0;
+      return {
+        id: batch.id,
+        modeLabel: t(`sta-utils.rollRequest.modes.${batch.mode}`),
+        difficulty,
+        time: new Date(batch.createdAt).toLocaleTimeString([], {
+          hour: "2-digit",
+          minute: "2-digit",
+        }),
+        outcome,
+        entries: batch.entries.map((entry) => ({
+          ...entry,
+          name: _entryName(entry),
+          roleLabel:
+            entry.role === "roller"
+              ? ""
+              : t(`sta-utils.rollRequest.roles.${entry.role}`),
+          stateLabel: t(`sta-utils.rollRequest.results.states.${entry.state}`),
+          rolled: entry.state === "rolled",
+          passed:
+            entry.state === "rolled" &&
+            entry.role !== "assist" &&
+            entry.successes >= difficulty,
+          canRoll: entry.npc && entry.state === "pending",
+        })),
+      };
+    });
+    return { batches, hasFinished: batches.some((b) => !b.outcome.pending) };
+  }
+
+  static async #onRollNpc(_event, target) {
+    const batch = _batches.get(target.dataset.batchId);
+    const entry = batch?.entries.find(
+      (e) => e.requestId === target.dataset.requestId,
+    );
+    const actor = entry ? game.actors.get(entry.actorId) : null;
+    if (!actor) {
+      ui.notifications.warn(t("sta-utils.rollRequest.noActorForRoll"));
+      return;
+    }
+
+    const result = await rollRequestedTask(actor, {
+      attribute: batch.attribute,
+      discipline: batch.discipline,
+      difficulty: batch.difficulty,
+      complicationRange: batch.complicationRange,
+      role: entry.role,
+    });
+    if (!result) return;
+    recordRollRequestResult({
+      batchId: batch.id,
+      requestId: entry.requestId,
+      state: "rolled",
+      ...result,
+    });
+  }
+
+  static #onClearBatch(_event, target) {
+    _batches.delete(target.dataset.batchId);
+    this.render();
+  }
+
+  static #onClearFinished() {
+    for (const batch of [..._batches.values()]) {
+      if (!computeBatchOutcome(batch).pending) _batches.delete(batch.id);
+    }
+    this.render();
+  }
+
+  async close(options = {}) {
+    if (_panel === this) _panel = null;
+    return super.close(options);
+  }
+}
+
+/**
+ * Open (or bring forward) the roll request results panel.
+ */
+export function openRollRequestResults() {
+  if (!_panel) _panel = new RollRequestResults();
+  _panel.render({ force: true });
+}
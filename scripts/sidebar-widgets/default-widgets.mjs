@@ -2,7 +2,7 @@ import { t } from "../core/i18n.mjs";
 import { registerSidebarWidget } from "./sidebar-widgets.mjs";
 import { generateTreknobabble } from "../treknobabble/treknobabble.mjs";
 import { generateMedicalbabble } from "../treknobabble/medicalbabble.mjs";
-import { calendarDateToStardateTng } from "../stardate/stardate.mjs";
+import { dateToStardate } from "../stardate/stardate-systems.mjs";
 import {
   calculateWarpTrip,
   formatTravelTime,
@@ -259,7 +259,7 @@ function renderStardate(container) {
       month: "short",
       day: "numeric",
     })}${timeInput.value ? ` @ ${timeInput.value}` : ""}`;
-    stardateResult.value.textContent = calendarDateToStardateTng(parsed);
+    stardateResult.value.textContent = dateToStardate(parsed);
     if (setButton) setButton.disabled = false;
   };
   dateInput.addEventListener("input", updateCalculation);
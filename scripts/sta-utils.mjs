@@ -74,8 +74,16 @@ import { warpCalculator } from "./warp-calculator/index.mjs";
 import {
   stardateCalculator,
   calendarDateToStardateTng,
+  installStardateStamps,
+  registerStardateEnricher,
+  stardateApi,
 } from "./stardate/index.mjs";
-import { installStardateDisplay } from "./stardate-display/index.mjs";
+import {
+  advanceWorldTime,
+  installStardateDisplay,
+  jumpToStardate,
+  openWorldTimeControls,
+} from "./stardate-display/index.mjs";
 import { installAlertStatus } from "./alert-status/index.mjs";
 
 import {
@@ -98,7 +106,11 @@ import {
   installTokenInteractionDiagnostics,
 } from "./misc/index.mjs";
 
-import { crewManifest } from "./crew-manifest/index.mjs";
+import {
+  crewManifest,
+  refreshCrewManifest,
+  installCrewManifestHooks,
+} from "./crew-manifest/index.mjs";
 
 import {
   initTalentAutomations,
@@ -148,7 +160,12 @@ import {
   installPersonalThreatHudButton,
 } from "./personal-threat/index.mjs";
 
-import { openRollRequestDialog } from "./roll-request/index.mjs";
+import {
+  openRollRequestDialog,
+  openRollRequestResults,
+  registerRollRequestPresetEnricher,
+  rollRequestPresetApi,
+} from "./roll-request/index.mjs";
 import {
   openLauncher,
   installTrackerLauncherButton,
@@ -476,6 +493,7 @@ Hooks.once("init", () => {
     `modules/${MODULE_ID}/templates/extended-task-tracker.hbs`,
     `modules/${MODULE_ID}/templates/extended-task-dialog.hbs`,
     `modules/${MODULE_ID}/templates/breakthrough-dialog.hbs`,
+    `modules/${MODULE_ID}/templates/extended-task-history.hbs`,
     `modules/${MODULE_ID}/templates/character-sheet2e-mobile.hbs`,
     `modules/${MODULE_ID}/templates/character-sheet2e-mobile-limited.hbs`,
     `modules/${MODULE_ID}/templates/character-sheet2e-lcars.hbs`,
@@ -487,6 +505,7 @@ Hooks.once("init", () => {
     `modules/${MODULE_ID}/templates/limited-ship-lcars.hbs`,
     `modules/${MODULE_ID}/templates/roll-request-dialog.hbs`,
     `modules/${MODULE_ID}/templates/roll-prompt.hbs`,
+    `modules/${MODULE_ID}/templates/roll-request-results.hbs`,
     `modules/${MODULE_ID}/templates/attack-calculator.hbs`,
     `modules/${MODULE_ID}/templates/supporting-builder.hbs`,
     `modules/${MODULE_ID}/templates/incidental-npc-roll-dialog.hbs`,
@@ -494,6 +513,9 @@ Hooks.once("init", () => {
     `modules/${MODULE_ID}/templates/compendium-browser.hbs`,
     `modules/${MODULE_ID}/templates/compendium-browser-settings.hbs`,
     `modules/${MODULE_ID}/templates/sta-tools-sidebar.hbs`,
+    `modules/${MODULE_ID}/templates/talent-automation-editor.hbs`,
+    `modules/${MODULE_ID}/templates/momentum-spend-catalog-editor.hbs`,
+    `modules/${MODULE_ID}/templates/alert-level-editor.hbs`,
   ]);
 
   // --- LCARS sheet registration ---
@@ -551,12 +573,21 @@ Hooks.once("init", () => {
     installChatHeaderMergeRenderHook();
   }
 
+  // --- Stardate enricher and log stamps ---
+  registerStardateEnricher();
+  installStardateStamps();
+
   // --- Stardate Display ---
   if (isStardateDisplayEnabled()) {
     installStardateDisplay();
     console.log(`${MODULE_ID} | Stardate Display feature enabled`);
   }
 
+  // --- Roll Request preset links ---
+  if (isRollRequestEnabled()) {
+    registerRollRequestPresetEnricher();
+  }
+
   // --- Alert Status ---
   if (isAlertStatusEnabled()) {
     installAlertStatus();
@@ -626,6 +657,7 @@ Hooks.once("init", () => {
   installAmbientAudioSelectionListenerPatch();
   installPinCushionNoteIconCompatPatch();
   registerNoteStylerHooks();
+  installCrewManifestHooks();
 
   // --- Talent Automations ---
   if (isTalentAutomationsEnabled()) {
@@ -734,6 +766,7 @@ Hooks.once("ready", async () => {
     noteStyler,
     openDicePoolMonitor,
     crewManifest,
+    refreshCrewManifest,
     actionChooser,
     dicePool: dicePoolApi,
     npcBuilder: openNpcBuilder,
@@ -748,6 +781,8 @@ Hooks.once("ready", async () => {
     characterBrowser: openCompendiumBrowser,
     supportingBuilder: openSupportingBuilder,
     rollRequest: isRollRequestEnabled() ? openRollRequestDialog : null,
+    rollRequestResults: isRollRequestEnabled() ? openRollRequestResults : null,
+    rollRequestPresets: isRollRequestEnabled() ? rollRequestPresetApi : null,
     incidentalNpcRoll: openIncidentalNpcRollDialog,
     trackerReference: openTrackerReferenceDialog,
     trackerMomentumReference: openTrackerMomentumReferenceDialog,
@@ -768,6 +803,12 @@ Hooks.once("ready", async () => {
     medicalbabble,
     launcher: openLauncher,
     calendarDateToStardate: calendarDateToStardateTng,
+    stardate: {
+      ...stardateApi,
+      advance: advanceWorldTime,
+      jumpTo: jumpToStardate,
+      openTimeControls: openWorldTimeControls,
+    },
     resetTalentUses: resetActorTalentUses,
     ...(tokenDiagnostics ? { tokenDiagnostics } : {}),
   };
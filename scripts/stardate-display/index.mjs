@@ -1,2 +1,7 @@
 // Stardate Display — live stardate bar above the chat log
 export { installStardateDisplay } from "./stardate-display.mjs";
+export {
+  advanceWorldTime,
+  jumpToStardate,
+  openWorldTimeControls,
+} from "./world-time.mjs";
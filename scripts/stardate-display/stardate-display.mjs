@@ -2,19 +2,27 @@
  * Stardate Display
  *
  * Injects a live stardate bar above the chat log that mirrors the current
- * Foundry worldTime, converted to a TNG stardate using the same formula as
- * the Stardate Calculator.  Clicking the bar copies the stardate to the
- * clipboard.
+ * Foundry worldTime, converted to a stardate in the world's stardate system
+ * using the same conversion as the Stardate Calculator.  Clicking the bar
+ * copies the stardate to the clipboard; the GM also gets a clock button
+ * that opens the world time controls (world-time.mjs).
  *
- * Uses the shared `calendarDateToStardateTng` function so the displayed value
- * is always in sync with the calculator applet.
+ * Uses the shared `worldTimeToStardate` function so the displayed value is
+ * always in sync with the calculator applet.
  *
  * Gated behind the `enableStardateDisplay` world setting.
  */
 
 import { MODULE_ID } from "../core/constants.mjs";
 import { t } from "../core/i18n.mjs";
-import { calendarDateToStardateTng } from "../stardate/stardate.mjs";
+import {
+  STARDATE_CUSTOM_EPOCH_SETTING,
+  STARDATE_CUSTOM_RATE_SETTING,
+  STARDATE_CUSTOM_START_SETTING,
+  STARDATE_SYSTEM_SETTING,
+  worldTimeToStardate,
+} from "../stardate/stardate-systems.mjs";
+import { openWorldTimeControls } from "./world-time.mjs";
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Constants
@@ -25,6 +33,16 @@ const BAR_ID = "sta-utils-stardate-bar";
 const VALUE_ID = "sta-utils-stardate-value";
 const COPIED_TIMEOUT_MS = 1500;
 
+/** Settings that change how the stardate is computed. */
+const SYSTEM_SETTING_KEYS = new Set(
+  [
+    STARDATE_SYSTEM_SETTING,
+    STARDATE_CUSTOM_EPOCH_SETTING,
+    STARDATE_CUSTOM_START_SETTING,
+    STARDATE_CUSTOM_RATE_SETTING,
+  ].map((key) => `${MODULE_ID}.${key}`),
+);
+
 /** Get or create the shared horizontal widget container inside `parent`. */
 function _getOrCreateContainer(parent) {
   let container = parent.querySelector(`#${CONTAINER_ID}`);
@@ -46,8 +64,7 @@ function _getOrCreateContainer(parent) {
  * @returns {string}
  */
 function _computeCurrentStardate() {
-  const date = new Date(game.time.worldTime * 1000);
-  return calendarDateToStardateTng(date);
+  return worldTimeToStardate(game.time.worldTime);
 }
 
 /**
@@ -72,6 +89,20 @@ function _buildBar() {
 
   bar.append(value, label);
 
+  if (game.user.isGM) {
+    const timeButton = document.createElement("button");
+    timeButton.type = "button";
+    timeButton.classList.add("sta-utils-stardate-time");
+    timeButton.title = t("sta-utils.stardateDisplay.time.title");
+    timeButton.innerHTML = '<i class="fa-solid fa-clock"></i>';
+    timeButton.addEventListener("click", (event) => {
+      // Don't copy the stardate as well.
+      event.stopPropagation();
+      openWorldTimeControls();
+    });
+    bar.append(timeButton);
+  }
+
   // Force pointer-events via inline style — Foundry applies pointer-events:none
   // to some sidebar children via CSS that outranks our stylesheet rule.
   bar.style.pointerEvents = "auto";
@@ -157,6 +188,13 @@ export function installStardateDisplay() {
   Hooks.on("updateWorldTime", (worldTime) => {
     const valueEl = document.getElementById(VALUE_ID);
     if (!valueEl) return;
-    valueEl.textContent = calendarDateToStardateTng(new Date(worldTime * 1000));
+    valueEl.textContent = worldTimeToStardate(worldTime);
+  });
+
+  // --- Update bar when the GM changes the stardate system ---
+  Hooks.on("updateSetting", (setting) => {
+    if (!SYSTEM_SETTING_KEYS.has(setting.key)) return;
+    const valueEl = document.getElementById(VALUE_ID);
+    if (valueEl) valueEl.textContent = _computeCurrentStardate();
   });
 }
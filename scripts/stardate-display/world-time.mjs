@@ -0,0 +1,181 @@
+/**
+ * Stardate Display – World Time Controls
+ *
+ * GM controls for moving the world clock from the stardate bar: advance by
+ * an hour, a duty shift or a day, by a warp trip's travel time, or jump
+ * straight to a stardate.  Stardates are read in the world's stardate
+ * system.  Every change posts a chat line with the new stardate.
+ *
+ * The Warp Calculator uses `advanceWorldTime` to pass on a trip's travel
+ * time.
+ */
+
+import { t, tf } from "../core/i18n.mjs";
+import {
+  stardateToWorldTime,
+  worldTimeToStardate,
+} from "../stardate/stardate-systems.mjs";
+import {
+  formatTravelTime,
+  parseTravelTime,
+} from "../warp-calculator/warp-calculator.mjs";
+
+const SECONDS_PER_DAY = 86400;
+
+/** Preset steps, in seconds.  A shift is one of three daily duty shifts. */
+const TIME_STEPS = {
+  hour: 3600,
+  shift: 8 * 3600,
+  day: SECONDS_PER_DAY,
+};
+
+/**
+ * Post the chat line for a world time change.
+ *
+ * @param {number} worldTime - The new world time.
+ * @param {string} detail - What happened, e.g. "8h later".
+ */
+async function _postTimeChange(worldTime, detail) {
+  const stardate = worldTimeToStardate(worldTime);
+  const content = `
+    <div class="sta-utils-chat-card sta-utils-chat-card--blue">
+      <h3><i class="fa-solid fa-clock"></i> ${t("sta-utils.stardateDisplay.time.cardTitle")}</h3>
+      <p>@Stardate[${stardate}]</p>
+      <p>${foundry.utils.escapeHTML(detail)}</p>
+    </div>
+  `;
+  await ChatMessage.create({ content, speaker: ChatMessage.getSpeaker() });
+}
+
+/**
+ * Advance the world time and post the new stardate to chat.  GM only.
+ *
+ * @param {number} seconds - How far to advance.
+ * @param {object} [options]
+ * @param {string} [options.reason] - Shown in the chat line, e.g. "Warp 6 to Vulcan".
+ * @returns {Promise<boolean>} Whether the time was advanced.
+ */
+export async function advanceWorldTime(seconds, { reason = "" } = {}) {
+  if (!game.user.isGM) {
+    ui.notifications.warn(t("sta-utils.stardateDisplay.time.gmOnly"));
+    return false;
+  }
+  seconds = Math.round(Number(seconds));
+  if (!Number.isFinite(seconds) || seconds <= 0) return false;
+
+  const worldTime = game.time.worldTime + seconds;
+  await game.time.advance(seconds);
+  const elapsed = tf("sta-utils.stardateDisplay.time.advanced", {
+    time: formatTravelTime(seconds / SECONDS_PER_DAY),
+  });
+  await _postTimeChange(worldTime, reason ? `${reason} · ${elapsed}` : elapsed);
+  return true;
+}
+
+/**
+ * Set the world time to a stardate and post it to chat.  GM only.
+ *
+ * @param {string|number} stardate - A stardate in the world's system.
+ * @returns {Promise<boolean>} Whether the time was changed.
+ */
+export async function jumpToStardate(stardate) {
+  if (!game.user.isGM) {
+    ui.notifications.warn(t("sta-utils.stardateDisplay.time.gmOnly"));
+    return false;
+  }
+  const worldTime = stardateToWorldTime(stardate);
+  if (worldTime === null) {
+    ui.notifications.warn(
+      tf("sta-utils.stardateDisplay.time.invalidStardate", { stardate }),
+    );
+    return false;
+  }
+  const delta = Math.round(worldTime - game.time.worldTime);
+  if (delta === 0) return false;
+
+  await game.time.advance(delta);
+  await _postTimeChange(worldTime, t("sta-utils.stardateDisplay.time.jumped"));
+  return true;
+}
+
+/**
+ * Open the world time controls.  GM only.
+ */
+export async function openWorldTimeControls() {
+  if (!game.user.isGM) return;
+
+  const field = (name, label, placeholder) => `
+    <div class="form-group">
+      <label>${label}</label>
+      <div class="form-fields">
+        <input type="text" name="${name}" placeholder="${placeholder}" />
+      </div>
+    </div>`;
+  const content = `
+    <p class="hint">${tf("sta-utils.stardateDisplay.time.current", {
+      stardate: worldTimeToStardate(),
+    })}</p>
+    ${field(
+      "duration",
+      t("sta-utils.stardateDisplay.time.duration"),
+      t("sta-utils.sidebar.widgets.warp.timePlaceholder"),
+    )}
+    ${field(
+      "stardate",
+      t("sta-utils.stardateDisplay.time.stardate"),
+      worldTimeToStardate(),
+    )}
+  `;
+
+  const read = (dialog, name) =>
+    dialog.element.querySelector(`[name="${name}"]`)?.value?.trim() ?? "";
+
+  const choice = await foundry.applications.api.DialogV2.wait({
+    window: {
+      title: t("sta-utils.stardateDisplay.time.title"),
+      icon: "fa-solid fa-clock",
+    },
+    classes: ["sta-utils-world-time-controls"],
+    content,
+    buttons: [
+      ...Object.keys(TIME_STEPS).map((step) => ({
+        action: step,
+        label: t(`sta-utils.stardateDisplay.time.steps.${step}`),
+        callback: () => ({ step }),
+      })),
+      {
+        action: "advance",
+        label: t("sta-utils.stardateDisplay.time.advance"),
+        icon: "fa-solid fa-forward",
+        callback: (_event, _button, dialog) => ({
+          duration: read(dialog, "duration"),
+        }),
+      },
+      {
+        action: "jump",
+        label: t("sta-utils.stardateDisplay.time.jump"),
+        icon: "fa-solid fa-location-arrow",
+        callback: (_event, _button, dialog) => ({
+          stardate: read(dialog, "stardate"),
+        }),
+      },
+    ],
+    rejectClose: false,
+  });
+  if (!choice) return;
+
+  if (choice.step) {
+    await advanceWorldTime(TIME_STEPS[choice.step]);
+  } else if ("duration" in choice) {
+    const days = parseTravelTime(choice.duration);
+    if (days === null) {
+      ui.notifications.warn(
+        t("sta-utils.stardateDisplay.time.invalidDuration"),
+      );
+      return;
+    }
+    await advanceWorldTime(days * SECONDS_PER_DAY);
+  } else if (choice.stardate) {
+    await jumpToStardate(choice.stardate);
+  }
+}
@@ -1,7 +1,19 @@
-// Stardate Calculator - TNG stardate ↔ calendar date converter
+// Stardate Calculator - stardate ↔ calendar date converter
 export {
   calendarDateToStardateTng,
   stardateTngToCalendarDate,
   openStardateCalculator,
   stardateCalculator,
 } from "./stardate.mjs";
+export {
+  STARDATE_SYSTEMS,
+  dateToStardate,
+  getStardateSystem,
+  stardateApi,
+  stardateToDate,
+  worldTimeToStardate,
+} from "./stardate-systems.mjs";
+export {
+  installStardateStamps,
+  registerStardateEnricher,
+} from "./stardate-log.mjs";
@@ -0,0 +1,179 @@
+/**
+ * Stardate Log
+ *
+ * `@Stardate[…]` text enricher and automatic stardate stamps.
+ *
+ *   - `@Stardate[now]` shows the stardate of the current world time;
+ *     `@Stardate[61820.4]` shows a fixed stardate.  Both carry the calendar
+ *     date as a tooltip, and an optional `{Label}` replaces the text.
+ *   - In chat, `@Stardate[now]` is fixed to the stardate the message was
+ *     posted at, so the log doesn't change as time moves on.
+ *   - Text pages created in the journal folder chosen in the
+ *     "stardateStampFolder" setting (or its subfolders), and Officer's Log
+ *     entries when "stardateStampLogs" is on, start with a stardate stamp.
+ *
+ * Stardates are in the world's stardate system (see stardate-systems.mjs).
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t, tf } from "../core/i18n.mjs";
+import { formatCalendarDate } from "./stardate.mjs";
+import { stardateToDate, worldTimeToStardate } from "./stardate-systems.mjs";
+
+export const STARDATE_STAMP_FOLDER_SETTING = "stardateStampFolder";
+export const STARDATE_STAMP_LOGS_SETTING = "stardateStampLogs";
+
+/** `@Stardate[now]`, `@Stardate[61820.4]`, optionally followed by `{Label}`. */
+const ENRICHER_PATTERN = /@Stardate\[([^\]]+)\](?:\{([^}]+)\})?/gi;
+
+/** Any `@Stardate[now]`, for fixing chat messages to their posting time. */
+const NOW_PATTERN = /@Stardate\[\s*now\s*\]/gi;
+
+/* ------------------------------------------------------------------ */
+/*  Enricher                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Build the element for one `@Stardate[...]` match.
+ *
+ * @param {RegExpMatchArray} match
+ * @returns {HTMLElement}
+ */
+function _enrichStardate(match) {
+  const [, key, label] = match;
+  const live = key.trim().toLowerCase() === "now";
+  const stardate = live ? worldTimeToStardate() : key.trim();
+  const date = stardateToDate(stardate);
+
+  const el = document.createElement("span");
+  el.classList.add("sta-utils-stardate");
+  if (!date) el.classList.add("broken");
+  el.innerHTML = '<i class="fa-solid fa-calendar-day"></i>';
+  el.append(label ?? tf("sta-utils.stardateLog.stardate", { stardate }));
+  el.dataset.stardate = stardate;
+  if (date) el.dataset.tooltip = formatCalendarDate(date);
+  return el;
+}
+
+/**
+ * Register the `@Stardate[...]` text enricher.  Called once during `init`.
+ */
+export function registerStardateEnricher() {
+  CONFIG.TextEditor.enrichers.push({
+    id: `${MODULE_ID}.stardate`,
+    pattern: ENRICHER_PATTERN,
+    enricher: async (match) => _enrichStardate(match),
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/*  Stamps                                                             */
+/* ------------------------------------------------------------------ */
+
+/**
+ * @param {string} key
+ * @param {unknown} fallback
+ */
+function _setting(key, fallback) {
+  try {
+    return game.settings.get(MODULE_ID, key) ?? fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+/**
+ * The stamp put at the top of a new log entry.
+ * @returns {string}
+ */
+function _stampHtml() {
+  return `<p class="sta-utils-stardate-stamp">@Stardate[${worldTimeToStardate()}]</p>`;
+}
+
+/**
+ * Whether a folder is the stamp folder or inside it.
+ *
+ * @param {Folder|string|null} folder - A folder or folder id.
+ * @returns {boolean}
+ */
+function _inStampFolder(folder) {
+  const stampFolderId = _setting(STARDATE_STAMP_FOLDER_SETTING, "");
+  if (!stampFolderId) return false;
+  let current = typeof folder === "string" ? game.folders.get(folder) : folder;
+  while (current) {
+    if (current.id === stampFolderId) return true;
+    current = current.folder;
+  }
+  return false;
+}
+
+/**
+ * Put a stamp at the top of a text page's content.
+ *
+ * @param {object} page - Page data.
+ * @returns {object|null} The changed page data, or null for non-text pages.
+ */
+function _stampPage(page) {
+  if ((page.type ?? "text") !== "text") return null;
+  const content = page.text?.content ?? "";
+  if (content.includes("sta-utils-stardate-stamp")) return null;
+  return { ...page, text: { ...page.text, content: _stampHtml() + content } };
+}
+
+/**
+ * Install the chat and stamp hooks.  Called once during `init`.
+ */
+export function installStardateStamps() {
+  // Fix `@Stardate[now]` in chat to the time the message is posted.
+  Hooks.on("preCreateChatMessage", (message, data) => {
+    const content = data.content ?? "";
+    if (content.search(NOW_PATTERN) === -1) return;
+    message.updateSource({
+      content: content.replace(
+        NOW_PATTERN,
+        `@Stardate[${worldTimeToStardate()}]`,
+      ),
+    });
+  });
+
+  // Journal entries created in the stamp folder with pages already in them.
+  Hooks.on("preCreateJournalEntry", (entry, data) => {
+    if (!_inStampFolder(data.folder ?? null) || !data.pages?.length) return;
+    const pages = data.pages.map((page) => _stampPage(page) ?? page);
+    entry.updateSource({ pages });
+  });
+
+  // Pages added to entries in the stamp folder.
+  Hooks.on("preCreateJournalEntryPage", (page, data) => {
+    if (!_inStampFolder(page.parent?.folder ?? null)) return;
+    const stamped = _stampPage(data);
+    if (stamped) page.updateSource({ "text.content": stamped.text.content });
+  });
+
+  // Officer's Log entries (STA "log" items).
+  Hooks.on("preCreateItem", (item, data) => {
+    if (item.type !== "log" || !_setting(STARDATE_STAMP_LOGS_SETTING, false)) {
+      return;
+    }
+    const description = data.system?.description ?? "";
+    if (description.includes("sta-utils-stardate-stamp")) return;
+    item.updateSource({ "system.description": _stampHtml() + description });
+  });
+}
+
+/**
+ * Journal folders for the stamp folder setting, as `{ id: path }`.
+ * @returns {Record<string, string>}
+ */
+export function getStampFolderChoices() {
+  const choices = { "": t("sta-utils.stardateLog.noFolder") };
+  const folders = game.folders
+    .filter((folder) => folder.type === "JournalEntry")
+    .map((folder) => {
+      const path = [];
+      for (let f = folder; f; f = f.folder) path.unshift(f.name);
+      return [folder.id, path.join(" / ")];
+    })
+    .sort((a, b) => a[1].localeCompare(b[1]));
+  return Object.assign(choices, Object.fromEntries(folders));
+}
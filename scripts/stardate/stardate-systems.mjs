@@ -0,0 +1,357 @@
+/**
+ * Stardate Systems
+ *
+ * Stardate ↔ calendar conversions for each supported stardate system.  The
+ * world picks one with the "stardateSystem" setting; the Stardate
+ * Calculator, the stardate display bar and the sidebar converter all go
+ * through `dateToStardate` / `stardateToDate` so they always agree.
+ *
+ *   - tng:       TNG/DS9/VOY stardates, continuous across eras (capped TOS
+ *                before them, Kelvin-style year.day before that).
+ *   - tos:       TOS stardates on their own linear scale.
+ *   - kelvin:    Kelvin timeline / ENT-era `year.day`, e.g. 2258.42.
+ *   - discovery: 32nd-century stardates, a linear fit to the on-screen
+ *                dates from 3188 on.
+ *   - custom:    a linear scale from a GM-chosen epoch and rate.
+ *
+ * Exposed to macros as `game.staUtils.stardate`.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t } from "../core/i18n.mjs";
+
+export const STARDATE_SYSTEM_SETTING = "stardateSystem";
+export const STARDATE_CUSTOM_EPOCH_SETTING = "stardateCustomEpoch";
+export const STARDATE_CUSTOM_START_SETTING = "stardateCustomStart";
+export const STARDATE_CUSTOM_RATE_SETTING = "stardateCustomRate";
+
+/** Supported stardate systems, in the order they are offered. */
+export const STARDATE_SYSTEMS = ["tng", "tos", "kelvin", "discovery", "custom"];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TNG (continuous)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Era anchors and rates (derived from TrekGuide.com / Phillip L. Sublett).
+const E_TNG = new Date(2318, 6, 5, 12, 0, 0).getTime();
+const K_TNG = 34367056.4; // ms per unit — TNG/DS9/VOY (918.23186 sd/yr)
+const E_TOS = new Date(2265, 3, 25, 0, 0, 0).getTime();
+const K_TOS = 11975570.7; // ms per unit — TOS (2635.10833 sd/yr)
+const TOS_CAP = 5943.7; // last on-screen TOS stardate; caps extrapolation
+const DAYS_PER_YEAR = 365.2422;
+const MS_PER_DAY = 86400000;
+const MS_PER_YEAR = DAYS_PER_YEAR * MS_PER_DAY;
+// Gentle "catch-up" slope used to bridge era resets so the value never drops.
+const R_BRIDGE_PER_MS = 50 / MS_PER_YEAR;
+
+/**
+ * Per-era canonical stardate for an instant (ms), with TOS extrapolation capped.
+ * Kelvin `YYYY.xx` is used for eras without an on-screen stardate system.
+ * @param {number} t - Unix milliseconds.
+ * @returns {number}
+ */
+function _canonicalStardate(t) {
+  if (t >= E_TNG) return (t - E_TNG) / K_TNG;
+  if (t >= E_TOS && new Date(t).getFullYear() <= 2270) {
+    return Math.min((t - E_TOS) / K_TOS, TOS_CAP);
+  }
+  const y = new Date(t).getFullYear();
+  const jan1 = new Date(y, 0, 1).getTime();
+  return y + (t - jan1) / MS_PER_YEAR;
+}
+
+// Lazily-built monotonic lookup table (weekly knots). The stored curve follows
+// the canonical value while it rises, and bridges upward slowly across the
+// downward era resets so the sequence is strictly increasing and never negative.
+let _knotMs = null;
+let _knotSd = null;
+function _buildKnots() {
+  const start = new Date(1900, 0, 1).getTime();
+  const end = new Date(2600, 0, 1).getTime();
+  const step = 7 * MS_PER_DAY;
+  const ms = [];
+  const sd = [];
+  let f = _canonicalStardate(start);
+  let tPrev = start;
+  for (let t = start; t <= end; t += step) {
+    const c = _canonicalStardate(t);
+    f = c > f ? c : f + R_BRIDGE_PER_MS * (t - tPrev);
+    ms.push(t);
+    sd.push(f);
+    tPrev = t;
+  }
+  _knotMs = ms;
+  _knotSd = sd;
+}
+
+/**
+ * Convert an instant (ms) to a continuous, monotonic stardate.
+ * @param {number} t - Unix milliseconds.
+ * @returns {number}
+ */
+function _stardateFromMs(t) {
+  if (!_knotMs) _buildKnots();
+  const n = _knotMs.length;
+  if (t <= _knotMs[0]) {
+    const slope = (_knotSd[1] - _knotSd[0]) / (_knotMs[1] - _knotMs[0]);
+    return _knotSd[0] + slope * (t - _knotMs[0]);
+  }
+  if (t >= _knotMs[n - 1]) {
+    const slope =
+      (_knotSd[n - 1] - _knotSd[n - 2]) / (_knotMs[n - 1] - _knotMs[n - 2]);
+    return _knotSd[n - 1] + slope * (t - _knotMs[n - 1]);
+  }
+  let lo = 0;
+  let hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (_knotMs[mid] <= t) lo = mid;
+    else hi = mid;
+  }
+  const frac = (t - _knotMs[lo]) / (_knotMs[hi] - _knotMs[lo]);
+  return _knotSd[lo] + frac * (_knotSd[hi] - _knotSd[lo]);
+}
+
+/**
+ * Convert a stardate back to an instant (ms). Inverse of `_stardateFromMs`.
+ * @param {number} sd
+ * @returns {number} Unix milliseconds.
+ */
+function _msFromStardate(sd) {
+  if (!_knotMs) _buildKnots();
+  const n = _knotSd.length;
+  if (sd <= _knotSd[0]) {
+    const slope = (_knotSd[1] - _knotSd[0]) / (_knotMs[1] - _knotMs[0]);
+    return _knotMs[0] + (sd - _knotSd[0]) / slope;
+  }
+  if (sd >= _knotSd[n - 1]) {
+    const slope =
+      (_knotSd[n - 1] - _knotSd[n - 2]) / (_knotMs[n - 1] - _knotMs[n - 2]);
+    return _knotMs[n - 1] + (sd - _knotSd[n - 1]) / slope;
+  }
+  let lo = 0;
+  let hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (_knotSd[mid] <= sd) lo = mid;
+    else hi = mid;
+  }
+  const frac = (sd - _knotSd[lo]) / (_knotSd[hi] - _knotSd[lo]);
+  return _knotMs[lo] + frac * (_knotMs[hi] - _knotMs[lo]);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Linear systems
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** 32nd century: stardate 865000 at the start of 3188, ~600 a year. */
+const E_DISCOVERY = new Date(3188, 0, 1, 0, 0, 0).getTime();
+const SD_DISCOVERY = 865000;
+const RATE_DISCOVERY = 600;
+
+/**
+ * The custom system's epoch, stardate at the epoch and stardates per year.
+ * @returns {{ epoch: number, start: number, rate: number }}
+ */
+function _customScale() {
+  const read = (key, fallback) => {
+    try {
+      return game.settings.get(MODULE_ID, key) ?? fallback;
+    } catch (_) {
+      return fallback;
+    }
+  };
+  const epoch = new Date(read(STARDATE_CUSTOM_EPOCH_SETTING, "2401-01-01"));
+  const rate = Number(read(STARDATE_CUSTOM_RATE_SETTING, 1000));
+  return {
+    epoch: Number.isNaN(epoch.getTime())
+      ? new Date(2401, 0, 1).getTime()
+      : epoch.getTime(),
+    start: Number(read(STARDATE_CUSTOM_START_SETTING, 0)) || 0,
+    rate: rate > 0 ? rate : 1000,
+  };
+}
+
+/** Linear scales by system: `{ epoch, start, msPerUnit }`. */
+function _linearScale(system) {
+  switch (system) {
+    case "tos":
+      return { epoch: E_TOS, start: 0, msPerUnit: K_TOS };
+    case "discovery":
+      return {
+        epoch: E_DISCOVERY,
+        start: SD_DISCOVERY,
+        msPerUnit: MS_PER_YEAR / RATE_DISCOVERY,
+      };
+    case "custom": {
+      const { epoch, start, rate } = _customScale();
+      return { epoch, start, msPerUnit: MS_PER_YEAR / rate };
+    }
+    default:
+      return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Kelvin (year.day)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Days from the Unix epoch to a calendar date.  Counted in UTC, so DST
+ * changes don't shift the count; `setUTCFullYear` keeps years 0–99 as
+ * written.
+ *
+ * @param {number} year
+ * @param {number} month - 0-based.
+ * @param {number} day
+ * @returns {number}
+ */
+function _calendarDayNumber(year, month, day) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month, day);
+  return Math.round(date.getTime() / MS_PER_DAY);
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} `year.day`, the day counted from 1 January = 1.
+ */
+function _kelvinFromDate(date) {
+  const year = date.getFullYear();
+  const day =
+    _calendarDayNumber(year, date.getMonth(), date.getDate()) -
+    _calendarDayNumber(year, 0, 1) +
+    1;
+  return `${year}.${day}`;
+}
+
+/**
+ * @param {string} stardate - `year.day`.
+ * @returns {Date|null}
+ */
+function _kelvinToDate(stardate) {
+  const match = /^\s*(-?\d+)(?:\.(\d+))?\s*$/.exec(stardate);
+  if (!match) return null;
+  // Set year, month and day together so the day counts within the
+  // target year (leap or not); years 0–99 stay as written.
+  const date = new Date(2000, 0, 1);
+  date.setFullYear(Number(match[1]), 0, Number(match[2] ?? 1));
+  return date;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * The world's stardate system.
+ * @returns {string} One of `STARDATE_SYSTEMS`.
+ */
+export function getStardateSystem() {
+  try {
+    const system = game.settings.get(MODULE_ID, STARDATE_SYSTEM_SETTING);
+    return STARDATE_SYSTEMS.includes(system) ? system : "tng";
+  } catch (_) {
+    return "tng";
+  }
+}
+
+/**
+ * @param {string} [system] - Defaults to the world's system.
+ * @returns {string} The system's localized name.
+ */
+export function getStardateSystemLabel(system = getStardateSystem()) {
+  return t(`sta-utils.stardate.systems.${system}.name`);
+}
+
+/**
+ * An example stardate in a system, for input placeholders.
+ * @param {string} [system] - Defaults to the world's system.
+ * @returns {string}
+ */
+export function getStardateExample(system = getStardateSystem()) {
+  return t(`sta-utils.stardate.systems.${system}.example`);
+}
+
+/**
+ * Convert a calendar date to a stardate.
+ *
+ * @param {Date|string|number} date
+ * @param {object} [opts]
+ * @param {string} [opts.system] - Defaults to the world's system.
+ * @returns {string} The stardate, or "" for an invalid date.
+ */
+export function dateToStardate(date, { system = getStardateSystem() } = {}) {
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return "";
+  d.setSeconds(0, 0);
+  if (system === "kelvin") return _kelvinFromDate(d);
+  const scale = _linearScale(system);
+  if (!scale) return _stardateFromMs(d.getTime()).toFixed(1);
+  return (scale.start + (d.getTime() - scale.epoch) / scale.msPerUnit).toFixed(
+    1,
+  );
+}
+
+/**
+ * Convert a stardate to a calendar date.
+ *
+ * @param {string|number} stardate
+ * @param {object} [opts]
+ * @param {string} [opts.system] - Defaults to the world's system.
+ * @returns {Date|null} Null when the stardate can't be read.
+ */
+export function stardateToDate(
+  stardate,
+  { system = getStardateSystem() } = {},
+) {
+  if (system === "kelvin") return _kelvinToDate(String(stardate));
+  const sd = parseFloat(stardate);
+  if (Number.isNaN(sd)) return null;
+  const scale = _linearScale(system);
+  const ms = scale
+    ? scale.epoch + (sd - scale.start) * scale.msPerUnit
+    : _msFromStardate(sd);
+  const date = new Date(ms);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * The stardate for a world time.
+ *
+ * @param {number} [worldTime] - Seconds; defaults to the current world time.
+ * @param {object} [opts] - As for `dateToStardate`.
+ * @returns {string}
+ */
+export function worldTimeToStardate(worldTime = game.time.worldTime, opts) {
+  return dateToStardate(new Date(worldTime * 1000), opts);
+}
+
+/**
+ * The world time for a stardate.
+ *
+ * @param {string|number} stardate
+ * @param {object} [opts] - As for `stardateToDate`.
+ * @returns {number|null} Seconds, or null when the stardate can't be read.
+ */
+export function stardateToWorldTime(stardate, opts) {
+  const date = stardateToDate(stardate, opts);
+  return date ? Math.round(date.getTime() / 1000) : null;
+}
+
+/**
+ * Macro-facing stardate API, exposed as `game.staUtils.stardate`.
+ *
+ * @example
+ * game.staUtils.stardate.now();                          // "47634.4"
+ * game.staUtils.stardate.fromDate("2258-02-11", { system: "kelvin" });
+ */
+export const stardateApi = {
+  systems: STARDATE_SYSTEMS,
+  getSystem: getStardateSystem,
+  now: () => worldTimeToStardate(),
+  fromDate: dateToStardate,
+  toDate: stardateToDate,
+  fromWorldTime: worldTimeToStardate,
+  toWorldTime: stardateToWorldTime,
+};
@@ -0,0 +1,204 @@
+/**
+ * Talent Automation – Rule editor
+ *
+ * Adds an "Automations" summary with a configure button to the talent item
+ * sheet and an editor window for the declarative rules stored in
+ * `flags["sta-utils"].automations` (see declarative-automations.mjs).
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { ATTRIBUTE_LABELS } from "../core/gameConstants.mjs";
+import { t } from "../core/i18n.mjs";
+import {
+  AUTOMATIONS_FLAG,
+  CONDITION_LISTS,
+  describeAutomation,
+  getItemAutomations,
+  normalizeAutomation,
+} from "./declarative-automations.mjs";
+
+const fapi = foundry.applications.api;
+
+/** Localization key prefixes for each condition list's option labels. */
+const CONDITION_LABELS = {
+  actorTypes: (key) => t(`TYPES.Actor.${key}`),
+  attributes: (key) => ATTRIBUTE_LABELS[key] ?? key,
+  disciplines: (key) => t(`sta.actor.character.discipline.${key}`),
+  systems: (key) => t(`sta.actor.starship.system.${key}`),
+  departments: (key) => t(`sta.actor.starship.department.${key}`),
+};
+
+/**
+ * Editor for the declarative automation rules on one talent item.
+ */
+export class TalentAutomationEditor extends fapi.HandlebarsApplicationMixin(
+  fapi.ApplicationV2,
+) {
+  static DEFAULT_OPTIONS = {
+    classes: ["sta-utils", "sta-automation-editor", "standard-form"],
+    tag: "form",
+    position: { width: 560, height: "auto" },
+    window: {
+      icon: "fa-solid fa-gears",
+      title: "sta-utils.talentAutomations.declarative.editorTitle",
+    },
+    form: {
+      handler: TalentAutomationEditor.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      addRule: TalentAutomationEditor.#onAddRule,
+      deleteRule: TalentAutomationEditor.#onDeleteRule,
+    },
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/talent-automation-editor.hbs`,
+      root: true,
+    },
+  };
+
+  /**
+   * @param {Item} item - The talent item to edit.
+   * @param {object} [options]
+   */
+  constructor(item, options = {}) {
+    super(options);
+    this.item = item;
+    this.rules = getItemAutomations(item);
+  }
+
+  get id() {
+    return `${MODULE_ID}-automation-editor-${this.item.uuid.replaceAll(".", "-")}`;
+  }
+
+  get title() {
+    return game.i18n.format(
+      "sta-utils.talentAutomations.declarative.editorTitle",
+      { name: this.item.name },
+    );
+  }
+
+  async _prepareContext() {
+    const modes = {
+      toggle: "sta-utils.talentAutomations.declarative.modeToggle",
+      always: "sta-utils.talentAutomations.declarative.modeAlways",
+    };
+    const shipAssistChoices = {
+      any: "sta-utils.talentAutomations.declarative.shipAssistAny",
+      only: "sta-utils.talentAutomations.declarative.shipAssistOnly",
+      never: "sta-utils.talentAutomations.declarative.shipAssistNever",
+    };
+    return {
+      itemName: this.item.name,
+      modes,
+      shipAssistChoices,
+      rules: this.rules.map((rule, index) => ({
+        ...rule,
+        index,
+        summary: describeAutomation(rule),
+        conditionLists: Object.entries(CONDITION_LISTS).map(([key, keys]) => ({
+          key,
+          label: t(`sta-utils.talentAutomations.declarative.conditions.${key}`),
+          options: keys.map((value) => ({
+            value,
+            label: CONDITION_LABELS[key](value),
+            selected: rule.conditions[key].includes(value),
+          })),
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Read the rules currently entered in the form.
+   *
+   * @param {object} [object] - Already-parsed form values.
+   * @returns {object[]}
+   */
+  _readRules(object) {
+    const data = foundry.utils.expandObject(
+      object ??
+        new foundry.applications.ux.FormDataExtended(this.element).object,
+    );
+    return Object.values(data.rules ?? {}).map((rule) =>
+      normalizeAutomation(rule, this.item.name),
+    );
+  }
+
+  static #onAddRule() {
+    this.rules = this._readRules();
+    this.rules.push(normalizeAutomation({ effects: { dicePool: 1 } }));
+    this.render();
+  }
+
+  static #onDeleteRule(_event, target) {
+    const index = Number(target.dataset.index);
+    this.rules = this._readRules().filter((_, i) => i !== index);
+    this.render();
+  }
+
+  static async #onSubmit(_event, _form, formData) {
+    this.rules = this._readRules(formData.object);
+    await this.item.setFlag(MODULE_ID, AUTOMATIONS_FLAG, this.rules);
+  }
+}
+
+/**
+ * Install the renderApplicationV2 hook that shows the automation summary
+ * and configure button on talent item sheets.
+ */
+export function installAutomationEditorHook() {
+  Hooks.on("renderApplicationV2", (app, html) => {
+    const item = app.document;
+    if (!item || item.documentName !== "Item" || item.type !== "talent") return;
+    _injectAutomationSummary(app, html, item);
+  });
+}
+
+/**
+ * @param {ApplicationV2} app
+ * @param {HTMLElement} root
+ * @param {Item} item
+ */
+function _injectAutomationSummary(app, root, item) {
+  if (root.querySelector(".sta-automation-summary")) return;
+
+  const rules = getItemAutomations(item);
+  if (!rules.length && !app.isEditable) return;
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "sta-automation-summary";
+  const list = rules
+    .map(
+      (rule) =>
+        `<li><strong>${foundry.utils.escapeHTML(rule.label)}</strong> ${foundry.utils.escapeHTML(describeAutomation(rule))}</li>`,
+    )
+    .join("");
+  wrapper.innerHTML = `
+    <div class="row sta-automation-summary-header">
+      <div class="title"><i class="fa-solid fa-gears"></i> ${t("sta-utils.talentAutomations.declarative.sheetTitle")}</div>
+      ${
+        app.isEditable
+          ? `<button type="button" class="sta-automation-configure">
+              <i class="fa-solid fa-pen-to-square"></i> ${t("sta-utils.talentAutomations.declarative.configure")}
+            </button>`
+          : ""
+      }
+    </div>
+    ${list ? `<ul class="sta-automation-summary-list">${list}</ul>` : `<p class="hint">${t("sta-utils.talentAutomations.declarative.none")}</p>`}
+  `;
+
+  wrapper
+    .querySelector(".sta-automation-configure")
+    ?.addEventListener("click", () => {
+      new TalentAutomationEditor(item).render({ force: true });
+    });
+
+  const sheetBody =
+    root.querySelector(".item-sheet") ??
+    root.querySelector("[data-application-part='itemsheet']") ??
+    root;
+  sheetBody.appendChild(wrapper);
+}
@@ -0,0 +1,134 @@
+/**
+ * Talent Automation – Bonus d20 toggles
+ *
+ * Talents that grant a bonus d20 on a narrowly described kind of task
+ * ("when persuading someone not to resort to violence"). The trigger is
+ * narrative, so each talent becomes an opt-in checkbox in the dice pool
+ * dialog that adds the die when ticked.
+ *
+ * A talent's toggle only appears when the rolling character owns it and the
+ * selected attribute / discipline is one the talent lists (talents without
+ * a list apply to any task). Labels and descriptions are localized under
+ * `sta-utils.talentAutomations.bonusD20.<key>`.
+ */
+
+import { t } from "../core/i18n.mjs";
+import { registerTaskDataMiddleware } from "../dice-pool-override/index.mjs";
+import { actorHasTalent } from "./talent-automations.mjs";
+
+const MAX_DICE_POOL = 5;
+const MAX_COMPLICATION_RANGE = 5;
+
+/**
+ * Talent definitions. `name` is matched against talent item names; `key`
+ * selects the localization entry.
+ */
+const BONUS_D20_TALENTS = [
+  {
+    key: "defuseTheTension",
+    name: "Defuse the Tension",
+    disciplines: ["command"],
+  },
+  {
+    key: "computerExpertise",
+    name: "Computer Expertise",
+    disciplines: ["science"],
+  },
+  { key: "iKnowMyShip", name: "I Know My Ship", disciplines: ["engineering"] },
+  { key: "dauntless", name: "Dauntless" },
+  { key: "firstResponse", name: "First Response", disciplines: ["medicine"] },
+  { key: "cyberneticist", name: "Cyberneticist" },
+  { key: "directNeuralInterface", name: "Direct Neural Interface" },
+  {
+    key: "deltanPheromones",
+    name: "Deltan Pheromones",
+    attributes: ["presence"],
+    complicationRange: 2,
+  },
+  { key: "campaignFatigue", name: "Campaign Fatigue" },
+  { key: "zeroGSwimmer", name: "Zero-G Swimmer" },
+  { key: "nimble", name: "Nimble", attributes: ["fitness"] },
+  { key: "omnidirectionalVision", name: "Omnidirectional Vision" },
+  { key: "quickLearner", name: "Quick Learner" },
+  {
+    key: "zeniteInTheSoul",
+    name: "Zenite in the Soul",
+    disciplines: ["engineering", "science"],
+  },
+  { key: "listener", name: "Listener" },
+  { key: "mindForInformation", name: "Mind for Information" },
+  { key: "powerfulFrame", name: "Powerful Frame", attributes: ["fitness"] },
+];
+
+/**
+ * Whether `value` is allowed by an optional list. Unknown selections pass
+ * so the toggle is still offered before the roller has picked one.
+ *
+ * @param {string[]|undefined} list
+ * @param {string|null}        value
+ * @returns {boolean}
+ */
+function _allows(list, value) {
+  if (!list?.length || !value) return true;
+  return list.includes(String(value).toLowerCase());
+}
+
+/**
+ * Register one bonus d20 toggle.
+ *
+ * @param {object}   talent
+ * @param {string}   talent.key                 - Localization key.
+ * @param {string}   talent.name                - Talent item name.
+ * @param {string[]} [talent.attributes]        - Attributes the talent applies to.
+ * @param {string[]} [talent.disciplines]       - Disciplines the talent applies to.
+ * @param {number}   [talent.complicationRange] - Complication Range increase.
+ */
+function _registerBonusD20Talent(talent) {
+  const matches = (selection) =>
+    _allows(talent.attributes, selection.selectedAttribute) &&
+    _allows(talent.disciplines, selection.selectedDiscipline);
+
+  registerTaskDataMiddleware(
+    t(`sta-utils.talentAutomations.bonusD20.${talent.key}.name`),
+    (taskData, ctx) => {
+      if (!actorHasTalent(ctx.actor, talent.name)) return;
+      if (!matches(taskData)) return;
+
+      taskData.dicePool = Math.min(
+        (Number(taskData.dicePool) || 1) + 1,
+        MAX_DICE_POOL,
+      );
+      if (talent.complicationRange) {
+        // Split-assist rolls read the character's range from its own field.
+        const key =
+          taskData.characterComplicationRange != null
+            ? "characterComplicationRange"
+            : "complicationRange";
+        taskData[key] = Math.min(
+          (Number(taskData[key]) || 1) + talent.complicationRange,
+          MAX_COMPLICATION_RANGE,
+        );
+      }
+    },
+    {
+      description: t(
+        `sta-utils.talentAutomations.bonusD20.${talent.key}.description`,
+      ),
+      showToggle: true,
+      showInfo: false,
+      defaultEnabled: false,
+      appliesTo: (ctx) =>
+        ctx.actor?.type === "character" &&
+        !!actorHasTalent(ctx.actor, talent.name) &&
+        matches(ctx),
+    },
+  );
+}
+
+/**
+ * Register the bonus d20 toggle middleware for every talent in the pack.
+ * Called once during talent automation middleware registration.
+ */
+export function registerBonusD20Talents() {
+  for (const talent of BONUS_D20_TALENTS) _registerBonusD20Talent(talent);
+}
@@ -0,0 +1,358 @@
+/**
+ * Talent Automation – Declarative rules stored on talent items
+ *
+ * GMs can automate homebrew and species talents without code by adding
+ * rules to a talent's `flags["sta-utils"].automations` array (edited from
+ * the talent item sheet, see automation-editor.mjs). Each rule becomes a
+ * dice pool middleware entry:
+ *
+ * ```js
+ * {
+ *   id: "k3Jd8sQ2pX0aB1cD",        // stable across copies of the talent
+ *   label: "Computer Expertise",    // shown in the dice pool dialog
+ *   mode: "toggle",                 // "toggle" (opt-in checkbox) | "always"
+ *   defaultEnabled: false,          // toggle starts checked?
+ *   conditions: {                   // empty lists match anything
+ *     actorTypes: ["character"],
+ *     attributes: [],
+ *     disciplines: ["science"],
+ *     systems: [],
+ *     departments: [],
+ *     shipAssist: "any",            // "any" | "only" | "never"
+ *   },
+ *   effects: { dicePool: 1, complicationRange: 0, difficulty: 0 },
+ * }
+ * ```
+ *
+ * The `difficulty` effect has no roll-time meaning in the STA system; it is
+ * accumulated on `taskData.difficultyModifier` for features that compare
+ * successes against a Difficulty (such as the dice pool odds panel).
+ *
+ * Rules are registered lazily as talents are seen on actors. Entries are
+ * keyed by rule id and never removed — a rule whose talent is gone simply
+ * stops applying.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { ATTRIBUTE_KEYS } from "../core/gameConstants.mjs";
+import { registerTaskDataMiddleware } from "../dice-pool-override/index.mjs";
+import { findTalents } from "./talent-automations.mjs";
+
+export const AUTOMATIONS_FLAG = "automations";
+
+export const ACTOR_TYPES = ["character", "starship", "smallcraft"];
+export const DISCIPLINE_KEYS = [
+  "command",
+  "conn",
+  "engineering",
+  "security",
+  "medicine",
+  "science",
+];
+export const SYSTEM_KEYS = [
+  "communications",
+  "computers",
+  "engines",
+  "sensors",
+  "structure",
+  "weapons",
+];
+export const CONDITION_LISTS = {
+  actorTypes: ACTOR_TYPES,
+  attributes: ATTRIBUTE_KEYS,
+  disciplines: DISCIPLINE_KEYS,
+  systems: SYSTEM_KEYS,
+  departments: DISCIPLINE_KEYS,
+};
+export const EFFECT_KEYS = ["dicePool", "complicationRange", "difficulty"];
+
+const MAX_DICE_POOL = 5;
+const MAX_COMPLICATION_RANGE = 5;
+
+/** Middleware entries by rule id. */
+const _entries = new Map();
+
+/* ------------------------------------------------------------------ */
+/*  Rule data                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Fill in defaults and drop unknown values from a stored rule.
+ *
+ * @param {object} data
+ * @param {string} [fallbackLabel] - Used when the rule has no label.
+ * @returns {object}
+ */
+export function normalizeAutomation(data = {}, fallbackLabel = "") {
+  const conditions = {};
+  for (const [key, allowed] of Object.entries(CONDITION_LISTS)) {
+    const value = data.conditions?.[key];
+    const list = Array.isArray(value) ? value : value ? [value] : [];
+    conditions[key] = list.filter((v) => allowed.includes(v));
+  }
+  conditions.shipAssist = ["only", "never"].includes(
+    data.conditions?.shipAssist,
+  )
+    ? data.conditions.shipAssist
+    : "any";
+
+  const effects = {};
+  for (const key of EFFECT_KEYS) {
+    effects[key] = Math.trunc(Number(data.effects?.[key]) || 0);
+  }
+
+  return {
+    id: data.id || foundry.utils.randomID(),
+    label: String(data.label ?? "").trim() || fallbackLabel,
+    mode: data.mode === "always" ? "always" : "toggle",
+    defaultEnabled: Boolean(data.defaultEnabled),
+    conditions,
+    effects,
+  };
+}
+
+/**
+ * All rules stored on a talent item.
+ *
+ * @param {Item} item
+ * @returns {object[]}
+ */
+export function getItemAutomations(item) {
+  const rules = item?.getFlag?.(MODULE_ID, AUTOMATIONS_FLAG);
+  if (!Array.isArray(rules)) return [];
+  return rules.map((r) => normalizeAutomation(r, item.name));
+}
+
+/**
+ * Short human-readable summary of a rule's effects and conditions, used as
+ * the middleware description and in the item sheet summary.
+ *
+ * @param {object} rule - A normalized rule.
+ * @returns {string}
+ */
+export function describeAutomation(rule) {
+  const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+  const parts = [];
+  const { dicePool, complicationRange, difficulty } = rule.effects;
+  if (dicePool) parts.push(`${signed(dicePool)}d20`);
+  if (complicationRange) {
+    parts.push(
+      game.i18n.format("sta-utils.talentAutomations.declarative.effectComp", {
+        value: signed(complicationRange),
+      }),
+    );
+  }
+  if (difficulty) {
+    parts.push(
+      game.i18n.format(
+        "sta-utils.talentAutomations.declarative.effectDifficulty",
+        { value: signed(difficulty) },
+      ),
+    );
+  }
+
+  const c = rule.conditions;
+  const keys = [
+    ...c.attributes,
+    ...c.disciplines,
+    ...c.systems,
+    ...c.departments,
+  ];
+  const text = parts.join(", ");
+  if (!keys.length) return text;
+  const when = keys.map((k) => k.charAt(0).toUpperCase() + k.slice(1));
+  return `${text} (${when.join(" / ")})`;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Matching                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Find the rule with `id` on the rolling actor or the assisting starship.
+ *
+ * @param {string} id
+ * @param {object} ctx - Middleware context.
+ * @returns {object|null}
+ */
+function _findRule(id, ctx) {
+  for (const actor of [ctx.actor, ctx.starship]) {
+    for (const talent of findTalents(actor)) {
+      const rule = getItemAutomations(talent).find((r) => r.id === id);
+      if (rule) return rule;
+    }
+  }
+  return null;
+}
+
+/** Empty lists match anything; otherwise `value` must be listed. */
+function _listMatches(list, value) {
+  if (!list.length) return true;
+  return value != null && list.includes(String(value).toLowerCase());
+}
+
+/**
+ * Conditions that can be checked before the dialog is filled in.
+ *
+ * @param {object} rule
+ * @param {object} ctx - Middleware context.
+ * @returns {boolean}
+ */
+function _contextMatches(rule, ctx) {
+  const c = rule.conditions;
+  if (c.shipAssist === "only" && !ctx.isShipAssist) return false;
+  if (c.shipAssist === "never" && ctx.isShipAssist) return false;
+  if (!_listMatches(c.actorTypes, ctx.actor?.type)) return false;
+  // Selections may not be made yet; only reject known mismatches.
+  if (
+    ctx.selectedAttribute &&
+    !_listMatches(c.attributes, ctx.selectedAttribute)
+  ) {
+    return false;
+  }
+  if (
+    ctx.selectedDiscipline &&
+    !_listMatches(c.disciplines, ctx.selectedDiscipline)
+  ) {
+    return false;
+  }
+  if (ctx.selectedSystem && !_listMatches(c.systems, ctx.selectedSystem)) {
+    return false;
+  }
+  if (
+    ctx.selectedDepartment &&
+    !_listMatches(c.departments, ctx.selectedDepartment)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Conditions on the assembled roll itself.
+ *
+ * @param {object} rule
+ * @param {object} taskData
+ * @returns {boolean}
+ */
+function _taskMatches(rule, taskData) {
+  const c = rule.conditions;
+  return (
+    _listMatches(c.attributes, taskData.selectedAttribute) &&
+    _listMatches(c.disciplines, taskData.selectedDiscipline) &&
+    _listMatches(c.systems, taskData.selectedSystem) &&
+    _listMatches(c.departments, taskData.selectedDepartment)
+  );
+}
+
+/**
+ * Apply a rule's effects to taskData.
+ *
+ * @param {object} rule
+ * @param {object} taskData
+ */
+function _applyEffects(rule, taskData) {
+  const { dicePool, complicationRange, difficulty } = rule.effects;
+  if (dicePool) {
+    taskData.dicePool = Math.clamp(
+      (Number(taskData.dicePool) || 1) + dicePool,
+      1,
+      MAX_DICE_POOL,
+    );
+  }
+  if (complicationRange) {
+    // Split-assist rolls read the crew's range from its own field.
+    const key =
+      taskData.characterComplicationRange != null
+        ? "characterComplicationRange"
+        : "complicationRange";
+    taskData[key] = Math.clamp(
+      (Number(taskData[key]) || 1) + complicationRange,
+      1,
+      MAX_COMPLICATION_RANGE,
+    );
+  }
+  if (difficulty) {
+    taskData.difficultyModifier =
+      (Number(taskData.difficultyModifier) || 0) + difficulty;
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Registration                                                       */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Register (or refresh the display fields of) the middleware entry for one
+ * rule.
+ *
+ * @param {object} rule - A normalized rule.
+ */
+function _registerRule(rule) {
+  const display = {
+    description: describeAutomation(rule),
+    showToggle: rule.mode === "toggle",
+    showInfo: rule.mode === "always",
+    defaultEnabled: rule.mode === "always" || rule.defaultEnabled,
+  };
+
+  const existing = _entries.get(rule.id);
+  if (existing) {
+    Object.assign(existing, { name: rule.label }, display);
+    return;
+  }
+
+  const entry = registerTaskDataMiddleware(
+    rule.label,
+    (taskData, ctx) => {
+      const current = _findRule(rule.id, ctx);
+      if (!current || !_contextMatches(current, ctx)) return;
+      if (!_taskMatches(current, taskData)) return;
+      _applyEffects(current, taskData);
+    },
+    {
+      ...display,
+      appliesTo: (ctx) => {
+        const current = _findRule(rule.id, ctx);
+        return !!current && _contextMatches(current, ctx);
+      },
+    },
+  );
+  _entries.set(rule.id, entry);
+}
+
+/**
+ * Register the rules on every talent an actor owns.
+ *
+ * @param {Actor} actor
+ */
+export function registerActorAutomations(actor) {
+  for (const talent of findTalents(actor)) {
+    for (const rule of getItemAutomations(talent)) _registerRule(rule);
+  }
+}
+
+/**
+ * Register rules from all world actors and the current scene's tokens, and
+ * keep the registry up to date as talents are added or edited.
+ * Called once during talent automation middleware registration.
+ */
+export function registerDeclarativeAutomations() {
+  const registerAll = () => {
+    for (const actor of game.actors ?? []) registerActorAutomations(actor);
+    for (const token of canvas?.scene?.tokens ?? []) {
+      if (!token.actorLink && token.actor) {
+        registerActorAutomations(token.actor);
+      }
+    }
+  };
+  registerAll();
+  Hooks.on("canvasReady", registerAll);
+
+  const onItemChange = (item) => {
+    if (item.type !== "talent") return;
+    for (const rule of getItemAutomations(item)) _registerRule(rule);
+  };
+  Hooks.on("createItem", onItemChange);
+  Hooks.on("updateItem", onItemChange);
+}
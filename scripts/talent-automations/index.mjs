@@ -6,4 +6,10 @@ export {
 } from "./talent-automations.mjs";
 export { registerExperimentalVessel } from "./experimental-vessel.mjs";
 export { registerAdvancedSensorSuite } from "./advanced-sensor-suite.mjs";
+export { registerBonusD20Talents } from "./bonus-d20-talents.mjs";
+export {
+  getItemAutomations,
+  registerActorAutomations,
+} from "./declarative-automations.mjs";
+export { TalentAutomationEditor } from "./automation-editor.mjs";
 import "./veteran.mjs";
@@ -80,6 +80,9 @@ export function initTalentAutomations() {
   // --- Import all sub-feature modules so they self-register ---
   _importSubFeatures();
 
+  // --- Declarative rule editor on talent item sheets ---
+  installAutomationEditorHook();
+
   // --- Item lifecycle hooks ---
   Hooks.on("createItem", async (item, _options, userId) => {
     if (game.user.id !== userId) return;
@@ -144,6 +147,9 @@ function _normalise(name) {
 
 import { registerExperimentalVessel } from "./experimental-vessel.mjs";
 import { registerAdvancedSensorSuite } from "./advanced-sensor-suite.mjs";
+import { registerDeclarativeAutomations } from "./declarative-automations.mjs";
+import { registerBonusD20Talents } from "./bonus-d20-talents.mjs";
+import { installAutomationEditorHook } from "./automation-editor.mjs";
 
 /**
  * Import all sub-feature modules.
@@ -163,4 +169,6 @@ function _importSubFeatures() {
 export function registerAllMiddleware() {
   registerExperimentalVessel();
   registerAdvancedSensorSuite();
+  registerBonusD20Talents();
+  registerDeclarativeAutomations();
 }
@@ -235,6 +235,7 @@ export async function openIncidentalNpcRollDialog() {
     usingReservePower,
     complicationRange,
     skillLevel: formData.get("incidentalQuality") || defaultQuality.key,
+    difficulty: dialogResult.difficulty,
   };
 
   const middlewareContext = {
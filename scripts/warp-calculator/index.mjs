@@ -8,8 +8,22 @@ export {
   calculateTime,
   calculateWarpFactor,
   calculateWarpTrip,
+  calculateWarpRoute,
   parseTravelTime,
   formatTravelTime,
   openWarpCalculator,
+  openWarpRoutePlanner,
   warpCalculator,
 } from "./warp-calculator.mjs";
+export {
+  STAR_CHART_SETTING,
+  findStarChartLocation,
+  getStarChart,
+  starChartDistance,
+} from "./star-chart.mjs";
+export { StarChartEditor } from "./star-chart-editor.mjs";
+export {
+  assessWarpStrain,
+  getWarpRatings,
+  getWarpVessel,
+} from "./warp-vessel.mjs";
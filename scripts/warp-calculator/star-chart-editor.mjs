@@ -0,0 +1,179 @@
+/**
+ * Star Chart – Editor
+ *
+ * GM settings menu for the world's star chart (see star-chart.mjs): add,
+ * rename and move locations, and import or export the chart as JSON.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t, tf } from "../core/i18n.mjs";
+import {
+  exportStarChart,
+  getDefaultStarChart,
+  getStarChart,
+  parseStarChart,
+  saveStarChart,
+} from "./star-chart.mjs";
+
+const fapi = foundry.applications.api;
+
+/**
+ * Settings menu for editing the star chart.
+ */
+export class StarChartEditor extends fapi.HandlebarsApplicationMixin(
+  fapi.ApplicationV2,
+) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-star-chart`,
+    classes: ["sta-utils", "sta-star-chart-editor", "standard-form"],
+    tag: "form",
+    position: { width: 560, height: "auto" },
+    window: {
+      icon: "fa-solid fa-map-location-dot",
+      title: "sta-utils.warpCalculator.starChart.title",
+      resizable: true,
+    },
+    form: {
+      handler: StarChartEditor.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      addLocation: StarChartEditor.#onAddLocation,
+      deleteLocation: StarChartEditor.#onDeleteLocation,
+      resetChart: StarChartEditor.#onReset,
+      importChart: StarChartEditor.#onImport,
+      exportChart: StarChartEditor.#onExport,
+    },
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/star-chart-editor.hbs`,
+      root: true,
+    },
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.locations = getStarChart();
+  }
+
+  async _prepareContext() {
+    return {
+      locations: this.locations.map((location, index) => ({
+        ...location,
+        index,
+      })),
+    };
+  }
+
+  /**
+   * Read the locations currently entered in the form.  Rows are in the
+   * order of `this.locations`.
+   *
+   * @param {object} [object] - Already-parsed form values.
+   * @returns {object[]}
+   */
+  _readLocations(object) {
+    const data = foundry.utils.expandObject(
+      object ??
+        new foundry.applications.ux.FormDataExtended(this.element).object,
+    );
+    return this.locations.map((location, index) => {
+      const row = data.locations?.[index] ?? {};
+      return {
+        ...location,
+        name: row.name ?? location.name,
+        x: row.x ?? location.x,
+        y: row.y ?? location.y,
+        z: row.z ?? location.z,
+      };
+    });
+  }
+
+  static #onAddLocation() {
+    this.locations = this._readLocations();
+    this.locations.push({ id: "", name: "", x: 0, y: 0, z: 0 });
+    this.render();
+  }
+
+  static #onDeleteLocation(_event, target) {
+    this.locations = this._readLocations();
+    this.locations.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  static async #onReset() {
+    const confirmed = await fapi.DialogV2.confirm({
+      window: { title: t("sta-utils.warpCalculator.starChart.reset") },
+      content: `<p>${t("sta-utils.warpCalculator.starChart.resetConfirm")}</p>`,
+    });
+    if (!confirmed) return;
+    this.locations = getDefaultStarChart();
+    this.render();
+  }
+
+  static async #onImport() {
+    const file = await fapi.DialogV2.wait({
+      window: {
+        title: t("sta-utils.warpCalculator.starChart.import"),
+        icon: "fa-solid fa-file-import",
+      },
+      content: `<div class="form-group">
+          <label>${t("sta-utils.warpCalculator.starChart.file")}</label>
+          <input type="file" name="file" accept=".json,application/json" />
+        </div>`,
+      buttons: [
+        {
+          action: "import",
+          label: t("sta-utils.warpCalculator.starChart.import"),
+          icon: "fas fa-file-import",
+          default: true,
+          callback: (_event, _button, dialog) =>
+            dialog.element.querySelector("[name=file]")?.files?.[0] ?? null,
+        },
+        {
+          action: "cancel",
+          label: game.i18n.localize("Cancel"),
+          icon: "fas fa-times",
+          callback: () => null,
+        },
+      ],
+      rejectClose: false,
+    });
+    if (!file) return;
+
+    let imported;
+    try {
+      imported = parseStarChart(await foundry.utils.readTextFromFile(file));
+    } catch (_) {
+      ui.notifications.error(
+        t("sta-utils.warpCalculator.starChart.invalidFile"),
+      );
+      return;
+    }
+
+    // Imported locations replace entered ones of the same name.
+    const names = new Set(imported.map((l) => l.name.toLowerCase()));
+    this.locations = [
+      ...this._readLocations().filter((l) => !names.has(l.name.toLowerCase())),
+      ...imported,
+    ];
+    ui.notifications.info(
+      tf("sta-utils.warpCalculator.starChart.imported", {
+        count: imported.length,
+      }),
+    );
+    this.render();
+  }
+
+  static #onExport() {
+    exportStarChart(this._readLocations());
+  }
+
+  static async #onSubmit(_event, _form, formData) {
+    this.locations = this._readLocations(formData.object);
+    await saveStarChart(this.locations);
+    ui.notifications.info(t("sta-utils.warpCalculator.starChart.saved"));
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Star Chart
+ *
+ * Named locations with 3D coordinates, so the warp calculators can work
+ * out the distance between two places instead of the user typing it.
+ * Coordinates are in light-years with Sol at the origin.  The built-in
+ * chart holds well-known Federation-era locations at approximate
+ * positions; the GM can move them and add campaign locations of their own
+ * through the star chart editor, and export or import the chart as JSON to
+ * share it between worlds.  Stored in the "starChart" world setting:
+ *
+ * ```js
+ * {
+ *   version: 1,
+ *   locations: [
+ *     { id: "vulcan", name: "Vulcan", x: 7.2, y: -14.1, z: -2.2 },
+ *   ],
+ * }
+ * ```
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+
+export const STAR_CHART_SETTING = "starChart";
+const CHART_VERSION = 1;
+
+/** Type tag of exported chart files. */
+const EXPORT_TYPE = "sta-utils-star-chart";
+
+/** Approximate positions of well-known locations, in light-years from Sol. */
+const BUILTIN_LOCATIONS = [
+  { name: "Earth", x: 0, y: 0, z: 0 },
+  { name: "Vulcan", x: 7.2, y: -14.1, z: -2.2 },
+  { name: "Andoria", x: 5.7, y: -3, z: -10 },
+  { name: "Tellar Prime", x: 6.5, y: 6.1, z: 7.1 },
+  { name: "Betazed", x: -18, y: 20, z: -9 },
+  { name: "Risa", x: -40, y: 80, z: 10 },
+  { name: "Bajor", x: -30, y: -42, z: 5 },
+  { name: "Deep Space 9", x: -30.2, y: -42.3, z: 5 },
+  { name: "Cardassia Prime", x: -36, y: -48, z: 4 },
+  { name: "Ferenginar", x: -110, y: -60, z: 15 },
+  { name: "Qo'noS", x: -72, y: 84, z: 12 },
+  { name: "Romulus", x: 130, y: 160, z: -20 },
+];
+
+/* ------------------------------------------------------------------ */
+/*  Normalization                                                      */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Turn a location name into an id.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function _slug(value) {
+  return String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number}
+ */
+function _coordinate(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * Normalize a star chart: drop unnamed and duplicate locations.  A chart
+ * with no location list at all is the built-in chart.
+ *
+ * @param {object} raw
+ * @returns {{ version: number, locations: object[] }}
+ */
+export function normalizeStarChart(raw) {
+  const source = Array.isArray(raw?.locations)
+    ? raw.locations
+    : BUILTIN_LOCATIONS;
+  const locations = [];
+  const ids = new Set();
+  for (const entry of source) {
+    const name = String(entry?.name ?? "").trim();
+    const id = _slug(entry?.id) || _slug(name);
+    if (!name || !id || ids.has(id)) continue;
+    ids.add(id);
+    locations.push({
+      id,
+      name,
+      x: _coordinate(entry.x),
+      y: _coordinate(entry.y),
+      z: _coordinate(entry.z),
+    });
+  }
+  return { version: CHART_VERSION, locations };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Reading & writing                                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * The built-in locations, ignoring any world customisation.
+ *
+ * @returns {object[]}
+ */
+export function getDefaultStarChart() {
+  return normalizeStarChart({}).locations;
+}
+
+/**
+ * The world's star chart locations.
+ *
+ * @returns {object[]}
+ */
+export function getStarChart() {
+  let stored = null;
+  try {
+    stored = game.settings.get(MODULE_ID, STAR_CHART_SETTING);
+  } catch (_) {
+    // Setting not registered (e.g. before init) — use the built-in chart.
+  }
+  return normalizeStarChart(stored).locations;
+}
+
+/**
+ * Store a list of locations as the world's star chart.
+ *
+ * @param {object[]} locations
+ */
+export async function saveStarChart(locations) {
+  await game.settings.set(
+    MODULE_ID,
+    STAR_CHART_SETTING,
+    normalizeStarChart({ locations }),
+  );
+}
+
+/**
+ * Find a location by name or id, ignoring case.
+ *
+ * @param {string} nameOrId
+ * @param {object[]} [locations] - Defaults to the world's star chart.
+ * @returns {object|null}
+ */
+export function findStarChartLocation(nameOrId, locations = getStarChart()) {
+  const key = String(nameOrId ?? "")
+    .trim()
+    .toLowerCase();
+  if (!key) return null;
+  return (
+    locations.find(
+      (location) =>
+        location.name.toLowerCase() === key || location.id === _slug(key),
+    ) ?? null
+  );
+}
+
+/**
+ * Distance between two charted locations.
+ *
+ * @param {string} from - Name or id.
+ * @param {string} to - Name or id.
+ * @returns {number|null} Light-years, or null when either isn't charted.
+ */
+export function starChartDistance(from, to) {
+  const locations = getStarChart();
+  const a = findStarChartLocation(from, locations);
+  const b = findStarChartLocation(to, locations);
+  if (!a || !b) return null;
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Files                                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Download locations as a JSON file.
+ *
+ * @param {object[]} locations
+ */
+export function exportStarChart(locations) {
+  const payload = {
+    type: EXPORT_TYPE,
+    ...normalizeStarChart({ locations }),
+  };
+  foundry.utils.saveDataToFile(
+    JSON.stringify(payload, null, 2),
+    "application/json",
+    `${MODULE_ID}-star-chart.json`,
+  );
+}
+
+/**
+ * Read the locations from an exported chart file.  Plain
+ * `{ locations: [...] }` objects and bare location arrays are accepted
+ * too, for charts written by hand.
+ *
+ * @param {string} text
+ * @returns {object[]}
+ * @throws {SyntaxError} When the text is not a star chart.
+ */
+export function parseStarChart(text) {
+  const payload = JSON.parse(text);
+  const locations = Array.isArray(payload) ? payload : payload?.locations;
+  if (!Array.isArray(locations)) throw new SyntaxError("Not a star chart");
+  return normalizeStarChart({ locations }).locations;
+}
+
+/**
+ * Macro-facing star chart API, exposed as `game.staUtils.warpCalculator.starChart`.
+ *
+ * @example
+ * game.staUtils.warpCalculator.starChart.distance("Earth", "Vulcan"); // ≈ 16
+ */
+export const starChartApi = {
+  locations: getStarChart,
+  find: (nameOrId) => findStarChartLocation(nameOrId),
+  distance: starChartDistance,
+};
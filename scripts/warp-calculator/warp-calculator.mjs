@@ -10,7 +10,23 @@
  */
 
 import { MODULE_ID } from "../core/constants.mjs";
-import { t } from "../core/i18n.mjs";
+import { t, tf } from "../core/i18n.mjs";
+import { worldTimeToStardate } from "../stardate/stardate-systems.mjs";
+import { advanceWorldTime } from "../stardate-display/world-time.mjs";
+import {
+  getStarChart,
+  starChartApi,
+  starChartDistance,
+} from "./star-chart.mjs";
+import {
+  assessWarpStrain,
+  bindWarpVesselControls,
+  getWarpRatings,
+  getWarpVessel,
+  getWarpVesselContext,
+  warpStrainHtml,
+  warpStrainLabel,
+} from "./warp-vessel.mjs";
 
 // ─────────────────────────────────────────────────────────────────────────────
 // CONSTANTS
@@ -393,7 +409,7 @@ class WarpCalculatorApp extends Base {
     super(options);
     this._resolve = typeof resolve === "function" ? resolve : null;
     this._resolved = false;
-    this._values = { warp: "", distance: "", time: "" };
+    this._values = { warp: "", distance: "", time: "", from: "", to: "" };
     this._formulaType = getConfiguredFormula();
   }
 
@@ -423,12 +439,19 @@ class WarpCalculatorApp extends Base {
         days: t("sta-utils.warpCalculator.days"),
         enterTwoValues: t("sta-utils.warpCalculator.enterTwoValues"),
         sendToChat: t("sta-utils.warpCalculator.sendToChat"),
+        advanceTime: t("sta-utils.warpCalculator.advanceTime"),
         close: t("sta-utils.warpCalculator.close"),
         formulaTng: t("sta-utils.warpCalculator.formulaTng"),
         formulaTos: t("sta-utils.warpCalculator.formulaTos"),
+        from: t("sta-utils.warpCalculator.starChart.from"),
+        chartPlaceholder: t("sta-utils.warpCalculator.starChart.placeholder"),
       },
       values: this._values,
       formulaType: this._formulaType,
+      isGM: game.user.isGM,
+      locations: getStarChart(),
+      datalistId: `${this.id}-locations`,
+      vessel: getWarpVesselContext(),
     };
   }
 
@@ -461,10 +484,14 @@ class WarpCalculatorApp extends Base {
     const warpInput = root.querySelector('input[name="warp"]');
     const distanceInput = root.querySelector('input[name="distance"]');
     const timeInput = root.querySelector('input[name="time"]');
+    const fromInput = root.querySelector('input[name="from"]');
+    const toInput = root.querySelector('input[name="to"]');
     const resultsDiv = root.querySelector('[data-hook="results"]');
     const sendButton = root.querySelector('button[data-action="send"]');
+    const advanceButton = root.querySelector('button[data-action="advance"]');
     const closeButton = root.querySelector('button[data-action="close"]');
     const formulaRadios = root.querySelectorAll('input[name="formula"]');
+    let trip = null;
 
     const updateCalculation = () => {
       const warp = parseFloat(warpInput?.value) || null;
@@ -476,14 +503,43 @@ class WarpCalculatorApp extends Base {
         warp: warpInput?.value ?? "",
         distance: distanceInput?.value ?? "",
         time: timeInput?.value ?? "",
+        from: fromInput?.value ?? "",
+        to: toInput?.value ?? "",
       };
 
       const result = computeResults(warp, distance, time, this._formulaType);
       if (resultsDiv) resultsDiv.innerHTML = result.html;
+
+      // Flag warp factors that strain the chosen vessel's engines
+      const vessel = getWarpVessel();
+      const strain = result.valid
+        ? assessWarpStrain(result.trip.warp, getWarpRatings(vessel))
+        : null;
+      if (strain && resultsDiv) {
+        resultsDiv.insertAdjacentHTML(
+          "beforeend",
+          warpStrainHtml(strain, vessel),
+        );
+      }
       if (sendButton) sendButton.disabled = !result.valid;
+      trip = result.valid ? result.trip : null;
+      if (advanceButton) advanceButton.disabled = !trip;
+    };
+
+    bindWarpVesselControls(root, () => this.render());
+
+    // Fill in the distance between two charted locations
+    const updateChartDistance = () => {
+      const distance = starChartDistance(fromInput?.value, toInput?.value);
+      if (distance !== null && distanceInput) {
+        distanceInput.value = String(Math.round(distance * 100) / 100);
+      }
+      updateCalculation();
     };
 
     // Bind input events for real-time updates
+    fromInput?.addEventListener("input", updateChartDistance);
+    toInput?.addEventListener("input", updateChartDistance);
     warpInput?.addEventListener("input", updateCalculation);
     distanceInput?.addEventListener("input", updateCalculation);
     timeInput?.addEventListener("input", updateCalculation);
@@ -500,11 +556,32 @@ class WarpCalculatorApp extends Base {
     sendButton?.addEventListener("click", async (ev) => {
       ev.preventDefault();
       const resultsHtml = resultsDiv?.innerHTML ?? "";
-      sendResultsToChat(resultsHtml);
+      const charted =
+        starChartDistance(fromInput?.value, toInput?.value) !== null;
+      sendResultsToChat(
+        resultsHtml,
+        charted ? `${fromInput.value.trim()} → ${toInput.value.trim()}` : "",
+      );
       this._resolveOnce(true);
       await this.close();
     });
 
+    // Advance the world clock by the trip's travel time (GM only)
+    advanceButton?.addEventListener("click", async (ev) => {
+      ev.preventDefault();
+      if (!trip) return;
+      const advanced = await advanceWorldTime(trip.time * SECONDS_PER_DAY, {
+        reason: tf("sta-utils.warpCalculator.advanceReason", {
+          warp: formatNumber(trip.warp, 2),
+          distance: formatNumber(trip.distance, 2),
+        }),
+      });
+      if (advanced) {
+        this._resolveOnce(true);
+        await this.close();
+      }
+    });
+
     closeButton?.addEventListener("click", async (ev) => {
       ev.preventDefault();
       this._resolveOnce(false);
@@ -642,13 +719,68 @@ export function calculateWarpTrip({
   };
 }
 
+/**
+ * Plan a route of several warp legs, each flown at its own warp factor.
+ * A leg's stopover is time spent at its destination before the next leg
+ * departs, so the last leg's stopover is not counted.  Times are in days,
+ * measured from departure.
+ *
+ * @param {{legs: {name?: string, distance: number|null, warp: number|null, stopover?: number|null}[], formulaType?: "tng"|"tos"}} route
+ * @returns {{valid: boolean, legs: {name: string, distance: number|null, warp: number|null, time: number|null, stopover: number, departure: number, arrival: number, valid: boolean}[], distance: number, travelTime: number, stopoverTime: number, totalTime: number}}
+ */
+export function calculateWarpRoute({ legs = [], formulaType = "tng" } = {}) {
+  const planned = [];
+  let clock = 0;
+  let distance = 0;
+  let travelTime = 0;
+  let stopoverTime = 0;
+
+  legs.forEach((leg, index) => {
+    const trip = calculateWarpTrip({
+      warp: leg.warp ?? null,
+      distance: leg.distance ?? null,
+      formulaType,
+    });
+    const isLast = index === legs.length - 1;
+    const stopover = !isLast && leg.stopover > 0 ? leg.stopover : 0;
+    const departure = clock;
+    const time = trip.valid ? trip.time : null;
+    if (trip.valid) {
+      clock += time;
+      distance += trip.distance;
+      travelTime += time;
+    }
+    planned.push({
+      name: String(leg.name ?? "").trim(),
+      distance: leg.distance ?? null,
+      warp: leg.warp ?? null,
+      time,
+      stopover,
+      departure,
+      arrival: clock,
+      valid: trip.valid,
+    });
+    clock += stopover;
+    stopoverTime += stopover;
+  });
+
+  return {
+    valid: planned.length > 0 && planned.every((leg) => leg.valid),
+    legs: planned,
+    distance,
+    travelTime,
+    stopoverTime,
+    totalTime: travelTime + stopoverTime,
+  };
+}
+
 /**
  * Compute results based on which two values are provided.
  * @param {number|null} warp
  * @param {number|null} distance
  * @param {number|null} time
  * @param {string} formulaType - 'tng' or 'tos'
- * @returns {{html: string, valid: boolean}}
+ * @returns {{html: string, valid: boolean, trip?: object}}
  */
 function computeResults(warp, distance, time, formulaType = "tng") {
   const result = calculateWarpTrip({ warp, distance, time, formulaType });
@@ -707,17 +839,19 @@ function computeResults(warp, distance, time, formulaType = "tng") {
     </div>
   `;
 
-  return { html, valid: true };
+  return { html, valid: true, trip: result };
 }
 
 /**
  * Send the calculated results to chat.
  * @param {string} resultsHtml - The HTML content of the results
+ * @param {string} [route] - "From → To", when taken from the star chart
  */
-function sendResultsToChat(resultsHtml) {
+function sendResultsToChat(resultsHtml, route = "") {
   const content = `
     <div class="sta-utils-chat-card sta-utils-chat-card--blue">
       <h3><i class="fas fa-rocket"></i> ${t("sta-utils.warpCalculator.title")}</h3>
+      ${route ? `<p><strong>${foundry.utils.escapeHTML(route)}</strong></p>` : ""}
       ${resultsHtml}
     </div>
   `;
@@ -728,6 +862,323 @@ function sendResultsToChat(resultsHtml) {
   });
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// ROUTE PLANNER
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Engine strain levels, mildest first. */
+const STRAIN_ORDER = ["aboveCruise", "maximum", "beyondMaximum"];
+
+/**
+ * A leg as entered in the route planner.
+ * @returns {{name: string, distance: number|null, warp: number|null, stopover: string}}
+ */
+function emptyRouteLeg() {
+  return { name: "", distance: null, warp: null, stopover: "" };
+}
+
+/**
+ * Plan an entered route.  Legs without a distance between two charted
+ * locations take it from the star chart.
+ * @param {{origin: string, legs: object[], formulaType: string}} route - As entered in the route planner.
+ * @returns {ReturnType<typeof calculateWarpRoute>}
+ */
+function planRoute(route) {
+  return calculateWarpRoute({
+    formulaType: route.formulaType,
+    legs: route.legs.map((leg, index) => ({
+      name: leg.name,
+      distance:
+        leg.distance ??
+        starChartDistance(
+          index ? route.legs[index - 1].name : route.origin,
+          leg.name,
+        ),
+      warp: leg.warp,
+      stopover: parseTravelTime(leg.stopover) ?? 0,
+    })),
+  });
+}
+
+/**
+ * Build the itinerary table for a planned route, with stardates counted
+ * from the given world time.
+ * @param {object} route - As entered in the route planner.
+ * @param {ReturnType<typeof calculateWarpRoute>} plan
+ * @param {number} startTime - World time of departure, in seconds.
+ * @param {Actor|null} [vessel] - Legs that strain its engines are flagged.
+ * @returns {string}
+ */
+function itineraryHtml(route, plan, startTime, vessel = null) {
+  const esc = foundry.utils.escapeHTML;
+  const stardateAt = (days) =>
+    worldTimeToStardate(startTime + days * SECONDS_PER_DAY);
+  const legName = (leg, index) =>
+    esc(
+      leg.name ||
+        tf("sta-utils.warpCalculator.route.waypointN", { n: index + 1 }),
+    );
+
+  const ratings = getWarpRatings(vessel);
+  const strains = new Set();
+
+  const rows = [
+    `<tr class="sta-warp-itinerary-origin">
+      <td>${esc(route.origin || t("sta-utils.warpCalculator.route.originDefault"))}</td>
+      <td colspan="3">${t("sta-utils.warpCalculator.route.departure")}</td>
+      <td>${stardateAt(0)}</td>
+    </tr>`,
+  ];
+  plan.legs.forEach((leg, index) => {
+    const strain = assessWarpStrain(leg.warp, ratings);
+    if (strain) strains.add(strain);
+    const flag = strain
+      ? ` <i class="fa-solid fa-triangle-exclamation sta-warp-strain-flag" data-strain="${strain}" data-tooltip="${warpStrainLabel(strain)}"></i>`
+      : "";
+    rows.push(`<tr>
+      <td>${legName(leg, index)}</td>
+      <td>${formatNumber(leg.warp, 2)}${flag}</td>
+      <td>${formatNumber(leg.distance, 2)} ${t("sta-utils.warpCalculator.ly")}</td>
+      <td>${formatTime(leg.time)}</td>
+      <td>${stardateAt(leg.arrival)}</td>
+    </tr>`);
+    if (leg.stopover) {
+      rows.push(`<tr class="sta-warp-itinerary-stopover">
+        <td colspan="3">${tf("sta-utils.warpCalculator.route.stopoverAt", {
+          name: legName(leg, index),
+        })}</td>
+        <td>${formatTime(leg.stopover)}</td>
+        <td>${stardateAt(leg.arrival + leg.stopover)}</td>
+      </tr>`);
+    }
+  });
+
+  return `
+    <table class="sta-warp-itinerary">
+      <thead>
+        <tr>
+          <th>${t("sta-utils.warpCalculator.route.waypoint")}</th>
+          <th>${t("sta-utils.warpCalculator.route.warp")}</th>
+          <th>${t("sta-utils.warpCalculator.distance")}</th>
+          <th>${t("sta-utils.warpCalculator.time")}</th>
+          <th>${t("sta-utils.warpCalculator.route.stardate")}</th>
+        </tr>
+      </thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>
+    <p class="sta-warp-itinerary-total">${tf(
+      "sta-utils.warpCalculator.route.total",
+      {
+        distance: formatNumber(plan.distance, 2),
+        travel: formatTime(plan.travelTime),
+        stopovers: formatTime(plan.stopoverTime),
+        stardate: stardateAt(plan.totalTime),
+      },
+    )}</p>
+    ${STRAIN_ORDER.filter((strain) => strains.has(strain))
+      .map((strain) => warpStrainHtml(strain, vessel))
+      .join("")}
+  `;
+}
+
+/**
+ * Title for a route: origin to final destination.
+ * @param {object} route - As entered in the route planner.
+ * @returns {string}
+ */
+function routeTitle(route) {
+  const last = route.legs.length - 1;
+  return tf("sta-utils.warpCalculator.route.routeTitle", {
+    origin: route.origin || t("sta-utils.warpCalculator.route.originDefault"),
+    destination:
+      route.legs[last]?.name ||
+      tf("sta-utils.warpCalculator.route.waypointN", { n: last + 1 }),
+  });
+}
+
+/**
+ * Warp Route Planner Application.
+ * Lists waypoints with the distance, warp factor and stopover for each leg,
+ * and totals the trip with arrival stardates from the current world time.
+ */
+class WarpRoutePlannerApp extends Base {
+  constructor(options = {}) {
+    super(options);
+    this.route = {
+      origin: "",
+      formulaType: getConfiguredFormula(),
+      legs: [emptyRouteLeg()],
+    };
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-warp-route-planner`,
+    tag: "form",
+    window: {
+      title: "sta-utils.warpCalculator.route.title",
+      icon: "fa-solid fa-route",
+      resizable: true,
+    },
+    classes: ["sta-utils", "sta-warp-calculator-dialog", "sta-utils-ms-lcars"],
+    position: { width: 600, height: "auto" },
+    actions: {
+      addLeg: WarpRoutePlannerApp.#onAddLeg,
+      removeLeg: WarpRoutePlannerApp.#onRemoveLeg,
+      sendRoute: WarpRoutePlannerApp.#onSendRoute,
+      saveRoute: WarpRoutePlannerApp.#onSaveRoute,
+    },
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/warp-route-planner.hbs`,
+    },
+  };
+
+  async _prepareContext(_options) {
+    const { legs } = this.route;
+    return {
+      route: this.route,
+      legs: legs.map((leg, index) => ({
+        ...leg,
+        index,
+        isLast: index === legs.length - 1,
+      })),
+      singleLeg: legs.length === 1,
+      maxWarp: this.route.formulaType === "tos" ? 100 : 9.99,
+      canSaveJournal: game.user.can("JOURNAL_CREATE"),
+      locations: getStarChart(),
+      datalistId: `${this.id}-locations`,
+      vessel: getWarpVesselContext(),
+    };
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender?.(context, options);
+    // The form element outlives re-renders, so this is bound once.
+    this.element.addEventListener("input", () => {
+      this.route = this._readRoute();
+      this._updateResults();
+    });
+  }
+
+  _onRender(context, options) {
+    super._onRender?.(context, options);
+    // The warp factor limit depends on the formula.
+    for (const radio of this.element.querySelectorAll('[name="formula"]')) {
+      radio.addEventListener("change", () => {
+        this.route = this._readRoute();
+        this.render();
+      });
+    }
+    bindWarpVesselControls(this.element, () => {
+      this.route = this._readRoute();
+      this.render();
+    });
+    this._updateResults();
+  }
+
+  /**
+   * Read the route currently entered in the form.
+   * @returns {{origin: string, formulaType: string, legs: object[]}}
+   */
+  _readRoute() {
+    const data = foundry.utils.expandObject(
+      new foundry.applications.ux.FormDataExtended(this.element).object,
+    );
+    const number = (value) => {
+      const n = parseFloat(value);
+      return Number.isFinite(n) ? n : null;
+    };
+    return {
+      origin: String(data.origin ?? "").trim(),
+      formulaType: data.formula === "tos" ? "tos" : "tng",
+      legs: this.route.legs.map((leg, index) => {
+        const row = data.legs?.[index] ?? {};
+        return {
+          name: String(row.name ?? leg.name).trim(),
+          distance: number(row.distance),
+          warp: number(row.warp),
+          stopover: String(row.stopover ?? leg.stopover),
+        };
+      }),
+    };
+  }
+
+  /** Show the itinerary for the entered route. */
+  _updateResults() {
+    const resultsDiv = this.element.querySelector('[data-hook="results"]');
+    const plan = planRoute(this.route);
+    if (resultsDiv) {
+      resultsDiv.innerHTML = plan.valid
+        ? itineraryHtml(this.route, plan, game.time.worldTime, getWarpVessel())
+        : `<div class="sta-warp-result-placeholder">${t("sta-utils.warpCalculator.route.incomplete")}</div>`;
+    }
+    for (const button of this.element.querySelectorAll("[data-needs-route]")) {
+      button.disabled = !plan.valid;
+    }
+  }
+
+  static #onAddLeg() {
+    this.route = this._readRoute();
+    this.route.legs.push(emptyRouteLeg());
+    this.render();
+  }
+
+  static #onRemoveLeg(_event, target) {
+    this.route = this._readRoute();
+    if (this.route.legs.length <= 1) return;
+    this.route.legs.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  static async #onSendRoute() {
+    const plan = planRoute(this.route);
+    if (!plan.valid) return;
+    await ChatMessage.create({
+      content: `
+        <div class="sta-utils-chat-card sta-utils-chat-card--blue">
+          <h3><i class="fas fa-route"></i> ${foundry.utils.escapeHTML(routeTitle(this.route))}</h3>
+          ${itineraryHtml(this.route, plan, game.time.worldTime, getWarpVessel())}
+        </div>
+      `,
+      speaker: ChatMessage.getSpeaker(),
+    });
+  }
+
+  static async #onSaveRoute() {
+    const plan = planRoute(this.route);
+    if (!plan.valid) return;
+    const name = routeTitle(this.route);
+    const entry = await JournalEntry.implementation.create({
+      name,
+      pages: [
+        {
+          name,
+          type: "text",
+          text: {
+            content: itineraryHtml(
+              this.route,
+              plan,
+              game.time.worldTime,
+              getWarpVessel(),
+            ),
+          },
+        },
+      ],
+    });
+    entry?.sheet.render(true);
+  }
+}
+
+/**
+ * Open the Warp Route Planner.
+ * @returns {Promise<WarpRoutePlannerApp>}
+ */
+export async function openWarpRoutePlanner() {
+  return new WarpRoutePlannerApp().render(true);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // EXPORTS FOR API
 // ─────────────────────────────────────────────────────────────────────────────
@@ -740,6 +1191,9 @@ export const warpCalculator = {
   calculateTime,
   calculateWarpFactor,
   calculateTrip: calculateWarpTrip,
+  calculateRoute: calculateWarpRoute,
+  openRoutePlanner: openWarpRoutePlanner,
+  starChart: starChartApi,
   parseTravelTime,
   formatTravelTime,
 };
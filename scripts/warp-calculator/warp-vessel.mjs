@@ -0,0 +1,174 @@
+/**
+ * Warp Calculator – Vessel
+ *
+ * Ties the warp calculators to a starship.  A ship's cruise and maximum
+ * warp are stored on `actor.system.warp` (UtilsStarshipData); legs flown
+ * faster than cruise are flagged, with the engine strain that sustained
+ * high warp suggests at the table:
+ *
+ *   - above cruise:    sustainable, but each day calls for an Engines task
+ *   - maximum warp:    only for a short time; an Engines task every few
+ *                      hours, and a complication on failure
+ *   - beyond maximum:  pushing the engines past their rating; a hard
+ *                      Engines task, with damage to the Engines on failure
+ *
+ * The vessel each user picked is remembered per user, falling back to the
+ * group ship.
+ */
+
+import { MODULE_ID } from "../core/constants.mjs";
+import { t, tf } from "../core/i18n.mjs";
+import { getGroupShipActorId } from "../core/settings.mjs";
+
+/** User flag holding the vessel last picked in a warp calculator. */
+const VESSEL_FLAG = "warpCalculatorShip";
+
+/** Warp factors closer than this count as equal. */
+const WARP_EPSILON = 0.005;
+
+/** Difficulty of the suggested Engines task for each strain level. */
+const STRAIN_DIFFICULTY = {
+  aboveCruise: 1,
+  maximum: 2,
+  beyondMaximum: 4,
+};
+
+/**
+ * Starships this user can see, for the vessel select.
+ * @returns {Actor[]}
+ */
+export function getWarpVesselChoices() {
+  return game.actors
+    .filter(
+      (actor) =>
+        actor.type === "starship" &&
+        actor.testUserPermission(game.user, "OBSERVER"),
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * The vessel this user last picked, else the group ship.
+ * @returns {Actor|null}
+ */
+export function getWarpVessel() {
+  const choices = getWarpVesselChoices();
+  const remembered = game.user.getFlag(MODULE_ID, VESSEL_FLAG);
+  const id = remembered === undefined ? getGroupShipActorId() : remembered;
+  return choices.find((actor) => actor.id === id) ?? null;
+}
+
+/**
+ * Remember this user's vessel.  An empty id means no vessel.
+ * @param {string} actorId
+ */
+export async function setWarpVessel(actorId) {
+  await game.user.setFlag(MODULE_ID, VESSEL_FLAG, actorId ?? "");
+}
+
+/**
+ * A ship's warp ratings.  Either may be null when not set on the ship.
+ * @param {Actor|null} actor
+ * @returns {{cruise: number|null, maximum: number|null}}
+ */
+export function getWarpRatings(actor) {
+  const warp = actor?.system?.warp ?? {};
+  const rating = (value) =>
+    Number.isFinite(value) && value > 0 ? Number(value) : null;
+  return { cruise: rating(warp.cruise), maximum: rating(warp.maximum) };
+}
+
+/**
+ * How hard a warp factor pushes a ship's engines.
+ * @param {number|null} warp
+ * @param {{cruise: number|null, maximum: number|null}} ratings
+ * @returns {"aboveCruise"|"maximum"|"beyondMaximum"|null} Null within cruise speed.
+ */
+export function assessWarpStrain(warp, { cruise, maximum }) {
+  if (!Number.isFinite(warp)) return null;
+  if (maximum !== null) {
+    if (warp > maximum + WARP_EPSILON) return "beyondMaximum";
+    if (warp >= maximum - WARP_EPSILON) return "maximum";
+  }
+  if (cruise !== null && warp > cruise + WARP_EPSILON) return "aboveCruise";
+  return null;
+}
+
+/**
+ * Short label for a strain level, for flagging legs.
+ * @param {string} strain
+ * @returns {string}
+ */
+export function warpStrainLabel(strain) {
+  return t(`sta-utils.warpCalculator.vessel.strain.${strain}.label`);
+}
+
+/**
+ * The in-rules consequences of a strain level for a ship.
+ * @param {string} strain
+ * @param {Actor|null} actor
+ * @returns {string} HTML.
+ */
+export function warpStrainHtml(strain, actor) {
+  const engines = actor?.system?.systems?.engines?.value;
+  return `
+    <div class="sta-warp-strain" data-strain="${strain}">
+      <strong><i class="fa-solid fa-triangle-exclamation"></i> ${warpStrainLabel(strain)}</strong>
+      <p>${tf(`sta-utils.warpCalculator.vessel.strain.${strain}.hint`, {
+        difficulty: STRAIN_DIFFICULTY[strain],
+        engines: Number.isFinite(engines) ? engines : "—",
+      })}</p>
+    </div>
+  `;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Calculator controls                                                */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Template data for the vessel controls of a warp calculator.
+ * @returns {{id: string, choices: Record<string, string>, cruise: number|null, maximum: number|null, locked: boolean}}
+ */
+export function getWarpVesselContext() {
+  const vessel = getWarpVessel();
+  return {
+    id: vessel?.id ?? "",
+    choices: Object.fromEntries(
+      getWarpVesselChoices().map((actor) => [actor.id, actor.name]),
+    ),
+    ...getWarpRatings(vessel),
+    locked: !vessel?.isOwner,
+  };
+}
+
+/**
+ * Bind the vessel select and warp rating inputs of a warp calculator.
+ * Ratings are written to the ship.
+ *
+ * @param {HTMLElement} root
+ * @param {() => void} onChange - Called after the vessel or its ratings change.
+ */
+export function bindWarpVesselControls(root, onChange) {
+  root
+    .querySelector('select[name="vessel"]')
+    ?.addEventListener("change", async (event) => {
+      await setWarpVessel(event.target.value);
+      onChange();
+    });
+
+  const inputs = { cruise: "vesselCruise", maximum: "vesselMaximum" };
+  for (const [key, name] of Object.entries(inputs)) {
+    root
+      .querySelector(`input[name="${name}"]`)
+      ?.addEventListener("change", async (event) => {
+        const vessel = getWarpVessel();
+        if (!vessel?.isOwner) return;
+        const value = parseFloat(event.target.value);
+        await vessel.update({
+          [`system.warp.${key}`]: Number.isFinite(value) ? value : null,
+        });
+        onChange();
+      });
+  }
+}